@@ -25,5 +25,13 @@
 
 const ZOTERO_CONFIG = {
 	CLIENT_NAME: 'Zotero',
-	ZOTERO_URL: 'http://127.0.0.1:23119/', // TODO: configuration
+	// Defaults for the connector endpoint, which users can change in the settings dialog
+	CONNECTOR_HOST: '127.0.0.1',
+	CONNECTOR_PORT: 23119,
+	// Earliest Zotero version with the Word JS integration endpoints
+	MIN_ZOTERO_VERSION: '7.0',
+	// Integration protocol version of this add-in, and the earliest Zotero protocol it works with.
+	// Zotero versions without protocol negotiation are protocol 0.
+	PROTOCOL_VERSION: 1,
+	MIN_PROTOCOL_VERSION: 0,
 }
\ No newline at end of file
@@ -0,0 +1,365 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+/**
+ * The Zotero connector server endpoint and connection status
+ * @namespace
+ */
+Zotero.Connector = new function() {
+	const PING_TIMEOUT = 5000;
+	const STATUS_POLL_INTERVAL = 10000;
+	// Ribbon buttons that need Zotero. Settings stays enabled so the endpoint can be fixed.
+	const RIBBON_TAB = 'ZoteroTab';
+	const RIBBON_GROUP = 'ZoteroGroup';
+	const RIBBON_CONTROLS = [
+		'CitationButton',
+		'AddNoteButton',
+		'BibliographyButton',
+		'CitationExplorerButton',
+		'DocPrefsButton',
+		'RefreshButton',
+		'UnlinkButton'
+	];
+	const RIBBON_CANCEL_CONTROL = 'CancelButton';
+	const HOSTNAME_RE = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+	const IPV6_RE = /^\[?[0-9a-f:.]*:[0-9a-f:.]*\]?$/i;
+
+	this.STATUS = {
+		UNKNOWN: 'unknown',
+		RUNNING: 'running',
+		NOT_RUNNING: 'notRunning',
+		BUSY: 'busy',
+		TOO_OLD: 'tooOld'
+	};
+	// Delays between retries of a command while Zotero is busy with another transaction,
+	// before asking the user whether to keep waiting
+	this.BUSY_RETRY_DELAYS = [500, 1000, 2000, 4000];
+
+	this.status = this.STATUS.UNKNOWN;
+	// Zotero version reported by the last successful ping
+	this.version = null;
+
+	let ribbonEnabled = true;
+	let pollInterval = null;
+
+	/**
+	 * @param {String} [path] Path relative to the connector server root
+	 * @param {{host: String, port: Number}} [endpoint] Defaults to the configured endpoint
+	 * @returns {String}
+	 */
+	this.getURL = function(path='', endpoint=null) {
+		let { host, port } = endpoint || {
+			host: Zotero.Prefs.get('connector.host'),
+			port: Zotero.Prefs.get('connector.port')
+		};
+		if (host.includes(':') && !host.startsWith('[')) {
+			host = `[${host}]`;
+		}
+		return `http://${host}:${port}/${path}`;
+	};
+
+	/**
+	 * @param {String} host
+	 * @param {String|Number} port
+	 * @returns {{host: String, port: Number}} The normalized endpoint
+	 * @throws {Error} If the host or port is invalid
+	 */
+	this.validateEndpoint = function(host, port) {
+		host = String(host || '').trim();
+		port = String(port || '').trim();
+		if (!HOSTNAME_RE.test(host) && !IPV6_RE.test(host)) {
+			throw new Error(`"${host}" is not a valid host name or IP address.`);
+		}
+		if (!/^\d+$/.test(port) || parseInt(port) < 1 || parseInt(port) > 65535) {
+			throw new Error(`"${port}" is not a valid port. Enter a number between 1 and 65535.`);
+		}
+		return { host, port: parseInt(port) };
+	};
+
+	/**
+	 * Checks whether Zotero is reachable at the connector URL
+	 * @param {String} [url] Defaults to the configured connector URL
+	 * @returns {Promise<Object>}
+	 */
+	this.ping = function(url=this.getURL()) {
+		return Zotero.HTTP.request("GET", url + 'connector/ping', { timeout: PING_TIMEOUT });
+	};
+
+	/**
+	 * Pings the connector and updates Zotero.Connector.status. The busy status is only known
+	 * from a rejected command, so a running Zotero is reported as running here.
+	 * @returns {Promise<String>} One of Zotero.Connector.STATUS
+	 */
+	this.checkStatus = async function() {
+		let status;
+		try {
+			const xmlhttp = await this.ping();
+			this.version = xmlhttp.getResponseHeader('X-Zotero-Version');
+			if (this.version && compareVersions(this.version, ZOTERO_CONFIG.MIN_ZOTERO_VERSION) < 0) {
+				status = this.STATUS.TOO_OLD;
+			}
+			else {
+				status = this.STATUS.RUNNING;
+			}
+		}
+		catch (e) {
+			Zotero.debug(`Zotero connector ping failed: ${e.message}`);
+			status = this.STATUS.NOT_RUNNING;
+		}
+		this.setStatus(status);
+		return status;
+	};
+
+	/**
+	 * @param {String} status One of Zotero.Connector.STATUS
+	 */
+	this.setStatus = function(status) {
+		if (status !== this.status) {
+			Zotero.debug(`Zotero connector status: ${status}`);
+		}
+		this.status = status;
+		updateRibbon(status !== this.STATUS.NOT_RUNNING && status !== this.STATUS.TOO_OLD);
+	};
+
+	/**
+	 * Starts an integration transaction. While Zotero is busy with another transaction the request
+	 * is retried with backoff, and then the user is asked whether to keep waiting.
+	 *
+	 * @param {String} command
+	 * @param {Function} confirmWait Called when retries run out, returns a promise for whether
+	 * 		to keep waiting
+	 * @param {AbortSignal} [signal] Cancels the request and any retries
+	 * @returns {Promise<Object|null>} The first integration request, or null if the user
+	 * 		stopped waiting
+	 */
+	this.execCommand = async function(command, confirmWait, signal=null) {
+		let attempt = 0;
+		while (true) {
+			try {
+				const xmlhttp = await Zotero.HTTP.request("POST", this.getURL('connector/document/execCommand'), {
+					body: {
+						command: command,
+						docId: Office.context.document.url
+					},
+					headers: { "Content-Type": "application/json" },
+					timeout: false,
+					signal
+				});
+				this.setStatus(this.STATUS.RUNNING);
+				return xmlhttp;
+			}
+			catch (e) {
+				// Usual response for a request in progress
+				if (e.status != 503) throw e;
+				Zotero.debug(e.message);
+				this.setStatus(this.STATUS.BUSY);
+				if (attempt < this.BUSY_RETRY_DELAYS.length) {
+					await Zotero.Promise.delay(this.BUSY_RETRY_DELAYS[attempt++]);
+					if (signal && signal.aborted) {
+						throw new Zotero.HTTP.CancelledError(this.getURL('connector/document/execCommand'));
+					}
+				}
+				else if (await confirmWait()) {
+					attempt = 0;
+				}
+				else {
+					return null;
+				}
+			}
+		}
+	};
+
+	/**
+	 * Exchanges protocol versions and feature lists with Zotero. Zotero versions that predate
+	 * negotiation answer 404, and are reported as protocol 0 with an unknown feature list.
+	 *
+	 * @param {String[]} features Features supported by the add-in
+	 * @returns {Promise<{protocolVersion: Number, minProtocolVersion: Number, features: String[]|null}>}
+	 */
+	this.negotiate = async function(features) {
+		let response;
+		try {
+			const xmlhttp = await Zotero.HTTP.request("POST", this.getURL('connector/document/negotiate'), {
+				body: {
+					client: ZOTERO_CONFIG.CLIENT_NAME,
+					protocolVersion: ZOTERO_CONFIG.PROTOCOL_VERSION,
+					minProtocolVersion: ZOTERO_CONFIG.MIN_PROTOCOL_VERSION,
+					features
+				},
+				headers: { "Content-Type": "application/json" },
+				timeout: PING_TIMEOUT
+			});
+			response = JSON.parse(xmlhttp.response);
+		}
+		catch (e) {
+			if (e.status != 404) throw e;
+			response = {};
+		}
+		return {
+			protocolVersion: response.protocolVersion || 0,
+			minProtocolVersion: response.minProtocolVersion || 0,
+			features: Array.isArray(response.features) ? response.features : null
+		};
+	};
+
+	/**
+	 * Enables the ribbon Cancel button while a transaction is in progress
+	 */
+	this.setTransactionInProgress = function(inProgress) {
+		if (!canUpdateRibbon()) return;
+		Office.ribbon.requestUpdate({
+			tabs: [{
+				id: RIBBON_TAB,
+				groups: [{
+					id: RIBBON_GROUP,
+					controls: [{ id: RIBBON_CANCEL_CONTROL, enabled: inProgress }]
+				}]
+			}]
+		}).catch(e => Zotero.logError(e));
+	};
+
+	/**
+	 * Periodically checks the connector status to keep the ribbon state current. Only useful
+	 * where the ribbon can be updated, since the status is also checked before each command.
+	 */
+	this.startMonitoring = function() {
+		if (pollInterval || !canUpdateRibbon()) return;
+		this.setTransactionInProgress(false);
+		this.checkStatus();
+		pollInterval = setInterval(() => this.checkStatus(), STATUS_POLL_INTERVAL);
+	};
+
+	this.stopMonitoring = function() {
+		clearInterval(pollInterval);
+		pollInterval = null;
+	};
+
+	/**
+	 * Validates an endpoint by pinging it and stores it in prefs if Zotero responds
+	 * @throws {Error} With a user-facing message if the endpoint is invalid or unreachable
+	 */
+	this.saveEndpoint = async function(host, port) {
+		const endpoint = this.validateEndpoint(host, port);
+		const url = this.getURL('', endpoint);
+		try {
+			await this.ping(url);
+		}
+		catch (e) {
+			Zotero.logError(e);
+			throw new Error(`Could not connect to Zotero at ${url}. Make sure Zotero is running and the host and port match the connector settings in Zotero.`);
+		}
+		Zotero.Prefs.set('connector.host', endpoint.host);
+		Zotero.Prefs.set('connector.port', endpoint.port);
+		await this.checkStatus();
+		return endpoint;
+	};
+
+	/**
+	 * Opens the connector settings dialog. The dialog posts the entered endpoint, which is
+	 * validated and saved here. Errors are sent back to the dialog, which stays open until the
+	 * endpoint is saved or the user cancels. The other settings are saved on every post, since
+	 * they do not depend on reaching Zotero.
+	 * @returns {Promise<Boolean>} Whether the settings were saved
+	 */
+	this.openSettings = function() {
+		const params = {
+			host: Zotero.Prefs.get('connector.host'),
+			port: Zotero.Prefs.get('connector.port'),
+			citationStore: Zotero.Prefs.get('citationStore'),
+			linkCitations: Zotero.Prefs.get('linkCitations'),
+			defaultHost: ZOTERO_CONFIG.CONNECTOR_HOST,
+			defaultPort: ZOTERO_CONFIG.CONNECTOR_PORT
+		};
+		const query = Object.keys(params).map(key => `${key}=${encodeURIComponent(params[key])}`).join('&');
+		const dialogUrl = window.location.origin + `/settings.html?${query}`;
+		return new Promise((resolve, reject) => {
+			Office.context.ui.displayDialogAsync(dialogUrl, { displayInIframe: true, width: 40, height: 65 }, (asyncResult) => {
+				if (asyncResult.error) {
+					return reject(new Error(`Office.ui.displayDialogAsync error ` + JSON.stringify(asyncResult.error)));
+				}
+				const dialog = asyncResult.value;
+				dialog.addEventHandler(Office.EventType.DialogMessageReceived, async (arg) => {
+					const message = JSON.parse(arg.message);
+					if (message.action === 'cancel') {
+						dialog.close();
+						return resolve(false);
+					}
+					Zotero.Prefs.set('citationStore', !!message.citationStore);
+					Zotero.Prefs.set('linkCitations', !!message.linkCitations);
+					try {
+						await this.saveEndpoint(message.host, message.port);
+						dialog.close();
+						resolve(true);
+					}
+					catch (e) {
+						dialog.messageChild(JSON.stringify({ error: e.message }));
+					}
+				});
+				dialog.addEventHandler(Office.EventType.DialogEventReceived, (arg) => {
+					// Dialog closed by user closing the window
+					if (arg.error === 12006) {
+						resolve(false);
+					}
+				});
+			});
+		});
+	};
+
+	function canUpdateRibbon() {
+		return typeof Office.ribbon !== 'undefined'
+			&& Office.context.requirements.isSetSupported('RibbonApi', '1.1');
+	}
+
+	/**
+	 * Enables or disables the ribbon buttons that need Zotero
+	 */
+	function updateRibbon(enabled) {
+		if (enabled === ribbonEnabled || !canUpdateRibbon()) return;
+		ribbonEnabled = enabled;
+		Office.ribbon.requestUpdate({
+			tabs: [{
+				id: RIBBON_TAB,
+				groups: [{
+					id: RIBBON_GROUP,
+					controls: RIBBON_CONTROLS.map(id => ({ id, enabled }))
+				}]
+			}]
+		}).catch(e => Zotero.logError(e));
+	}
+
+	/**
+	 * Compares dotted version strings, ignoring pre-release suffixes
+	 * @returns {Number} Negative if a < b, positive if a > b, 0 if equal
+	 */
+	function compareVersions(a, b) {
+		const aParts = a.split('.').map(part => parseInt(part) || 0);
+		const bParts = b.split('.').map(part => parseInt(part) || 0);
+		for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+			const diff = (aParts[i] || 0) - (bParts[i] || 0);
+			if (diff) return diff;
+		}
+		return 0;
+	}
+}
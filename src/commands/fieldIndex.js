@@ -0,0 +1,123 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+/**
+ * Keeps the Zotero fields of each document between transactions, so that refreshing a document
+ * which has not changed does not read every field, footnote and endnote again.
+ *
+ * Word JS proxies cannot outlive a transaction, so the index keeps the data Zotero is sent
+ * (codes, texts, note types and adjacency) with the unique local ID of the paragraph of each field.
+ * It listens to paragraph events of the document (WordApi 1.6) and the fields of changed paragraphs
+ * are read again when the index is next used. The index is given up when Zotero fields show up in
+ * paragraphs it does not know of, since finding where they go means reading all the fields anyway.
+ * @namespace
+ */
+Zotero.FieldIndex = new function() {
+	// docID -> { entries, listening, changed, added, deleted }
+	const indices = new Map();
+
+	function getDocID() {
+		return Office.context.document.url;
+	}
+
+	function getIndex(docID) {
+		if (!indices.has(docID)) {
+			indices.set(docID, {
+				entries: null,
+				listening: false,
+				changed: new Set(),
+				added: new Set(),
+				deleted: new Set()
+			});
+		}
+		return indices.get(docID);
+	}
+
+	this.isSupported = function() {
+		return Office.context.requirements.isSetSupported('WordApi', '1.6');
+	};
+
+	/**
+	 * Starts recording paragraph changes of the document, unless already listening.
+	 * The handlers are registered on the next sync of the context.
+	 *
+	 * @param {Word.RequestContext} context
+	 * @returns {Boolean} Whether the host supports the index
+	 */
+	this.listen = function(context, docID=getDocID()) {
+		if (!this.isSupported()) return false;
+		const index = getIndex(docID);
+		if (index.listening) return true;
+		const record = set => async (event) => {
+			for (let id of event.uniqueLocalIds) index[set].add(id);
+		};
+		context.document.onParagraphAdded.add(record('added'));
+		context.document.onParagraphChanged.add(record('changed'));
+		context.document.onParagraphDeleted.add(record('deleted'));
+		index.listening = true;
+		return true;
+	};
+
+	/**
+	 * @returns {Object[]|null} Fields of the document as of the last save, or null if there are none
+	 * 		or the index was not listening to changes since
+	 */
+	this.getEntries = function(docID=getDocID()) {
+		const index = indices.get(docID);
+		return index && index.listening && index.entries ? index.entries : null;
+	};
+
+	/**
+	 * Returns the paragraph changes recorded since the last call and starts recording anew
+	 *
+	 * @returns {{ changed: Set<String>, added: Set<String>, deleted: Set<String> }} IDs of paragraphs
+	 */
+	this.takeChanges = function(docID=getDocID()) {
+		const index = getIndex(docID);
+		const changes = { changed: index.changed, added: index.added, deleted: index.deleted };
+		index.changed = new Set();
+		index.added = new Set();
+		index.deleted = new Set();
+		return changes;
+	};
+
+	/**
+	 * @param {Object[]} entries {code, storeID, text, noteType, note, adjacent, paragraphId} of each field
+	 * 		in document order, where note is the index of the note among notes of its type with
+	 * 		Zotero fields
+	 */
+	this.save = function(entries, docID=getDocID()) {
+		const index = getIndex(docID);
+		if (index.listening) index.entries = entries;
+	};
+
+	/**
+	 * Discards the fields, so the next transaction reads them from the document
+	 */
+	this.clear = function(docID=getDocID()) {
+		const index = indices.get(docID);
+		if (index) index.entries = null;
+	};
+}
@@ -25,7 +25,7 @@
 
 
 /**
- * Functions for performing HTTP requests, both via XMLHTTPRequest and using a hidden browser
+ * Functions for performing HTTP requests
  * @namespace
  */
 Zotero.HTTP = new function() {
@@ -42,6 +42,11 @@ Zotero.HTTP = new function() {
 		this.message = `HTTP request has timed out after ${ms}ms`;
 	};
 	this.TimeoutError.prototype = Object.create(Error.prototype);
+
+	this.CancelledError = function(url) {
+		this.message = `HTTP request to ${url} was cancelled`;
+	};
+	this.CancelledError.prototype = Object.create(Error.prototype);
 	
 	/**
 	 * Get a promise for a HTTP request
@@ -57,12 +62,15 @@ Zotero.HTTP = new function() {
 	 *         <li>responseType - The response type of the request from the XHR spec</li>
 	 *         <li>responseCharset - The charset the response should be interpreted as</li>
 	 *         <li>successCodes - HTTP status codes that are considered successful, or FALSE to allow all</li>
+	 *         <li>signal - AbortSignal that cancels the request</li>
 	 *     </ul>
-	 * @return {Promise<XMLHttpRequest>} A promise resolved with the XMLHttpRequest object if the
-	 *     request succeeds, or rejected if the browser is offline or a non-2XX status response
-	 *     code is received (or a code not in options.successCodes if provided).
+	 * @return {Promise<Object>} A promise resolved with an XMLHttpRequest-like object (status,
+	 *     response, responseText, responseURL and getResponseHeader()) if the request succeeds,
+	 *     or rejected if the server cannot be reached or a non-2XX status response code is received
+	 *     (or a code not in options.successCodes if provided). Cancelled requests are rejected with
+	 *     Zotero.HTTP.CancelledError.
 	 */
-	this.request = function(method, url, options = {}) {
+	this.request = async function(method, url, options = {}) {
 		// Default options
 		options = Object.assign({
 			body: null,
@@ -72,7 +80,8 @@ Zotero.HTTP = new function() {
 			timeout: 15000,
 			responseType: '',
 			responseCharset: null,
-			successCodes: null
+			successCodes: null,
+			signal: null
 		}, options);
 		
 		
@@ -94,7 +103,7 @@ Zotero.HTTP = new function() {
 				options.headers["Content-Type"] = "application/x-www-form-urlencoded";
 			}
 			else if (options.headers["Content-Type"] == 'multipart/form-data') {
-				// Allow XHR to set Content-Type with boundary for multipart/form-data
+				// Allow fetch to set Content-Type with boundary for multipart/form-data
 				delete options.headers["Content-Type"];
 			}
 					
@@ -107,70 +116,79 @@ Zotero.HTTP = new function() {
 		}
 		Zotero.debug(`HTTP ${method} ${url}${logBody}`);
 		
-		var xmlhttp = new XMLHttpRequest();
-		xmlhttp.timeout = options.timeout;
-		var promise = Zotero.HTTP._attachHandlers(url, xmlhttp, options);
-		
-		xmlhttp.open(method, url, true);
-
-		for (let header in options.headers) {
-			xmlhttp.setRequestHeader(header, options.headers[header]);
+		// Aborted on timeout or when options.signal is aborted
+		const controller = new AbortController();
+		let timedOut = false;
+		let timeoutID = null;
+		if (options.timeout) {
+			timeoutID = setTimeout(() => {
+				timedOut = true;
+				controller.abort();
+			}, options.timeout);
 		}
-		
-		xmlhttp.responseType = options.responseType || '';
-		
-		// Maybe should provide "mimeType" option instead. This is xpcom legacy, where responseCharset
-		// could be controlled manually
-		if (options.responseCharset) {
-			xmlhttp.overrideMimeType("text/plain; charset=" + options.responseCharset);
+		const onAbort = () => controller.abort();
+		if (options.signal) {
+			if (options.signal.aborted) controller.abort();
+			options.signal.addEventListener('abort', onAbort);
 		}
 		
-		xmlhttp.send(options.body);
-		
-		return promise.then(function(xmlhttp) {
-			if (options.debug) {
-				if (xmlhttp.responseType == '' || xmlhttp.responseType == 'text') {
-					Zotero.debug(`HTTP ${xmlhttp.status} response: ${xmlhttp.responseText}`);
-				}
-				else {
-					Zotero.debug(`HTTP ${xmlhttp.status} response`);
-				}
-			}	
-			
-			let invalidDefaultStatus = options.successCodes === null && !xmlhttp.responseURL.startsWith("file://") &&
-				(xmlhttp.status < 200 || xmlhttp.status >= 300);
-			let invalidStatus = Array.isArray(options.successCodes) && !options.successCodes.includes(xmlhttp.status);
-			if (invalidDefaultStatus || invalidStatus) {
+		let xmlhttp;
+		try {
+			const response = await fetch(url, {
+				method,
+				headers: options.headers,
+				body: options.body,
+				signal: controller.signal
+			});
+			// Maybe should provide "mimeType" option instead. This is xpcom legacy, where responseCharset
+			// could be controlled manually
+			let responseText;
+			if (options.responseCharset) {
+				responseText = new TextDecoder(options.responseCharset).decode(await response.arrayBuffer());
+			}
+			else {
+				responseText = await response.text();
+			}
+			xmlhttp = {
+				status: response.status,
+				responseURL: response.url || url,
+				responseText,
+				response: options.responseType == 'json' ? JSON.parse(responseText) : responseText,
+				getResponseHeader: name => response.headers.get(name)
+			};
+		}
+		catch (e) {
+			if (timedOut) {
+				const timeoutError = new Zotero.HTTP.TimeoutError(options.timeout);
+				Zotero.logError(timeoutError);
+				throw timeoutError;
+			}
+			if (options.signal && options.signal.aborted) {
+				throw new Zotero.HTTP.CancelledError(url);
+			}
+			// Network errors, like the server not running, are reported with status 0 as with XHR
+			xmlhttp = { status: 0, responseURL: url, responseText: '', response: null, getResponseHeader: () => null };
+			if (options.successCodes !== false) {
 				throw new Zotero.HTTP.StatusError(xmlhttp, url);
 			}
-			return xmlhttp;
-		});
-	}
-		
-	/**
-	 * Adds request handlers to the XMLHttpRequest and returns a promise that resolves when
-	 * the request is complete. xmlhttp.send() still needs to be called, this just attaches the
-	 * handler
-	 *
-	 * See {@link Zotero.HTTP.request} for parameters
-	 * @private
-	 */
-	this._attachHandlers = function(url, xmlhttp, options) {
-		var deferred = Zotero.Promise.defer();
-		xmlhttp.onload = () => deferred.resolve(xmlhttp);
-		xmlhttp.onerror = xmlhttp.onabort = function() {
-			var e = new Zotero.HTTP.StatusError(xmlhttp, url);
-			if (options.successCodes === false) {
-				deferred.resolve(xmlhttp);
-			} else {
-				deferred.reject(e);
+		}
+		finally {
+			clearTimeout(timeoutID);
+			if (options.signal) {
+				options.signal.removeEventListener('abort', onAbort);
 			}
-		};
-		xmlhttp.ontimeout = function() {
-			var e = new Zotero.HTTP.TimeoutError(xmlhttp.timeout);
-			Zotero.logError(e);
-			deferred.reject(e);
-		};
-		return deferred.promise;
-	};
-}
\ No newline at end of file
+		}
+		
+		if (options.debug) {
+			Zotero.debug(`HTTP ${xmlhttp.status} response: ${xmlhttp.responseText}`);
+		}
+		
+		let invalidDefaultStatus = options.successCodes === null && !xmlhttp.responseURL.startsWith("file://") &&
+			(xmlhttp.status < 200 || xmlhttp.status >= 300);
+		let invalidStatus = Array.isArray(options.successCodes) && !options.successCodes.includes(xmlhttp.status);
+		if (invalidDefaultStatus || invalidStatus) {
+			throw new Zotero.HTTP.StatusError(xmlhttp, url);
+		}
+		return xmlhttp;
+	}
+}
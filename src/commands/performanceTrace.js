@@ -0,0 +1,237 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+/**
+ * Timings of an integration transaction, so that reports of slow refreshes come with data on
+ * where the time goes.
+ *
+ * For each integration method Zotero calls, the trace counts the calls and the syncs with Word,
+ * and times the syncs, the Word.run() batches of the calls, which include their syncs, and the
+ * respond requests to the connector. A respond request lasts until Zotero sends the next request,
+ * so it includes the time Zotero takes to process the result. Passes of sorting notes into fields
+ * are timed separately. The traces of the last MAX_TRACES transactions are kept until the add-in
+ * is reloaded.
+ * @type {Zotero.PerformanceTrace}
+ */
+Zotero.PerformanceTrace = class {
+	constructor(command) {
+		this.command = command;
+		this.started = new Date();
+		this.startTime = performance.now();
+		this.duration = null;
+		// Time until Zotero sent the first request, including waiting for Zotero to become free
+		this.execCommandTime = 0;
+		this.fieldCount = null;
+		this.noteCount = null;
+		// Per integration method, in the order they were first called
+		this.methods = [];
+		this.sorts = [];
+		this.currentMethod = null;
+	}
+
+	/**
+	 * Starts recording a call of an integration method. Syncs and requests up to the next call
+	 * are counted towards it.
+	 */
+	startMethod(method) {
+		let entry = this.methods.find(entry => entry.method === method);
+		if (!entry) {
+			entry = { method, calls: 0, syncs: 0, syncTime: 0, wordRunTime: 0, respondTime: 0 };
+			this.methods.push(entry);
+		}
+		entry.calls++;
+		this.currentMethod = entry;
+	}
+
+	async timeSync(fn) {
+		if (this.currentMethod) this.currentMethod.syncs++;
+		return this._time('syncTime', fn);
+	}
+
+	async timeWordRun(fn) {
+		return this._time('wordRunTime', fn);
+	}
+
+	async timeRespond(fn) {
+		return this._time('respondTime', fn);
+	}
+
+	async timeExecCommand(fn) {
+		const start = performance.now();
+		try {
+			return await fn();
+		}
+		finally {
+			this.execCommandTime += performance.now() - start;
+		}
+	}
+
+	/**
+	 * @returns {Object} Pass to finish with finishSort()
+	 */
+	startSort(fieldCount, noteCount) {
+		return { fields: fieldCount, notes: noteCount, syncs: this._countSyncs(), startTime: performance.now() };
+	}
+
+	finishSort(sort) {
+		this.sorts.push({
+			fields: sort.fields,
+			notes: sort.notes,
+			syncs: this._countSyncs() - sort.syncs,
+			time: performance.now() - sort.startTime
+		});
+	}
+
+	recordFields(fieldCount, noteCount) {
+		this.fieldCount = fieldCount;
+		this.noteCount = noteCount;
+	}
+
+	finish() {
+		this.duration = performance.now() - this.startTime;
+		this.currentMethod = null;
+	}
+
+	/**
+	 * @returns {Boolean} Whether Zotero called any integration methods
+	 */
+	isEmpty() {
+		return !this.methods.length;
+	}
+
+	toJSON() {
+		const sum = key => roundTime(this.methods.reduce((total, entry) => total + entry[key], 0));
+		return {
+			command: this.command,
+			started: this.started.toISOString(),
+			duration: this.duration === null ? null : roundTime(this.duration),
+			execCommandTime: roundTime(this.execCommandTime),
+			fields: this.fieldCount,
+			notes: this.noteCount,
+			syncs: this._countSyncs(),
+			syncTime: sum('syncTime'),
+			wordRunTime: sum('wordRunTime'),
+			respondTime: sum('respondTime'),
+			methods: this.methods.map(entry => Object.assign({}, entry, {
+				syncTime: roundTime(entry.syncTime),
+				wordRunTime: roundTime(entry.wordRunTime),
+				respondTime: roundTime(entry.respondTime)
+			})),
+			sorts: this.sorts.map(sort => Object.assign({}, sort, { time: roundTime(sort.time) }))
+		};
+	}
+
+	/**
+	 * @returns {String} One line for the debug log
+	 */
+	toString() {
+		const trace = this.toJSON();
+		let line = `${trace.command} took ${trace.duration}ms: ${trace.syncs} syncs in ${trace.syncTime}ms, `
+			+ `Word.run() ${trace.wordRunTime}ms, respond ${trace.respondTime}ms`;
+		if (trace.fields !== null) {
+			line += `, ${trace.fields} fields in ${trace.notes} notes`;
+		}
+		return line;
+	}
+
+	async _time(key, fn) {
+		const entry = this.currentMethod;
+		const start = performance.now();
+		try {
+			return await fn();
+		}
+		finally {
+			if (entry) entry[key] += performance.now() - start;
+		}
+	}
+
+	_countSyncs() {
+		return this.methods.reduce((sum, entry) => sum + entry.syncs, 0);
+	}
+}
+
+Zotero.PerformanceTrace.MAX_TRACES = 20;
+Zotero.PerformanceTrace.traces = [];
+
+/**
+ * Keeps the trace of a finished transaction, dropping the oldest beyond MAX_TRACES
+ */
+Zotero.PerformanceTrace.save = function(trace) {
+	const traces = Zotero.PerformanceTrace.traces;
+	traces.push(trace);
+	traces.splice(0, Math.max(0, traces.length - Zotero.PerformanceTrace.MAX_TRACES));
+};
+
+/**
+ * @returns {String} The kept traces, oldest first, as JSON for performance reports
+ */
+Zotero.PerformanceTrace.export = function() {
+	return JSON.stringify({
+		zoteroVersion: Zotero.Connector.version,
+		protocolVersion: ZOTERO_CONFIG.PROTOCOL_VERSION,
+		platform: Office.context.diagnostics ? Office.context.diagnostics.platform : null,
+		traces: Zotero.PerformanceTrace.traces
+	}, null, '\t');
+};
+
+/**
+ * Opens the dialog that shows the kept traces. The dialog asks for them once loaded, since
+ * they do not fit into its URL.
+ */
+Zotero.PerformanceTrace.openReport = function() {
+	const dialogUrl = window.location.origin + '/performance.html';
+	return new Promise((resolve, reject) => {
+		Office.context.ui.displayDialogAsync(dialogUrl, { displayInIframe: true, width: 60, height: 70 }, (asyncResult) => {
+			if (asyncResult.error) {
+				return reject(new Error(`Office.ui.displayDialogAsync error ` + JSON.stringify(asyncResult.error)));
+			}
+			const dialog = asyncResult.value;
+			dialog.addEventHandler(Office.EventType.DialogMessageReceived, (arg) => {
+				const message = JSON.parse(arg.message);
+				if (message.action === 'ready') {
+					dialog.messageChild(Zotero.PerformanceTrace.export());
+				}
+				else if (message.action === 'clear') {
+					Zotero.PerformanceTrace.traces = [];
+					dialog.messageChild(Zotero.PerformanceTrace.export());
+				}
+				else {
+					dialog.close();
+					resolve();
+				}
+			});
+			dialog.addEventHandler(Office.EventType.DialogEventReceived, (arg) => {
+				// Dialog closed by user closing the window
+				if (arg.error === 12006) {
+					resolve();
+				}
+			});
+		});
+	});
+};
+
+function roundTime(time) {
+	return Math.round(time * 10) / 10;
+}
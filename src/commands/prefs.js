@@ -0,0 +1,74 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+/**
+ * Add-in preferences
+ *
+ * Stored in localStorage of the add-in, so they are kept per user on each machine. Word does not
+ * provide roaming settings to add-ins.
+ * @namespace
+ */
+Zotero.Prefs = new function() {
+	const STORAGE_PREFIX = 'zotero.';
+	const DEFAULTS = {
+		'connector.host': ZOTERO_CONFIG.CONNECTOR_HOST,
+		'connector.port': ZOTERO_CONFIG.CONNECTOR_PORT,
+		// Keep large citation field codes in a store in the document instead of the field
+		'citationStore': false,
+		// Bookmark bibliography entries and link citations to them
+		'linkCitations': false,
+	};
+
+	/**
+	 * @param {String} name
+	 * @returns {*} The stored value, or the default if the pref has not been set
+	 */
+	this.get = function(name) {
+		let value = null;
+		if (typeof localStorage !== 'undefined') {
+			value = localStorage.getItem(STORAGE_PREFIX + name);
+			value = value === null ? null : JSON.parse(value);
+		}
+		return value == null ? DEFAULTS[name] : value;
+	};
+
+	/**
+	 * Sets a pref
+	 */
+	this.set = function(name, value) {
+		if (typeof localStorage !== 'undefined') {
+			localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(value));
+		}
+	};
+
+	/**
+	 * Resets a pref to its default value
+	 */
+	this.clear = function(name) {
+		if (typeof localStorage !== 'undefined') {
+			localStorage.removeItem(STORAGE_PREFIX + name);
+		}
+	};
+}
@@ -32,14 +32,136 @@ const FIELD_LOAD_OPTIONS = {
 const FIELD_PREFIX = "ADDIN ZOTERO_";
 const FIELD_INSERT_CODE = "TEMP";
 const FIELD_PLACEHOLDER = "{Updating}";
+// Content control tags are too short for field codes. Tags identify the type of the field and
+// reference its code in the citation store, e.g. ZOTERO_ITEM 4fT0aQ2xbM1c or ZOTERO_BIBL 9sLq0xWc2mBa.
+// Fields being inserted are tagged ZOTERO_TEMP.
+const CONTENT_CONTROL_LOAD_OPTIONS = ['id', 'tag', 'text'];
+const CONTENT_CONTROL_TAG_PREFIX = "ZOTERO_";
+const CONTENT_CONTROL_TAG_REGEXP = /^ZOTERO_([A-Z]+)(?: (\w+))?$/;
+const CONTENT_CONTROL_TITLES = { ITEM: "Zotero Citation", BIBL: "Zotero Bibliography" };
+// Bookmark fields, as written by the LibreOffice and Google Docs integrations, are bookmarks named
+// ZOTERO_BREF_<id> around the field text. Their codes, prefixed with ZOTERO_, are kept in 255 character
+// custom properties ZOTERO_BREF_<id>_1, _2...
+const BOOKMARK_PREFIX = "ZOTERO_BREF_";
+const BOOKMARK_ID_LENGTH = 12;
+const BOOKMARK_CODE_PREFIX = "ZOTERO_";
+const BOOKMARK_PROPERTY_REGEXP = /^(ZOTERO_BREF_\w+)_(\d+)$/;
+// Document preferences were stored in 255 character custom properties ZOTERO_PREF_1, _2...
+// before they moved to a custom XML part. They are migrated when read.
 const PREF_PREFIX = "ZOTERO_PREF";
 const PREF_LENGTH = 255;
+const PREF_KEY_REGEXP = new RegExp(`^${PREF_PREFIX}_(\\d+)$`);
+const DOC_PREFS_NAMESPACE = "http://www.zotero.org/namespaces/word-document-preferences";
+const DOC_PREFS_VERSION = 1;
+// With the citationStore pref enabled, codes of at least CITATION_STORE_MIN_LENGTH characters are
+// kept in a custom XML part per field, and the field code only references it,
+// e.g. ADDIN ZOTERO_REF 4fT0aQ2xbM1c
+const CITATION_STORE_NAMESPACE = "http://www.zotero.org/namespaces/word-citation";
+const CITATION_REF_PREFIX = "REF ";
+const CITATION_REF_ID_LENGTH = 12;
+const CITATION_STORE_MIN_LENGTH = 1000;
+// Word JS cannot set tab stops (https://github.com/OfficeDev/office-js/issues/3585), so the
+// bibliography paragraph format is kept in a custom XML part and applied to the bibliography
+// paragraphs as OOXML whenever the bibliography is updated
+const BIBLIOGRAPHY_STYLE_NAMESPACE = "http://www.zotero.org/namespaces/word-bibliography-style";
+// Citation text from Zotero is HTML. It is inserted as OOXML built from the HTML, because insertHtml()
+// loses small caps, exact superscripts and non-breaking spaces and picks up formatting of the surrounding text.
+const OOXML_PACKAGE_NAMESPACE = "http://schemas.microsoft.com/office/2006/xmlPackage";
+const WORDPROCESSINGML_NAMESPACE = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const RELATIONSHIPS_NAMESPACE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELATIONSHIPS_NAMESPACE = "http://schemas.openxmlformats.org/package/2006/relationships";
+const HTML_BLOCK_TAGS = ['p', 'div', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+// Paragraph properties of WordprocessingML must be in schema order. New <w:tabs> go before the first of
+// PPR_ELEMENTS_AFTER_TABS in a <w:pPr>, <w:spacing> and <w:ind> before the first of PPR_ELEMENTS_AFTER_INDENT
+const PPR_ELEMENTS_AFTER_TABS = ['suppressAutoHyphens', 'kinsoku', 'wordWrap', 'overflowPunct', 'topLinePunct',
+	'autoSpaceDE', 'autoSpaceDN', 'bidi', 'adjustRightInd', 'snapToGrid'];
+const PPR_ELEMENTS_AFTER_INDENT = ['contextualSpacing', 'mirrorIndents', 'suppressOverlap', 'jc', 'textDirection',
+	'textAlignment', 'textboxTightWrap', 'outlineLvl', 'divId', 'cnfStyle', 'rPr', 'sectPr', 'pPrChange'];
+// Character style of citation field results, so that templates can format citations. A custom style
+// exists in every host, while Word Online lacks most built-in styles.
+const CITATION_STYLE_NAME = "Zotero Citation";
+// With the linkCitations pref enabled, bibliography entries get hidden bookmarks named after the cited item
+// and citations link to them. Names do not change between refreshes, so links in citations that Zotero
+// did not update stay valid when the bibliography is rewritten.
+const ENTRY_BOOKMARK_PREFIX = "_ZOTERO_BIB_";
+// Word cannot search for longer text
+const SEARCH_TEXT_MAX_LENGTH = 255;
 const BODY_TYPE_TO_NOTE_TYPE = { "Footnote": 1, "Endnote": 2 }
+// Citations are read in this order: the main body with notes and text boxes where they are anchored,
+// then the headers and footers of each section in HEADER_FOOTER_TYPES order, headers first.
+// Word JS does not expose fields or content controls in comments, so citations there cannot be read.
+const HEADER_FOOTER_TYPES = ["FirstPage", "Primary", "EvenPages"];
+// Stories that cannot have notes, so their citations stay inline with note styles
+const INLINE_ONLY_BODY_TYPES = ["Header", "Footer", "Shape"];
 const NOTE_TYPE_TO_BODY_TYPE = ["MainDoc", "Footnote", "Endnote"];
 const PLACEHOLDER_LINK_ID_LENGTH = 6;
 const IMPORT_LINK_URL = "https://www.zotero.org/";
 const IMPORT_DOC_PREFS_PREFIX = "DOCUMENT_PREFERENCES ";
 const EXPORT_DOCUMENT_MARKER = "ZOTERO_TRANSFER_DOCUMENT";
+// Integration capabilities of the add-in, advertised to Zotero during negotiation
+const FEATURES = ['footnotes', 'endnotes', 'importExport', 'textInsertion', 'citationMerging', 'outputFormat.html', 'batch',
+	'contentControls'];
+/**
+ * Integration methods that Zotero can call by namespace, with their argument schemas. Types are
+ * string, number, boolean, object and arrays of them, and a trailing ? marks an optional argument.
+ * Arguments beyond the schema are dropped, so internal parameters cannot be passed over HTTP.
+ * Zotero calls Application and Field methods like the Document methods of the same name.
+ */
+const FIELD_COMMANDS = {
+	setText: ['fieldID: string', 'text: string', 'isRich: boolean?'],
+	setCode: ['fieldID: string', 'code: string'],
+	delete: ['fieldID: string'],
+	removeCode: ['fieldID: string'],
+	select: ['fieldID: string'],
+};
+const DOCUMENT_COMMANDS = Object.assign({
+	getDocument: [],
+	getActiveDocument: [],
+	getDocumentData: [],
+	setDocumentData: ['data: string'],
+	activate: ['force: boolean?'],
+	cleanup: [],
+	complete: [],
+	displayAlert: ['text: string', 'icon: number?', 'buttons: number?'],
+	getFields: ['fieldType: string?'],
+	setBibliographyStyle: ['firstLineIndent: number', 'bodyIndent: number', 'lineSpacing: number',
+		'entrySpacing: number', 'tabStops: number[]', 'tabStopsCount: number'],
+	canInsertField: ['fieldType: string'],
+	cursorInField: ['fieldType: string'],
+	insertField: ['fieldType: string', 'noteType: number'],
+	insertText: ['text: string'],
+	convertPlaceholdersToFields: ['placeholderIDs: string[]', 'noteType: number'],
+	convert: ['fieldIDs: string[]', 'fieldType: string', 'fieldNoteTypes: number[]'],
+	importDocument: [],
+	exportDocument: ['fieldType: string', 'importInstructions: string'],
+	batch: ['operations: object[]'],
+}, FIELD_COMMANDS);
+const COMMANDS = {
+	Application: {
+		getDocument: [],
+		getActiveDocument: [],
+	},
+	Document: DOCUMENT_COMMANDS,
+	Field: FIELD_COMMANDS,
+};
+// Field operations that can be sent in Document.batch
+const BATCH_COMMANDS = ['setText', 'setCode', 'delete', 'removeCode'];
+// Word on the web rejects requests over 5MB. Chunks of batched operations are kept well under
+// that, counting the characters of the codes and of the OOXML of the text they send.
+const BATCH_PAYLOAD_LIMIT = 1000000;
+// Integration methods that change the document. A snapshot is started before the first of them
+// in a transaction, and they save what they are about to change to it, so that it can be restored
+// if the transaction fails part-way.
+const MUTATING_COMMANDS = ['insertField', 'insertText', 'convertPlaceholdersToFields', 'convert',
+	'importDocument', 'exportDocument', 'setText', 'setCode', 'delete', 'removeCode', 'batch'];
+// Integration methods that can work with fields read from Zotero.FieldIndex before their
+// Word objects are loaded
+const INDEXED_FIELD_COMMANDS = ['getDocument', 'getActiveDocument', 'getDocumentData', 'setDocumentData',
+	'activate', 'cleanup', 'complete', 'displayAlert', 'getFields', 'canInsertField', 'cursorInField'];
+// Paragraphs read for the snapshot in one sync. Their OOXML includes the styles they use,
+// which keeps the response of Word on the web well under its 5MB limit.
+const SNAPSHOT_PARAGRAPHS_PER_SYNC = 20;
+const NOT_RUNNING_MESSAGE = `Word could not communicate with Zotero. Please ensure Zotero is running and try again. If this problem persists, see <a target='_blank' href='https://www.zotero.org/support/word_processor_plugin_troubleshooting'>Word Processor Plugin Troubleshooting</a>`;
 
 /**
  * A class to handle a single button click which initiates an integration
@@ -54,6 +176,35 @@ Zotero.Session = class {
 		this.fieldsById = {};
 		this.orphanFields = [];
 		this.insertTextIntoNote = 0;
+		// Result of protocol negotiation with Zotero. Null until negotiated, in which
+		// case all add-in features are assumed to be supported.
+		this.protocol = null;
+		// Aborts requests to the connector when the transaction is cancelled
+		this.abortController = new AbortController();
+		this.cancelled = false;
+		// What the transaction changed, as it was before: {ranges, paragraphIDs, fieldIDs, storeIDs, parts, properties}.
+		// Ranges are saved with their OOXML, or null OOXML for inserted text. Stored citations added by the
+		// transaction are listed by ID, the XML of removed ones is kept, and bookmark code properties
+		// are mapped to their previous values, null for new ones. False if it could not be saved.
+		this.snapshot = null;
+		// Tracked ranges of the snapshot, kept apart from this.trackedObjects, which getFields() releases
+		this.snapshotRanges = [];
+		// Whether the transaction failed after changing the document
+		this.failed = false;
+		// Map of stored citation IDs to {code, part}, loaded when a field references one
+		this.citationStore = null;
+		this.citationStoreChanged = false;
+		// Bibliography paragraph format, loaded when the bibliography is updated. Null if none is set.
+		this.bibliographyFormat = undefined;
+		// Whether the citation character style is known to exist in the document
+		this.hasCitationStyle = false;
+		this.textChanged = false;
+		// Whether this.fields were read from Zotero.FieldIndex without their Word objects
+		this.fieldsPending = false;
+		// Descriptions of notes that citations were moved out of and that were kept for their other text,
+		// reported when the transaction ends
+		this.keptNotes = [];
+		this.trace = new Zotero.PerformanceTrace(command);
 	}
 
 	/**
@@ -63,29 +214,53 @@ Zotero.Session = class {
 	 */
 	async execCommand(command) {
 		try {
-			var request = await Zotero.HTTP.request("POST", ZOTERO_CONFIG.ZOTERO_URL + 'connector/document/execCommand', {
-				body: {
-					command: command,
-					docId: Office.context.document.url
-				},
-				headers: { "Content-Type": "application/json" },
-				timeout: false
-			});
-			return this.callFunction(JSON.parse(request.response));
+			const status = await Zotero.Connector.checkStatus();
+			if (status == Zotero.Connector.STATUS.NOT_RUNNING) {
+				return this.displayAlert(NOT_RUNNING_MESSAGE);
+			}
+			else if (status == Zotero.Connector.STATUS.TOO_OLD) {
+				return this.displayAlert(`Zotero ${Zotero.Connector.version} is too old to work with this version of the Word add-in. Please update Zotero to version ${ZOTERO_CONFIG.MIN_ZOTERO_VERSION} or later.`);
+			}
+			const protocol = await Zotero.Connector.negotiate(FEATURES);
+			if (protocol.protocolVersion < ZOTERO_CONFIG.MIN_PROTOCOL_VERSION) {
+				return this.displayAlert(`This version of the Word add-in requires a newer version of Zotero. Please update Zotero and try again.`);
+			}
+			else if (ZOTERO_CONFIG.PROTOCOL_VERSION < protocol.minProtocolVersion) {
+				return this.displayAlert(`This version of Zotero requires a newer version of the Zotero Word add-in. Please update the add-in and restart Word.`);
+			}
+			this.protocol = protocol;
+			var request = await this.trace.timeExecCommand(() => Zotero.Connector.execCommand(command, async () => {
+				const result = await this.displayAlert(`Zotero is busy with another document. Keep waiting for it to finish?`, 0, 2);
+				return result == 1;
+			}, this.abortController.signal));
+			if (!request) return;
+			return await this.callFunction(JSON.parse(request.response));
 		} catch (e) {
-			// Usual response for a request in progress
-			if (e.status == 503) {
-				Zotero.debug(e.message);
-				return;
+			if (e instanceof Zotero.HTTP.CancelledError) {
+				Zotero.debug(`${command} cancelled`);
 			}
 			else if (e.status == 0) {
-				return this.displayAlert(`Word could not communicate with Zotero. Please ensure Zotero is running and try again. If this problem persists, see <a target='_blank' href='https://www.zotero.org/support/word_processor_plugin_troubleshooting'>Word Processor Plugin Troubleshooting</a>`)
+				Zotero.Connector.setStatus(Zotero.Connector.STATUS.NOT_RUNNING);
+				return this.displayAlert(NOT_RUNNING_MESSAGE);
+			}
+			else {
+				Zotero.logError(e);
 			}
-			Zotero.logError(e);
 		}
 		finally {
+			if (this.failed && this.snapshot) {
+				await this._offerRestore();
+			}
+			else if (this.keptNotes.length) {
+				await this._reportKeptNotes();
+			}
 			this.event.completed();
 			await this._untrackAll();
+			this.trace.finish();
+			if (!this.trace.isEmpty()) {
+				Zotero.debug(this.trace.toString());
+				Zotero.PerformanceTrace.save(this.trace);
+			}
 		}
 	}
 
@@ -95,18 +270,53 @@ Zotero.Session = class {
 	 * @returns {Promise<Result>}
 	 */
 	async respond(result) {
+		if (this.cancelled) return;
 		try {
-			var request = await Zotero.HTTP.request("POST", ZOTERO_CONFIG.ZOTERO_URL + 'connector/document/respond', {
+			var request = await this.trace.timeRespond(() => Zotero.HTTP.request("POST", Zotero.Connector.getURL('connector/document/respond'), {
 				body: result,
 				headers: { "Content-Type": "application/json" },
-				timeout: false
-			});
+				timeout: false,
+				signal: this.abortController.signal
+			}));
 			return this.callFunction(JSON.parse(request.response));
 		} catch (e) {
+			if (e instanceof Zotero.HTTP.CancelledError) {
+				Zotero.debug(`${this.command} cancelled`);
+				return;
+			}
+			if (this.snapshot) this.failed = true;
 			Zotero.logError(e);
 		}
 	}
 
+	/**
+	 * Cancels the transaction. Pending requests to the connector are aborted, so that the
+	 * transaction unwinds and releases its tracked objects, and Zotero is told that the
+	 * session was cancelled. An integration method that is running in Word finishes, but its
+	 * result is not sent.
+	 */
+	async cancel() {
+		if (this.cancelled) return;
+		this.cancelled = true;
+		Zotero.debug(`Cancelling ${this.command}`);
+		this.abortController.abort();
+		try {
+			await Zotero.HTTP.request("POST", Zotero.Connector.getURL('connector/document/cancel'), {
+				body: {
+					command: this.command,
+					docId: Office.context.document.url
+				},
+				headers: { "Content-Type": "application/json" },
+				timeout: 5000
+			});
+		}
+		catch (e) {
+			// Zotero versions without the endpoint abandon the transaction when their next
+			// request to the add-in fails
+			Zotero.debug(`Failed to notify Zotero of the cancelled transaction: ${e.message}`);
+		}
+	}
+
 	/**
 	 * Calls one of the integration functions below
 	 * @param request
@@ -114,39 +324,40 @@ Zotero.Session = class {
 	 */
 	async callFunction(request) {
 		var method = request.command.split('.')[1];
-		var args = Array.from(request.arguments);
-		var docID = args.splice(0, 1);
+		var args = Array.from(request.arguments || []);
+		// Drop the document ID
+		args.splice(0, 1);
 		var result;
+		Zotero.SessionManager.touch(this);
+		this.trace.startMethod(method);
 		let wordRunArgs = [];
-		if (this.trackedObjects.length) {
-			wordRunArgs = [this.trackedObjects];
+		if (this.trackedObjects.length || this.snapshotRanges.length) {
+			wordRunArgs = [this.trackedObjects.concat(this.snapshotRanges)];
 		}
 		
 		try {
-			await Word.run(...wordRunArgs, async (context) => {
+			args = Zotero.Session.validateRequest(request.command, args);
+			await this.trace.timeWordRun(() => Word.run(...wordRunArgs, async (context) => {
 				this.context = context;
 				this.document = context.document;
 				try {
+					if (this.fieldsPending && !INDEXED_FIELD_COMMANDS.includes(method)) {
+						await this._loadIndexedWordObjects();
+					}
+					if (MUTATING_COMMANDS.includes(method) && this.snapshot === null) {
+						this.snapshot = { ranges: [], paragraphIDs: new Set(), fieldIDs: new Set(),
+							storeIDs: new Set(), parts: [], properties: new Map() };
+					}
 					result = await this[method].apply(this, args);
 				} finally {
 					this.context = this.document = null;
 				}
-			});
+			}));
 		}
 		catch (e) {
 			Zotero.debug(`Exception in ${request.command}`);
-			result = {
-				error: e.type || `Connector Error`,
-				message: e.message,
-				stack: e.stack,
-			}
-			if (e.debugInfo) {
-				result = {...result,
-					errorLocation: e.debugInfo.errorLocation,
-					fullStatements: e.debugInfo.fullStatements,
-					surroundingStatements: e.debugInfo.surroundingStatements
-				}
-			}
+			if (this.snapshot) this.failed = true;
+			result = errorToResult(e);
 			Zotero.debug(result);
 			debugger;
 		}
@@ -156,6 +367,172 @@ Zotero.Session = class {
 		return this.respond(result ? JSON.stringify(result) : 'null');
 	}
 
+	/**
+	 * Saves the OOXML of the paragraphs of ranges that are about to change. Paragraphs saved
+	 * earlier in the transaction are not saved again, so that they are restored as they were
+	 * before it. Failing to save them does not stop the transaction, which then cannot be rolled back.
+	 * @param {Word.Range[]} ranges
+	 * @private
+	 */
+	async _snapshotRanges(ranges) {
+		if (!this.snapshot || !ranges.length) return;
+		try {
+			const paragraphs = ranges.map(range => ({
+				first: range.paragraphs.getFirst().load('uniqueLocalId'),
+				last: range.paragraphs.getLast().load('uniqueLocalId')
+			}));
+			await this._sync();
+			const added = [];
+			for (let { first, last } of paragraphs) {
+				const key = `${first.uniqueLocalId} ${last.uniqueLocalId}`;
+				if (this.snapshot.paragraphIDs.has(key)) continue;
+				this.snapshot.paragraphIDs.add(key);
+				added.push(first.getRange('Whole').expandTo(last.getRange('Whole')));
+			}
+			for (let i = 0; i < added.length; i += SNAPSHOT_PARAGRAPHS_PER_SYNC) {
+				const chunk = added.slice(i, i + SNAPSHOT_PARAGRAPHS_PER_SYNC)
+					.map(range => ({ range, ooxml: range.getOoxml() }));
+				await this._sync();
+				for (let { range, ooxml } of chunk) {
+					this._trackSnapshotRange(range);
+					this.snapshot.ranges.push({ range, ooxml: ooxml.value });
+				}
+			}
+		}
+		catch (e) {
+			Zotero.debug(`Failed to snapshot the document: ${e.message}`);
+			this.snapshot = false;
+			this.snapshotRanges.forEach(range => range.untrack());
+			this.snapshotRanges = [];
+		}
+	}
+
+	/**
+	 * Saves the paragraphs of fields that are about to change. Fields in notes are saved by the
+	 * paragraph of their note reference, which restores the note, also when it was removed
+	 * or the field was moved out of it.
+	 * @param {Object[]} fields
+	 * @private
+	 */
+	async _snapshotFields(fields) {
+		if (!this.snapshot) return;
+		fields = fields.filter(field => !this.snapshot.fieldIDs.has(field.id));
+		fields.forEach(field => this.snapshot.fieldIDs.add(field.id));
+		await this._snapshotRanges(fields.map(field => (field.wordNote ? field.wordNote.reference : this._fieldRange(field))));
+	}
+
+	/**
+	 * Like _snapshotFields() for ranges of a body, e.g. the selection
+	 * @param {Word.Body} body Loaded type
+	 * @param {Word.Range[]} ranges
+	 * @private
+	 */
+	async _snapshotBodyRanges(body, ranges) {
+		if (!this.snapshot) return;
+		if (BODY_TYPE_TO_NOTE_TYPE[body.type]) {
+			const note = await this._getNoteFromBody(body);
+			ranges = note ? [note.reference] : [];
+		}
+		await this._snapshotRanges(ranges);
+	}
+
+	/**
+	 * Saves a range of inserted text, which restoring the snapshot removes
+	 * @private
+	 */
+	_snapshotInsertion(range) {
+		if (!this.snapshot) return;
+		this._trackSnapshotRange(range);
+		this.snapshot.ranges.push({ range, ooxml: null });
+	}
+
+	/**
+	 * Saves the value of a bookmark code property before it is first changed or deleted
+	 * @param {String} key
+	 * @param {String|null} value Null if the property does not exist
+	 * @private
+	 */
+	_snapshotProperty(key, value) {
+		if (this.snapshot && !this.snapshot.properties.has(key)) {
+			this.snapshot.properties.set(key, value);
+		}
+	}
+
+	/**
+	 * Like _track() for ranges of the snapshot
+	 * @private
+	 */
+	_trackSnapshotRange(range) {
+		this.snapshotRanges.push(range);
+		range.track();
+	}
+
+	/**
+	 * Asks whether to restore the document to its snapshot after the transaction failed
+	 * part-way, leaving fields updated, {Updating} placeholders or half-converted notes behind
+	 * @private
+	 */
+	async _offerRestore() {
+		const result = await this.displayAlert(`Zotero could not finish updating the document, and some citations may have been left incomplete. Restore the document to how it was before the update?`, 0, 2);
+		if (result != 1) return;
+		try {
+			const wordRunArgs = this.snapshotRanges.length ? [this.snapshotRanges] : [];
+			await Word.run(...wordRunArgs, async (context) => {
+				this.context = context;
+				this.document = context.document;
+				try {
+					await this._restoreSnapshot();
+				}
+				finally {
+					this.context = this.document = null;
+				}
+			});
+		}
+		catch (e) {
+			Zotero.logError(e);
+			await this.displayAlert(`The document could not be restored. Use Undo in Word to revert the changes made by Zotero.`);
+		}
+	}
+
+	/**
+	 * Restores the saved ranges, the most recently saved first, and undoes the changes to
+	 * the citation store and bookmark code properties
+	 * @private
+	 */
+	async _restoreSnapshot() {
+		const { ranges, storeIDs, parts, properties } = this.snapshot;
+		let size = 0;
+		for (let { range, ooxml } of ranges.slice().reverse()) {
+			if (ooxml === null) {
+				range.insertText("", "Replace");
+				continue;
+			}
+			if (size && size + ooxml.length > BATCH_PAYLOAD_LIMIT) {
+				await this._sync();
+				size = 0;
+			}
+			range.insertOoxml(ooxml, "Replace");
+			size += ooxml.length;
+		}
+		if (storeIDs.size) {
+			const store = await this._loadCitationStore(true);
+			for (let storeID of storeIDs) {
+				if (store.has(storeID)) store.get(storeID).part.delete();
+			}
+		}
+		parts.forEach(xml => this.document.customXmlParts.add(xml));
+		if (properties.size) {
+			const customProperties = this.document.properties.customProperties.load('items/key');
+			await this._sync();
+			customProperties.items.filter(property => properties.get(property.key) === null)
+				.forEach(property => property.delete());
+			for (let [key, value] of properties) {
+				if (value !== null) customProperties.add(key, value);
+			}
+		}
+		await this._sync();
+	}
+
 	/**
 	 * Adds a tracked object to a list of tracked objects to be freed later.
 	 * You need to track objects to be able to access them across Word.run() and context.sync() calls.
@@ -173,9 +550,14 @@ Zotero.Session = class {
 	 * @private
 	 */
 	async _untrackAll() {
-		if (!this.trackedObjects.length) return;
-		this.context.trackedObjects.remove(this.trackedObjects);
-		await this.trackedObjects[0].context.sync();
+		const trackedObjects = this.trackedObjects.concat(this.snapshotRanges);
+		if (!trackedObjects.length) return;
+		// this.context is only set during callFunction()
+		const context = trackedObjects[0].context;
+		context.trackedObjects.remove(trackedObjects);
+		this.trackedObjects = [];
+		this.snapshotRanges = [];
+		await context.sync();
 	}
 
 	async getDocument() {
@@ -185,14 +567,17 @@ Zotero.Session = class {
 	async getActiveDocument() {
 		return {
 			documentID: Office.context.document.url,
-			primaryFieldType: 'Field',
-			secondaryFieldType: 'Bookmark',
+			primaryFieldType: this._supportsFields() ? 'Field' : 'ContentControl',
+			secondaryFieldType: this._supportsBookmarks() ? 'Bookmark' : null,
+			fieldTypes: this._getFieldTypes(),
 			outputFormat: 'html',
-			supportedNotes: ['footnotes', 'endnotes'],
-			supportsImportExport: true,
-			supportsTextInsertion: true,
-			supportsCitationMerging: true,
-			processorName: "Microsoft Word"
+			supportedNotes: ['footnotes', 'endnotes'].filter(notes => this._supports(notes)),
+			supportsImportExport: this._supports('importExport'),
+			supportsTextInsertion: this._supports('textInsertion'),
+			supportsCitationMerging: this._supports('citationMerging'),
+			processorName: "Microsoft Word",
+			protocolVersion: ZOTERO_CONFIG.PROTOCOL_VERSION,
+			features: FEATURES
 		}
 	}
 
@@ -204,36 +589,95 @@ Zotero.Session = class {
 		if (ranges.items[0] && ranges.items[0].text.startsWith(EXPORT_DOCUMENT_MARKER)) {
 			return EXPORT_DOCUMENT_MARKER;
 		}
-		const properties = this.document.properties.customProperties;
-		properties.load({$all: true});
-		await this._sync();
-		let pref_pieces = [];
-		for (let item of properties.items) {
-			if (item.key.startsWith(PREF_PREFIX)) {
-				pref_pieces.push(item);
-			}
+		try {
+			return await this._readDocumentData();
+		}
+		catch (e) {
+			if (!(e instanceof Zotero.Session.DocumentDataError)) throw e;
+			Zotero.logError(e);
+			const result = await this.displayAlert(`${e.message} Reset the document preferences? You will be asked to choose a citation style and other preferences again.`, 0, 2);
+			if (result != 1) throw e;
+			await this.setDocumentData('');
+			return '';
 		}
-		pref_pieces.sort((a, b) => a.key > b.key);
-		return pref_pieces.map(i => i.value).join('');
 	}
 
 	async setDocumentData(data) {
-		const properties = this.document.properties.customProperties;
-		for (let i = 1; data.length; i++) {
-			let slice = data.slice(0, PREF_LENGTH)
-			properties.add(`${PREF_PREFIX}_${i}`, slice);
-			data = data.slice(PREF_LENGTH);
+		const parts = this._supportsCustomXmlParts()
+			? this.document.customXmlParts.getByNamespace(DOC_PREFS_NAMESPACE).load('items')
+			: null;
+		const properties = this.document.properties.customProperties.load('items/key');
+		await this._sync();
+		// Stale chunks would otherwise be joined with shorter data
+		for (let property of properties.items) {
+			if (PREF_KEY_REGEXP.test(property.key)) property.delete();
+		}
+		if (parts) {
+			parts.items.forEach(part => part.delete());
+			this.document.customXmlParts.add(documentDataToXml(data));
+		}
+		else {
+			for (let i = 1; data.length; i++) {
+				properties.add(`${PREF_PREFIX}_${i}`, data.slice(0, PREF_LENGTH));
+				data = data.slice(PREF_LENGTH);
+			}
 		}
 		await this._sync();
 	}
 
+	/**
+	 * Reads document preferences from their custom XML part, or from legacy custom
+	 * properties, which are then migrated to the part
+	 * @returns {Promise<String>}
+	 * @throws {Zotero.Session.DocumentDataError} If the stored preferences are damaged
+	 * @private
+	 */
+	async _readDocumentData() {
+		const parts = this._supportsCustomXmlParts()
+			? this.document.customXmlParts.getByNamespace(DOC_PREFS_NAMESPACE).load('items')
+			: null;
+		const properties = this.document.properties.customProperties.load({$all: true});
+		await this._sync();
+		if (parts && parts.items.length) {
+			if (parts.items.length > 1) {
+				throw new Zotero.Session.DocumentDataError(`The document contains ${parts.items.length} copies of the Zotero document preferences.`);
+			}
+			const xml = parts.items[0].getXml();
+			await this._sync();
+			return documentDataFromXml(xml.value);
+		}
+		const { data, stale } = documentDataFromProperties(properties.items);
+		if (data && parts) {
+			Zotero.debug(`Migrating document preferences to a custom XML part`);
+			await this.setDocumentData(data);
+		}
+		else if (stale) {
+			Zotero.debug(`Removing stale document preference chunks`);
+			await this.setDocumentData(data);
+		}
+		return data;
+	}
+
+	/**
+	 * Custom XML parts are available from WordApi 1.4. Older hosts keep storing document
+	 * preferences in custom properties.
+	 * @private
+	 */
+	_supportsCustomXmlParts() {
+		return Office.context.requirements.isSetSupported('WordApi', '1.4');
+	}
+
 	async activate(force) {
 		window.focus();
 	}
 
 	async cleanup() {}
 
-	async complete() {}
+	async complete() {
+		await this._linkCitations();
+		await this._collectStoredCitations();
+		await this._saveFieldIndex();
+	}
 
 	async displayAlert(text, icon=0, buttons=0) {
 		const buttonMapping = [
@@ -266,36 +710,20 @@ Zotero.Session = class {
 		
 	}
 
-	async getFields() {
-		if (this.fields) {
-			// This is highly annoying and maybe somewhat bad for performance,
-			// but there is NO way to identify a field
-			// retrieved from insert/selection and one from a field collection
-			// by comparing IDs or something, and the only way to check if things are
-			// equal is to use the *ASYNC* range comparison command.
-			if (this.orphanFields.length) {
-				let comparisons = this.orphanFields.map(_ => []);
-				this.orphanFields.forEach((orphanField, idx) => {
-					for (let field of this.fields) {
-						comparisons[idx].push(field.wordField.result.compareLocationWith(orphanField.wordField.result));
-					}
-				});
-				await this._sync();
-				comparisons.forEach((comparison, orphanIdx) => {
-					let fieldIdx = comparison.findIndex(c => c.value === "Equal");
-					if (fieldIdx === -1) {
-						throw new Error ('Orphan Field not found when retrieving all fields');
-					}
-					let orphanField = this.orphanFields[orphanIdx]
-					let field = this.fields[fieldIdx];
-					// Use the orphanField id for this one and remap the field returned here to be
-					// the "main" one.
-					field.id = orphanField.id;
-					delete this.fieldsById[field.id];
-					this.fieldsById[orphanField.id] = field;
-				});
-				this.orphanFields = [];
+	async getFields(fieldType='Field') {
+		if (this.fields && this.fieldType === fieldType) {
+			const orphanFields = this.orphanFields.filter(field => fieldTypeOf(field) === fieldType);
+			if (orphanFields.length) {
+				if (this.fieldsPending) {
+					await this._loadIndexedWordObjects();
+				}
+				await this._reconcileOrphanFields(orphanFields);
+				this.orphanFields = this.orphanFields.filter(field => !orphanFields.includes(field));
 			}
+			// Fields read from the index only know the ordinal of their note
+			const notes = new Set(this.fields.filter(field => field.noteType)
+				.map(field => field.indexEntry ? `${field.noteType} ${field.indexEntry.note}` : field.wordNote));
+			this.trace.recordFields(this.fields.length, notes.size);
 			// If we keep old tracked objects from other calls Word Online breaks
 			// with a "something went wrong" prompt, needs a reload and changes are lost.
 			if (this.oldTrackedObjects && this.oldTrackedObjects.length) {
@@ -303,8 +731,19 @@ Zotero.Session = class {
 			}
 			return this.fields;
 		}
+		this.fieldType = fieldType;
+		this.fieldsPending = false;
 		this.oldTrackedObjects = this.trackedObjects;
 		this.trackedObjects = [];
+		if (fieldType === 'ContentControl') {
+			return this._getContentControlFields();
+		}
+		if (fieldType === 'Bookmark') {
+			return this._getBookmarkFields();
+		}
+		if (Zotero.FieldIndex.listen(this.context) && await this._getIndexedFields()) {
+			return this.getFields(fieldType);
+		}
 		const body = this.document.body;
 		let fields = body.fields.getByTypes([Word.FieldType.addin]);
 		fields = fields.load(FIELD_LOAD_OPTIONS);
@@ -313,10 +752,13 @@ Zotero.Session = class {
 		this._track(footnotes);
 		let endnotes = body.endnotes.load(['items', 'body/type']);
 		this._track(endnotes);
+		const stories = this._queueOtherStories();
 		await this._sync();
 		
 		footnotes.items.forEach(note => note.body.fields.load(FIELD_LOAD_OPTIONS));
 		endnotes.items.forEach(note => note.body.fields.load(FIELD_LOAD_OPTIONS));
+		let { textBoxes, headersFooters } = this._getOtherStories(stories);
+		textBoxes.concat(headersFooters).forEach(story => story.body.fields.load(FIELD_LOAD_OPTIONS));
 		await this._sync();
 		
 		let filterNotes = (notes) => {
@@ -328,10 +770,14 @@ Zotero.Session = class {
 		};
 		footnotes = await filterNotes(footnotes.items);
 		endnotes = await filterNotes(endnotes.items);
+		textBoxes = filterNotes(textBoxes);
+		headersFooters = await this._removeLinkedHeadersFooters(filterNotes(headersFooters));
 		
 		fields = fields.items.filter(field => field.code.trim().startsWith(FIELD_PREFIX));
 		fields = await this._sortNotesIntoFields(fields, footnotes)
 		fields = await this._sortNotesIntoFields(fields, endnotes)
+		fields = await this._sortTextBoxesIntoFields(fields, textBoxes);
+		fields = fields.concat(headersFooters);
 		
 		let getZoteroFieldsFromWordFields = (field, noteType=0, note=null) => {
 			if (typeof field.code !== "undefined") {
@@ -345,7 +791,12 @@ Zotero.Session = class {
 			let fields = [];
 			for (let noteField of field.body.fields.items) {
 				this._track(field.body.fields);
-				fields = fields.concat(getZoteroFieldsFromWordFields(noteField, BODY_TYPE_TO_NOTE_TYPE[field.body.type], note));
+				if (field.inlineOnly) {
+					fields = fields.concat(getZoteroFieldsFromWordFields(noteField).map(markInlineOnly));
+				}
+				else {
+					fields = fields.concat(getZoteroFieldsFromWordFields(noteField, BODY_TYPE_TO_NOTE_TYPE[field.body.type], field));
+				}
 			}
 			return fields;
 		}
@@ -354,54 +805,586 @@ Zotero.Session = class {
 		for (let field of fields) {
 			this.fields = this.fields.concat(getZoteroFieldsFromWordFields(field))
 		}
-		
-		let adjacency = this.fields.map(_ => ({ value: false }));
-		for (let i = 0; i < this.fields.length - 1; i++) {
-			let fieldA = this.fields[i];
-			let fieldB = this.fields[i+1];
-			adjacency[i] = fieldA.wordField.result.compareLocationWith(fieldB.wordField.result);
+		await this._resolveStoredCodes(this.fields);
+		await this._markAdjacentFields();
+		return this.getFields(fieldType);
+	}
+
+	/**
+	 * Reads the fields from Zotero.FieldIndex, reading again only those in paragraphs that changed
+	 * since the last transaction. The Zotero fields of the main body and of each note are counted
+	 * against the index, since not every edit is reported as a paragraph event. Their Word objects
+	 * are loaded by _loadIndexedWordObjects() when an integration method needs them.
+	 *
+	 * The count loads the codes of every field in the document, so the index saves reading field
+	 * texts, notes and stored citations, but not a round trip per field. Headers, footers and
+	 * text boxes are not indexed: the document is read in full once any of them has a Zotero field.
+	 *
+	 * @returns {Promise<Boolean>} False if the fields have to be read from the document
+	 * @private
+	 */
+	async _getIndexedFields() {
+		let entries = Zotero.FieldIndex.getEntries();
+		if (!entries) return false;
+		const { changed, added, deleted } = Zotero.FieldIndex.takeChanges();
+		entries = entries.filter(entry => !deleted.has(entry.paragraphId));
+		const paragraphs = Array.from(new Set([...changed, ...added]))
+			.filter(id => !deleted.has(id))
+			.map((id) => {
+				const fields = this.document.getParagraphByUniqueLocalId(id).getRange('Whole')
+					.fields.getByTypes([Word.FieldType.addin]).load(FIELD_LOAD_OPTIONS);
+				return { id, fields };
+			});
+		// Edits that were not reported as paragraph events change the number of fields or notes
+		const wordObjects = this._queueIndexedWordObjects();
+		const stories = this._queueOtherStories();
+		try {
+			await this._sync();
+		}
+		catch (e) {
+			Zotero.debug(`Failed to read changed paragraphs, reading all fields: ${e.message}`);
+			Zotero.FieldIndex.clear();
+			return false;
+		}
+		// Fields spanning several paragraphs, like the bibliography, are listed in each,
+		// but belong to their first paragraph
+		for (let paragraph of paragraphs) {
+			const fields = paragraph.fields.items.filter(field => field.code.trim().startsWith(FIELD_PREFIX));
+			paragraph.fields = fields.map((field, idx) => ({
+				field,
+				paragraph: field.result.paragraphs.getFirst().load('uniqueLocalId'),
+				adjacency: idx < fields.length - 1 ? field.result.compareLocationWith(fields[idx + 1].result) : null
+			}));
+		}
+		const { textBoxes, headersFooters } = this._getOtherStories(stories);
+		const otherFields = textBoxes.concat(headersFooters)
+			.map(story => story.body.fields.getByTypes([Word.FieldType.addin]).load('code'));
+		await this._sync();
+		// Only documents without them are indexed, see _saveFieldIndex()
+		if (otherFields.some(fields => fields.items.some(field => field.code.trim().startsWith(FIELD_PREFIX)))) {
+			Zotero.debug('Fields were added to headers, footers or text boxes, reading all fields');
+			Zotero.FieldIndex.clear();
+			return false;
+		}
+		if (paragraphs.length) {
+			entries = entries.map(entry => Object.assign({}, entry));
+			for (let { id, fields } of paragraphs) {
+				const block = entries.filter(entry => entry.paragraphId === id);
+				fields = fields.filter(({ paragraph }) => paragraph.uniqueLocalId === id);
+				// Fields were added to or removed from the paragraph, or new paragraphs have fields,
+				// so their place among the other fields is not known
+				if (fields.length !== block.length) {
+					Zotero.debug(`Fields changed in paragraph ${id}, reading all fields`);
+					Zotero.FieldIndex.clear();
+					return false;
+				}
+				fields.forEach(({ field, adjacency }, idx) => {
+					const code = field.code.trim().substr(FIELD_PREFIX.length);
+					const storeID = code.startsWith(CITATION_REF_PREFIX) ? code.substr(CITATION_REF_PREFIX.length).trim() : null;
+					if (!storeID || storeID !== block[idx].storeID) {
+						Object.assign(block[idx], { code: storeID ? null : code, storeID });
+					}
+					block[idx].text = field.result.text;
+					// Fields in different paragraphs are never adjacent
+					block[idx].adjacent = idx < fields.length - 1 && adjacency.value === "AdjacentBefore";
+				});
+			}
+		}
+		this.fields = entries.map(entry => this._indexEntryToField(entry));
+		if (!this._matchIndexedWordObjects(wordObjects)) {
+			Zotero.debug('Fields were changed without paragraph events, reading all fields');
+			Zotero.FieldIndex.clear();
+			this.fields = null;
+			return false;
 		}
+		await this._resolveStoredCodes(this.fields.filter(field => field.code === null));
+		entries.forEach((entry, idx) => entry.code = this.fields[idx].code);
+		Zotero.FieldIndex.save(entries);
+		this.fieldsPending = true;
+		return true;
+	}
+
+	/**
+	 * Creates a field from an entry of Zotero.FieldIndex, without its Word objects
+	 * @private
+	 */
+	_indexEntryToField(entry) {
+		const field = {
+			code: entry.code,
+			noteType: entry.noteType,
+			text: entry.text,
+			adjacent: entry.adjacent,
+			id: randomString()
+		};
+		Object.defineProperty(field, 'storeID', { value: entry.storeID, writable: true });
+		Object.defineProperty(field, 'indexEntry', { value: entry });
+		this.fieldsById[field.id] = field;
+		return field;
+	}
+
+	/**
+	 * Loads the Word objects of fields read from Zotero.FieldIndex. Main body fields and notes with
+	 * fields are matched to the fields in document order, without reading their texts.
+	 * @private
+	 */
+	async _loadIndexedWordObjects() {
+		const wordObjects = this._queueIndexedWordObjects();
 		await this._sync();
+		const matched = this._matchIndexedWordObjects(wordObjects);
+		if (!matched) {
+			Zotero.FieldIndex.clear();
+			throw new Error('The document was changed while Zotero was reading it. Please try again.');
+		}
 		this.fields.forEach((field, idx) => {
-			field.adjacent = adjacency[idx].value === "AdjacentBefore";
+			const { wordField, wordNote } = matched[idx];
+			field.wordField = wordField;
+			field.wordNote = wordNote;
+			this._track(wordField);
+			this._track(wordField.result);
+			if (wordNote) this._track(wordNote);
 		});
-		
-		return this.getFields();
+		this.fieldsPending = false;
 	}
 
-	async setBibliographyStyle(firstLineIndent, bodyIndent, lineSpacing, entrySpacing,
-										 tabStops, tabStopsCount) {
-		const styles = this.document.getStyles();
-		let style = styles.getByNameOrNullObject(Word.BuiltInStyleName.bibliography);
-		await this._sync();
-		if (style.isNullObject) {
-			// No bibliography style in Word Online!
-			style = this.document.addStyle(Word.BuiltInStyleName.bibliography, 'Paragraph');
+	/**
+	 * Queues loading the codes of the main body fields and of the fields of each note
+	 * @private
+	 */
+	_queueIndexedWordObjects() {
+		const body = this.document.body;
+		return {
+			wordFields: body.fields.getByTypes([Word.FieldType.addin]).load('code'),
+			notes: [body.footnotes, body.endnotes].map(notes => notes.load('items/body/fields/items/code'))
+		};
+	}
+
+	/**
+	 * Matches the Word objects loaded by _queueIndexedWordObjects() to the fields read from
+	 * Zotero.FieldIndex
+	 *
+	 * @returns {Object[]|null} {wordField, wordNote} of each field, or null if the document
+	 * 		does not have the same Zotero fields per story and note as the index
+	 * @private
+	 */
+	_matchIndexedWordObjects({ wordFields, notes }) {
+		const isZoteroField = field => field.code.trim().startsWith(FIELD_PREFIX);
+		const mainFields = wordFields.items.filter(isZoteroField);
+		const notesWithFields = notes.map(({ items }) => items
+			.map(note => ({ note, fields: note.body.fields.items.filter(isZoteroField) }))
+			.filter(({ fields }) => fields.length));
+		let mainIdx = 0;
+		const noteIdx = [[], [], []];
+		const matched = this.fields.map((field) => {
+			const { noteType, note } = field.indexEntry;
+			if (!noteType) {
+				return { wordField: mainFields[mainIdx++], wordNote: null };
+			}
+			const entry = notesWithFields[noteType - 1][note];
+			if (!entry) return {};
+			noteIdx[noteType][note] = (noteIdx[noteType][note] || 0) + 1;
+			return { wordField: entry.fields[noteIdx[noteType][note] - 1], wordNote: entry.note };
+		});
+		const counts = [mainFields.length].concat(notesWithFields.map(entries => entries.reduce((sum, entry) => sum + entry.fields.length, 0)));
+		const indexedCounts = [0, 1, 2].map(noteType => this.fields.filter(field => field.noteType === noteType).length);
+		const noteCounts = notesWithFields.map(entries => entries.length);
+		const indexedNoteCounts = [1, 2].map(noteType => new Set(this.fields
+			.filter(field => field.noteType === noteType).map(field => field.indexEntry.note)).size);
+		if (matched.some(({ wordField }) => !wordField)
+				|| counts.some((count, idx) => count !== indexedCounts[idx])
+				|| noteCounts.some((count, idx) => count !== indexedNoteCounts[idx])) {
+			return null;
+		}
+		return matched;
+	}
+
+	/**
+	 * Saves the fields at the end of the transaction to Zotero.FieldIndex
+	 * @private
+	 */
+	async _saveFieldIndex() {
+		if (!Zotero.FieldIndex.isSupported()) return;
+		// The document did not change, or the index was saved when the fields were read
+		if ((!this.fields && this.snapshot === null) || this.fieldsPending) return;
+		if (!this.fields || this.fieldType !== 'Field' || this.failed || this.orphanFields.length
+				|| this.fields.some(field => field.inlineOnly)) {
+			Zotero.FieldIndex.clear();
+			return;
+		}
+		try {
+			const fields = this.fields.map((field) => {
+				const range = this._fieldRange(field).load('text');
+				const paragraph = range.paragraphs.getFirst().load('uniqueLocalId');
+				return { field, range, paragraph };
+			});
+			// Fields of the same note may have different note objects, e.g. when one was inserted
+			// into the note in this transaction
+			const sameNote = fields.map(({ field }, idx) => {
+				const previous = fields[idx - 1] && fields[idx - 1].field;
+				if (!field.noteType || !previous || previous.noteType !== field.noteType) return false;
+				if (previous.wordNote === field.wordNote) return true;
+				return previous.wordNote.reference.compareLocationWith(field.wordNote.reference);
+			});
 			await this._sync();
+			const noteCounts = [0, 0, 0];
+			const entries = fields.map(({ field, range, paragraph }, idx) => {
+				const isSameNote = typeof sameNote[idx] === 'boolean' ? sameNote[idx] : sameNote[idx].value === "Equal";
+				if (field.noteType && !isSameNote) noteCounts[field.noteType]++;
+				return {
+					code: field.code,
+					storeID: field.storeID,
+					text: range.text,
+					noteType: field.noteType,
+					note: field.noteType ? noteCounts[field.noteType] - 1 : null,
+					adjacent: !!field.adjacent,
+					paragraphId: paragraph.uniqueLocalId
+				};
+			});
+			Zotero.FieldIndex.save(entries);
 		}
-		style.load();
+		catch (e) {
+			Zotero.logError(e);
+			Zotero.FieldIndex.clear();
+		}
+	}
+
+	/**
+	 * Reads Zotero fields stored in content controls, like getFields() does for Word fields
+	 * @private
+	 */
+	async _getContentControlFields() {
+		const body = this.document.body;
+		const controls = body.contentControls.load(CONTENT_CONTROL_LOAD_OPTIONS);
+		this._track(controls);
+		let footnotes = body.footnotes.load(['items', 'body/type']);
+		this._track(footnotes);
+		let endnotes = body.endnotes.load(['items', 'body/type']);
+		this._track(endnotes);
+		const stories = this._queueOtherStories();
 		await this._sync();
-		const paragraphFormat = style.paragraphFormat;
-		paragraphFormat.firstLineIndent = Math.max(0, firstLineIndent / 20);
-		paragraphFormat.leftIndent = bodyIndent / 20;
-		paragraphFormat.lineSpacing = lineSpacing / 20;
-		paragraphFormat.spaceAfter = entrySpacing / 20;
 
-		// Set tab stops
-		// TODO: Missing API reported https://github.com/OfficeDev/office-js/issues/3585
+		let notes = footnotes.items.concat(endnotes.items);
+		let { textBoxes, headersFooters } = this._getOtherStories(stories);
+		notes.concat(textBoxes, headersFooters)
+			.forEach(story => this._track(story.body.contentControls.load(CONTENT_CONTROL_LOAD_OPTIONS)));
 		await this._sync();
+		const isZoteroControl = control => CONTENT_CONTROL_TAG_REGEXP.test(control.tag);
+		const hasZoteroControls = story => story.body.contentControls.items.some(isZoteroControl);
+		notes = notes.filter(hasZoteroControls);
+		textBoxes = textBoxes.filter(hasZoteroControls);
+		headersFooters = await this._removeLinkedHeadersFooters(headersFooters.filter(hasZoteroControls));
+
+		// Sorted like Word fields, by the ranges of the controls
+		const mainFields = controls.items.filter(isZoteroControl)
+			.map(control => this._contentControlToField(control, 0, null));
+		let entries = await this._sortNotesIntoFields(mainFields.map(field => ({ code: field.code, result: this._fieldRange(field), field })), notes);
+		entries = await this._sortTextBoxesIntoFields(entries, textBoxes);
+		entries = entries.concat(headersFooters);
+		this.fields = [];
+		for (let entry of entries) {
+			if (entry.field) {
+				this.fields.push(entry.field);
+				continue;
+			}
+			for (let control of entry.body.contentControls.items.filter(isZoteroControl)) {
+				if (entry.inlineOnly) {
+					this.fields.push(markInlineOnly(this._contentControlToField(control, 0, null)));
+				}
+				else {
+					this.fields.push(this._contentControlToField(control, BODY_TYPE_TO_NOTE_TYPE[entry.body.type], entry));
+				}
+			}
+		}
+		await this._resolveStoredCodes(this.fields);
+		await this._markAdjacentFields();
+		return this.getFields('ContentControl');
 	}
 
-	async canInsertField(fieldType) {
-		const selection = this.document.getSelection();
-		selection.parentBody.load('type');
-		await this._sync();
+	/**
+	 * Reads Zotero fields stored in bookmarks. Bookmark fields are only allowed in the main body.
+	 * Hosts that cannot read bookmarks have none.
+	 * @private
+	 */
+	async _getBookmarkFields() {
+		if (!this._supportsBookmarks()) {
+			this.fields = [];
+			return this.getFields('Bookmark');
+		}
+		const names = this.document.body.getRange('Whole').getBookmarks(true, true);
+		const properties = this.document.properties.customProperties.load('items/key,items/value');
+		await this._sync();
+		const codes = bookmarkCodesFromProperties(properties.items);
+		let fields = names.value.filter(name => name.startsWith(BOOKMARK_PREFIX) && codes.has(name))
+			.map((name) => {
+				const range = this.document.getBookmarkRangeOrNullObject(name);
+				range.load('text');
+				return { name, range };
+			});
+		await this._sync();
+		fields = fields.filter(({ range }) => !range.isNullObject);
+		// Word returns bookmark names sorted alphabetically
+		fields = await this._sortByLocation(fields, field => field.range);
+		this.fields = fields.map(({ name, range }) => this._bookmarkToField(name, range, codes.get(name)));
+		await this._markAdjacentFields();
+		return this.getFields('Bookmark');
+	}
+
+	/**
+	 * Sorts items by the location of their ranges in the document. Each sync splits every unsorted
+	 * part around a random pivot, so n items take about 2n·ln(n) comparisons in O(log n) syncs.
+	 *
+	 * @param {Array} items
+	 * @param {Function} getRange Returns the Word.Range of an item
+	 * @returns {Promise<Array>} The sorted items
+	 * @private
+	 */
+	async _sortByLocation(items, getRange) {
+		let parts = [items];
+		while (parts.some(part => part.length > 1)) {
+			const splits = parts.map((part) => {
+				if (part.length < 2) return { sorted: part };
+				const pivot = part[Math.floor(Math.random() * part.length)];
+				const others = part.filter(item => item !== pivot);
+				const comparisons = others.map(item => getRange(item).compareLocationWith(getRange(pivot)));
+				return { pivot, others, comparisons };
+			});
+			await this._sync();
+			parts = [];
+			for (let { sorted, pivot, others, comparisons } of splits) {
+				if (sorted) {
+					parts.push(sorted);
+					continue;
+				}
+				const isAfter = idx => ["After", "AdjacentAfter", "InsideEnd", "OverlapsAfter"].includes(comparisons[idx].value);
+				parts.push(others.filter((_, idx) => !isAfter(idx)), [pivot], others.filter((_, idx) => isAfter(idx)));
+			}
+			parts = parts.filter(part => part.length);
+		}
+		return [].concat(...parts);
+	}
+
+	/**
+	 * Marks fields directly followed by another field as adjacent
+	 * @param {Number[]} [indices] Only update the fields at these indices
+	 * @private
+	 */
+	async _markAdjacentFields(indices) {
+		indices = indices || this.fields.map((_, idx) => idx);
+		let adjacency = indices.map((idx) => {
+			if (idx === this.fields.length - 1) return { value: false };
+			return this._fieldRange(this.fields[idx]).compareLocationWith(this._fieldRange(this.fields[idx + 1]));
+		});
+		await this._sync();
+		indices.forEach((fieldIdx, idx) => {
+			this.fields[fieldIdx].adjacent = adjacency[idx].value === "AdjacentBefore";
+		});
+	}
+
+	/**
+	 * Matches fields returned by insertField() and cursorInField() to the fields read by getFields().
+	 * There is NO way to identify a field retrieved from insert/selection and one from a field
+	 * collection by comparing IDs or something, and the only way to check if things are equal
+	 * is to use the *ASYNC* range comparison command. So orphans are looked up by their
+	 * position among the fields, like notes in _sortNotesIntoFields(), which takes log(n) syncs
+	 * instead of comparing with every field. Content controls and bookmarks have stable IDs
+	 * and names, so they are matched by those first.
+	 *
+	 * Orphans inserted after the fields were read are added to them at their position,
+	 * so the fields do not have to be read again.
+	 * @private
+	 */
+	async _reconcileOrphanFields(orphanFields) {
+		const unmatched = [];
+		for (let orphanField of orphanFields) {
+			const field = fieldKey(orphanField) && this.fields.find(field => fieldKey(field) === fieldKey(orphanField));
+			if (field) {
+				this._remapOrphanField(field, orphanField);
+			}
+			else {
+				unmatched.push(orphanField);
+			}
+		}
+		if (!unmatched.length) return;
+		const positions = await this._findFieldPositions(unmatched);
+		const inserted = [];
+		// Insert in reverse so that positions stay valid
+		for (let idx = unmatched.length - 1; idx >= 0; idx--) {
+			const { index, equal } = positions[idx];
+			if (equal) {
+				this._remapOrphanField(this.fields[index], unmatched[idx]);
+			}
+			else {
+				this.fields.splice(index, 0, unmatched[idx]);
+				inserted.forEach((other, otherIdx) => {
+					if (other >= index) inserted[otherIdx]++;
+				});
+				inserted.push(index);
+			}
+		}
+		if (inserted.length) {
+			const indices = new Set();
+			inserted.forEach((index) => {
+				if (index > 0) indices.add(index - 1);
+				indices.add(index);
+			});
+			await this._markAdjacentFields(Array.from(indices));
+		}
+	}
+
+	/**
+	 * Uses the id of an orphan for the field read by getFields(), so the id returned
+	 * by insertField() or cursorInField() keeps working
+	 * @private
+	 */
+	_remapOrphanField(field, orphanField) {
+		delete this.fieldsById[field.id];
+		field.id = orphanField.id;
+		this.fieldsById[orphanField.id] = field;
+	}
+
+	/**
+	 * Binary searches the positions of fields among this.fields. Main body fields and notes are
+	 * ordered by their main body ranges, and fields within the same note by their ranges in it.
+	 * Headers, footers and text boxes have no main body range, so orphans there are compared with
+	 * the fields in those stories only, and added at the end if they are new.
+	 *
+	 * @param {Object[]} orphanFields
+	 * @returns {Promise<Object[]>} {index, equal} of each field, where index is that of the equal
+	 * 		field or where the field should be inserted
+	 * @private
+	 */
+	async _findFieldPositions(orphanFields) {
+		const anchor = field => field.noteType ? field.wordNote.reference : this._fieldRange(field);
+		const candidates = this.fields.map((field, index) => ({ field, index }));
+		const ordered = candidates.filter(({ field }) => !field.inlineOnly);
+		const inlineOnly = candidates.filter(({ field }) => field.inlineOnly);
+
+		const searches = orphanFields.map(orphanField => ({
+			orphanField,
+			list: orphanField.inlineOnly ? inlineOnly : ordered,
+			lower: 0,
+			upper: orphanField.inlineOnly ? inlineOnly.length : ordered.length,
+			compIdx: -1,
+			comparisons: null,
+			equal: false
+		}));
+		let pending = false;
+		for (let search of searches.filter(search => search.orphanField.inlineOnly)) {
+			const range = this._fieldRange(search.orphanField);
+			search.comparisons = search.list.map(({ field }) => this._fieldRange(field).compareLocationWith(range));
+			pending = true;
+		}
+		while (true) {
+			for (let search of searches) {
+				if (search.orphanField.inlineOnly) continue;
+				if (search.comparisons) {
+					const [anchorComparison, rangeComparison] = search.comparisons.map(comparison => comparison.value);
+					const { field } = search.list[search.compIdx];
+					const comparison = anchorComparison === "Equal" && field.noteType && search.orphanField.noteType
+						? rangeComparison
+						: anchorComparison;
+					if (["Before", "AdjacentBefore"].includes(comparison)) {
+						search.lower = search.compIdx + 1;
+					}
+					else {
+						search.upper = search.compIdx;
+						search.equal = comparison === "Equal";
+					}
+					search.comparisons = null;
+				}
+				if (search.lower === search.upper) continue;
+				search.compIdx = search.lower + Math.floor((search.upper - search.lower) / 2);
+				const { field } = search.list[search.compIdx];
+				search.comparisons = [anchor(field).compareLocationWith(anchor(search.orphanField))];
+				if (field.noteType && search.orphanField.noteType) {
+					search.comparisons.push(this._fieldRange(field).compareLocationWith(this._fieldRange(search.orphanField)));
+				}
+			}
+			if (!pending && searches.every(search => search.orphanField.inlineOnly || search.lower === search.upper)) break;
+			await this._sync();
+			pending = false;
+		}
+
+		return searches.map((search) => {
+			if (search.orphanField.inlineOnly) {
+				const equalIdx = search.comparisons.findIndex(comparison => comparison.value === "Equal");
+				if (equalIdx !== -1) return { index: search.list[equalIdx].index, equal: true };
+				return { index: this.fields.length, equal: false };
+			}
+			if (search.lower < search.list.length) {
+				// Set when the field at the final position compared equal
+				return { index: search.list[search.lower].index, equal: search.equal };
+			}
+			const last = search.list[search.list.length - 1];
+			return { index: last ? last.index + 1 : 0, equal: false };
+		});
+	}
+
+	async setBibliographyStyle(firstLineIndent, bodyIndent, lineSpacing, entrySpacing,
+										 tabStops, tabStopsCount) {
+		const styles = this.document.getStyles();
+		let style = styles.getByNameOrNullObject(Word.BuiltInStyleName.bibliography);
+		await this._sync();
+		if (style.isNullObject) {
+			// No bibliography style in Word Online!
+			style = this.document.addStyle(Word.BuiltInStyleName.bibliography, 'Paragraph');
+			await this._sync();
+		}
+		style.load();
+		await this._sync();
+		const paragraphFormat = style.paragraphFormat;
+		paragraphFormat.firstLineIndent = Math.max(0, firstLineIndent / 20);
+		paragraphFormat.leftIndent = bodyIndent / 20;
+		paragraphFormat.lineSpacing = lineSpacing / 20;
+		paragraphFormat.spaceAfter = entrySpacing / 20;
+		await this._sync();
+
+		// Tab stops cannot be set on the style, see BIBLIOGRAPHY_STYLE_NAMESPACE
+		if (!this._supportsCustomXmlParts()) return;
+		this.bibliographyFormat = { firstLineIndent, bodyIndent, lineSpacing, entrySpacing,
+			tabStops: tabStops.slice(0, tabStopsCount) };
+		const parts = this.document.customXmlParts.getByNamespace(BIBLIOGRAPHY_STYLE_NAMESPACE).load('items');
+		await this._sync();
+		parts.items.forEach(part => part.delete());
+		this.document.customXmlParts.add(bibliographyFormatToXml(this.bibliographyFormat));
+		await this._sync();
+	}
+
+	/**
+	 * Loads the bibliography paragraph format set by setBibliographyStyle(), in this or an earlier
+	 * transaction
+	 *
+	 * @returns {Promise<Object|null>}
+	 * @private
+	 */
+	async _loadBibliographyFormat() {
+		if (this.bibliographyFormat !== undefined) return this.bibliographyFormat;
+		this.bibliographyFormat = null;
+		if (!this._supportsCustomXmlParts()) return null;
+		const parts = this.document.customXmlParts.getByNamespace(BIBLIOGRAPHY_STYLE_NAMESPACE).load('items');
+		await this._sync();
+		if (!parts.items.length) return null;
+		const xml = parts.items[0].getXml();
+		await this._sync();
+		this.bibliographyFormat = bibliographyFormatFromXml(xml.value);
+		return this.bibliographyFormat;
+	}
+
+	async canInsertField(fieldType) {
+		const selection = this.document.getSelection();
+		selection.parentBody.load('type');
+		await this._sync();
 		const type = selection.parentBody.type;
-		return (fieldType !== 'Bookmark' && ["Footnote", "Endnote"].includes(type))
+		return (fieldType !== 'Bookmark' && ["Footnote", "Endnote"].concat(INLINE_ONLY_BODY_TYPES).includes(type))
 			|| type === "MainDoc";
 	}
 	
 	async cursorInField(fieldType) {
+		if (fieldType === 'ContentControl') {
+			return this._cursorInContentControl();
+		}
+		if (fieldType === 'Bookmark') {
+			return this._cursorInBookmark();
+		}
 		const selection = this.document.getSelection();
 		let fields = selection.fields.getByTypes(["Addin"])
 		fields = fields.load(FIELD_LOAD_OPTIONS);
@@ -411,6 +1394,7 @@ Zotero.Session = class {
 		this._track(fields);
 		for (let field of fields.items) {
 			if (field.code.trim().startsWith(FIELD_PREFIX)) {
+				field.result.parentBody.load('type');
 				this._track(field);
 				this._track(field.result);
 				await this._sync();
@@ -418,7 +1402,10 @@ Zotero.Session = class {
 				if (noteType) {
 					note = await this._getNoteFromBody(field.result.parentBody);
 				}
-				return this._wordFieldToField(field, noteType, note, true);
+				const zoteroField = this._wordFieldToField(field, noteType, note, true);
+				markInlineOnlyIn(zoteroField, selection.parentBody.type);
+				await this._resolveStoredCodes([zoteroField]);
+				return zoteroField;
 			}
 		}
 		// Unfortunately if the selection is collapsed no fields "in selection" are returned
@@ -450,14 +1437,58 @@ Zotero.Session = class {
 				if (noteType) {
 					note = await this._getNoteFromBody(f1.result.parentBody);
 				}
-				return this._wordFieldToField(f1, noteType, note, true);
+				const zoteroField = this._wordFieldToField(f1, noteType, note, true);
+				markInlineOnlyIn(zoteroField, selection.parentBody.type);
+				await this._resolveStoredCodes([zoteroField]);
+				return zoteroField;
 			}
 		}
 		return null;
 	}
 
+	/**
+	 * Content controls know their parent content control, so unlike for fields no range
+	 * comparisons are needed
+	 * @private
+	 */
+	async _cursorInContentControl() {
+		const selection = this.document.getSelection();
+		const control = selection.parentContentControlOrNullObject;
+		control.load(CONTENT_CONTROL_LOAD_OPTIONS);
+		selection.parentBody.load('type');
+		await this._sync();
+		if (control.isNullObject || !CONTENT_CONTROL_TAG_REGEXP.test(control.tag)) {
+			return null;
+		}
+		this._track(control);
+		const noteType = BODY_TYPE_TO_NOTE_TYPE[selection.parentBody.type] || 0;
+		let note;
+		if (noteType) {
+			note = await this._getNoteFromBody(selection.parentBody);
+		}
+		const field = this._contentControlToField(control, noteType, note, true);
+		markInlineOnlyIn(field, selection.parentBody.type);
+		await this._resolveStoredCodes([field]);
+		return field;
+	}
+
+	/**
+	 * @private
+	 */
+	async _cursorInBookmark() {
+		const names = this.document.getSelection().getBookmarks(true, false);
+		const properties = this.document.properties.customProperties.load('items/key,items/value');
+		await this._sync();
+		const codes = bookmarkCodesFromProperties(properties.items);
+		const name = names.value.find(name => name.startsWith(BOOKMARK_PREFIX) && codes.has(name));
+		if (!name) return null;
+		const range = this.document.getBookmarkRangeOrNullObject(name);
+		range.load('text');
+		await this._sync();
+		return this._bookmarkToField(name, range, codes.get(name), true);
+	}
 
-	async insertField(_fieldType, noteType, insertRange) {
+	async insertField(fieldType, noteType, insertRange) {
 		this.noteType = noteType;
 		const selection = this.document.getSelection();
 
@@ -466,6 +1497,11 @@ Zotero.Session = class {
 			insertRange = selection;
 			selection.parentBody.load('type');
 			await this._sync();
+			await this._snapshotBodyRanges(selection.parentBody, [selection]);
+			// Notes cannot be inserted here
+			if (INLINE_ONLY_BODY_TYPES.includes(selection.parentBody.type)) {
+				noteType = this.noteType = 0;
+			}
 			if (noteType && selection.parentBody.type !== NOTE_TYPE_TO_BODY_TYPE[noteType]) {
 				if (noteType === 1) {
 					note = selection.insertFootnote('');
@@ -477,6 +1513,30 @@ Zotero.Session = class {
 			}
 		}
 		
+		if (fieldType === 'Bookmark') {
+			const name = BOOKMARK_PREFIX + randomString(BOOKMARK_ID_LENGTH);
+			const range = insertRange.insertText(FIELD_PLACEHOLDER, "Replace");
+			range.insertBookmark(name);
+			range.load('text');
+			this._setBookmarkCode(name, FIELD_INSERT_CODE, []);
+			await this._sync();
+			return this._bookmarkToField(name, range, FIELD_INSERT_CODE, true);
+		}
+
+		if (fieldType === 'ContentControl') {
+			const control = insertRange.insertContentControl();
+			this._setContentControlCode(control, FIELD_INSERT_CODE);
+			control.insertText(FIELD_PLACEHOLDER, "Replace");
+			control.load(CONTENT_CONTROL_LOAD_OPTIONS);
+			control.parentBody.load("type");
+			this._track(control);
+			await this._sync();
+			if (noteType && !note) {
+				note = await this._getNoteFromBody(control.parentBody);
+			}
+			return markInlineOnlyIn(this._contentControlToField(control, noteType, note, true), control.parentBody.type);
+		}
+
 		const field = insertRange.insertField('Replace', 'Addin');
 		field.code = `${FIELD_PREFIX}${FIELD_INSERT_CODE}`;
 		field.result.insertText(FIELD_PLACEHOLDER, "Replace");
@@ -492,7 +1552,7 @@ Zotero.Session = class {
 		if (noteType && !note) {
 			note = await this._getNoteFromBody(field.result.parentBody);
 		}	
-		return this._wordFieldToField(field, noteType, note, true);
+		return markInlineOnlyIn(this._wordFieldToField(field, noteType, note, true), field.result.parentBody.type);
 	}
 
 	async insertText(text) {
@@ -500,6 +1560,7 @@ Zotero.Session = class {
 		let insertRange = selection;
 		selection.parentBody.load('type');
 		await this._sync();
+		await this._snapshotBodyRanges(selection.parentBody, [selection]);
 		// If at the start of operation cursor was in an empty footnote
 		// insertField was called, then field.delete, which deleted the
 		// footnote. As such we need to reinsert the footnote here.
@@ -513,7 +1574,7 @@ Zotero.Session = class {
 			}
 			insertRange = note.body.getRange("End");
 		}
-		insertRange.insertHtml(text);
+		insertRange.insertOoxml(htmlToOoxml(text), "Replace");
 		insertRange.parentBody.getRange().select("End");
 	}
 
@@ -521,33 +1582,189 @@ Zotero.Session = class {
 		const selection = this.document.getSelection();
 		let ranges = selection.parentBody.getRange().getHyperlinkRanges();
 		ranges.load(['items', 'hyperlink']);
+		selection.parentBody.load('type');
 		await this._sync();
-		let fields = [];
-		for (let range of ranges.items) {
+		const placeholders = ranges.items.filter((range) => {
 			const id = range.hyperlink.substring(range.hyperlink.length - PLACEHOLDER_LINK_ID_LENGTH);
-			if (placeholderIDs.indexOf(id) === -1) continue;
+			return placeholderIDs.indexOf(id) !== -1;
+		});
+		await this._snapshotBodyRanges(selection.parentBody, placeholders);
+		let fields = [];
+		for (let range of placeholders) {
 			await this._sync();
-			fields.push(await this.insertField("Field", noteType, range));
+			fields.push(await this.insertField(this.fieldType || "Field", noteType, range));
 		}
 		this.fields = null;
 		return fields;
 	}
 
 	async convert(fieldIDs, fieldType, fieldNoteTypes) {
-		const fields = await this.getFields();
+		// Field IDs are of the fields Zotero read before changing the field type
+		const currentFieldType = this.fieldType || 'Field';
+		const fields = await this.getFields(currentFieldType);
 		if (!fields.length) return;
-		if (fields[0].noteType !== fieldNoteTypes[0]) {
-			fieldIDs = new Set(fieldIDs);
-			if (fieldNoteTypes[0] > 0) {
-				await this.inlineToNotes(fieldIDs, fieldNoteTypes);
+		if (fieldType !== currentFieldType) {
+			await this._snapshotFields(fields.filter(field => fieldIDs.includes(field.id)));
+			await this._convertFields(fieldIDs, fieldType, fieldNoteTypes);
+			// Read again as fieldType, if needed to collect stored citations
+			this.fieldType = fieldType;
+			this.fields = null;
+			return;
+		}
+		const noteTypes = new Map(fieldIDs.map((id, idx) => [id, fieldNoteTypes[idx]]));
+		const moved = fields.filter(field => noteTypes.has(field.id) && noteTypes.get(field.id) !== field.noteType);
+		const toOtherNotes = moved.filter(field => field.noteType && noteTypes.get(field.id));
+		const toNotes = moved.filter(field => !field.noteType && !field.inlineOnly);
+		const toInline = moved.filter(field => !noteTypes.get(field.id) && field.noteType);
+		await this._snapshotFields(moved);
+		if (toOtherNotes.length) {
+			await this._convertFields(toOtherNotes.map(field => field.id), fieldType, toOtherNotes.map(field => noteTypes.get(field.id)));
+		}
+		if (fieldType !== 'Field' && (toNotes.length || toInline.length)) {
+			const fieldsToMove = toNotes.concat(toInline);
+			await this._convertFields(fieldsToMove.map(field => field.id), fieldType, fieldsToMove.map(field => noteTypes.get(field.id)));
+		}
+		else {
+			if (toNotes.length) {
+				await this.inlineToNotes(new Set(toNotes.map(field => field.id)), toNotes.map(field => noteTypes.get(field.id)));
 			}
-			else {
-				await this.notesToInline(fieldIDs);
+			if (toInline.length) {
+				await this.notesToInline(new Set(toInline.map(field => field.id)));
 			}
 		}
 		this.fields = null;
 	}
-	
+
+	/**
+	 * Moves fields into new containers of fieldType, and into or out of notes. The formatted
+	 * text of each field is copied over as HTML, and inserted with the style of field text like setText().
+	 * Fields moved from a note to the other note type go into one new note at the same reference.
+	 * Only the fields move: notes left with other text are kept, and reported to the user when the
+	 * transaction ends, like in notesToInline().
+	 *
+	 * @param {String[]} fieldIDs
+	 * @param {String} fieldType
+	 * @param {Number[]} fieldNoteTypes Note type of each field after the conversion
+	 * @private
+	 */
+	async _convertFields(fieldIDs, fieldType, fieldNoteTypes) {
+		const noteTypes = new Map(fieldIDs.map((id, idx) => [id, fieldNoteTypes[idx]]));
+		// Reverse sort to not upset doc during update
+		const fields = this.fields.filter(field => noteTypes.has(field.id)).reverse();
+		fields.filter(field => field.inlineOnly).forEach(field => noteTypes.set(field.id, 0));
+		if (fieldType === 'Bookmark' && fields.some(field => noteTypes.get(field.id))) {
+			throw new Error(`Bookmark fields cannot be placed in notes`);
+		}
+		if (fieldType === 'Bookmark' && fields.some(field => field.inlineOnly)) {
+			throw new Error(`Bookmark fields cannot be placed in headers, footers or text boxes`);
+		}
+		const state = {};
+		fields.forEach(field => this._prepareTextStyle(field.code, state));
+		const conversions = fields.map(field => ({ field, noteType: noteTypes.get(field.id), html: this._fieldRange(field).getHtml() }));
+		// Notes that fields move out of, with their text outside of those fields
+		const notes = groupFieldsByNote(fields.slice().reverse().filter(field => field.noteType
+			&& noteTypes.get(field.id) !== field.noteType));
+		notes.forEach(entry => entry.otherText = this._queueTextOutsideFields(entry.note, entry.fields));
+		if (fields.some(field => field.bookmark)) {
+			state.properties = this.document.properties.customProperties.load('items/key,items/value');
+		}
+		await this._sync();
+
+		const noteOf = field => notes.find(entry => entry.note === field.wordNote);
+		const newNotes = new Map();
+		for (let { field, noteType, html } of conversions) {
+			const range = this._fieldRange(field);
+			let insertRange = field.wordField ? range.getRange('End') : range.getRange('After');
+			const note = noteOf(field);
+			if (noteType && !field.noteType) {
+				const newNote = noteType === 1 ? range.insertFootnote('') : range.insertEndnote('');
+				insertRange = newNote.body.getRange('End');
+			}
+			// Fields are converted in reverse order, so each goes before the ones after it
+			else if (noteType && note) {
+				if (!newNotes.has(note)) {
+					const reference = field.wordNote.reference.getRange('After');
+					newNotes.set(note, noteType === 1 ? reference.insertFootnote('') : reference.insertEndnote(''));
+				}
+				insertRange = newNotes.get(note).body.getRange('Start');
+			}
+			else if (note) {
+				insertRange = field.wordNote.reference.getRange('After');
+			}
+			this._insertConvertedField(fieldType, insertRange, field.code, html.value, state);
+
+			if (field.bookmark) {
+				this.document.deleteBookmark(field.bookmark);
+				this._deleteBookmarkProperties(this._bookmarkProperties(field, state));
+			}
+			// The fields of notes without other text are removed with the note
+			if (note && !hasText(note.otherText)) continue;
+			if (field.wordField) {
+				field.wordField.delete();
+			}
+			else if (field.contentControl) {
+				field.contentControl.delete(false);
+			}
+			else {
+				range.delete();
+			}
+		}
+		const keptNotes = [];
+		for (let { note, fields, otherText } of notes) {
+			if (hasText(otherText)) {
+				keptNotes.push({ note, noteType: fields[0].noteType });
+			}
+			else {
+				note.delete();
+			}
+		}
+		const store = fields.some(field => field.storeID) ? await this._loadCitationStore() : null;
+		for (let field of fields) {
+			if (field.storeID && store.has(field.storeID)) {
+				const citation = store.get(field.storeID);
+				if (this.snapshot) {
+					this.snapshot.parts.push(citationToXml(field.storeID, citation.code, citation.fieldType));
+				}
+				citation.part.delete();
+				store.delete(field.storeID);
+			}
+		}
+		await this._sync();
+		if (keptNotes.length) {
+			const descriptions = await this._describeNotes(keptNotes);
+			Zotero.debug(`Kept notes with text besides citations: ${descriptions.join(', ')}`);
+			this.keptNotes.push(...descriptions);
+		}
+	}
+
+	/**
+	 * Queues inserting a field of fieldType with a code and the HTML of Range.getHtml() as text
+	 * @private
+	 */
+	_insertConvertedField(fieldType, insertRange, code, html, state) {
+		const ooxml = htmlToOoxml(htmlBody(html));
+		let range;
+		if (fieldType === 'ContentControl') {
+			const control = insertRange.insertContentControl();
+			this._setContentControlCode(control, code);
+			control.insertOoxml(ooxml, "Replace");
+			range = control;
+		}
+		else if (fieldType === 'Bookmark') {
+			const name = BOOKMARK_PREFIX + randomString(BOOKMARK_ID_LENGTH);
+			range = insertRange.insertOoxml(ooxml, "Replace");
+			range.insertBookmark(name);
+			this._setBookmarkCode(name, code, []);
+		}
+		else {
+			const wordField = insertRange.insertField('Replace', 'Addin');
+			wordField.code = `${FIELD_PREFIX}${this._storeCode(code)}`;
+			wordField.result.insertOoxml(ooxml, "Replace");
+			range = wordField.result;
+		}
+		this._queueTextStyle(range, code, state);
+	}
+
 	async inlineToNotes(fieldIDs, fieldNoteTypes) {
 		let insertFunctionNames = {
 			1: "insertFootnote",
@@ -574,40 +1791,104 @@ Zotero.Session = class {
 			const note = insertNotes[index];
 			const insertRange = note.body.getRange('End');
 			const wordField = insertRange.insertField('Replace', 'Addin');
-			wordField.code = `${FIELD_PREFIX}${field.code}`;
+			wordField.code = `${FIELD_PREFIX}${this._wordCode(field)}`;
 			wordField.result.insertText(field.text, "Replace");
 			note.untrack();
 		});
 		await this._sync();
 	}
 	
+	/**
+	 * Moves citations from notes into the text after the note reference. Notes that only hold
+	 * citations are removed. Notes with other text are kept with that text, and reported to the user
+	 * when the transaction ends.
+	 *
+	 * @param {Set<String>} fieldIDs
+	 * @returns {Promise<String[]>} Descriptions of the notes that were kept, e.g. "footnote 2"
+	 */
 	async notesToInline(fieldIDs) {
 		let fields = await this.getFields();
-		// Reverse sort to not upset doc during update.
 		// Ignore fields already inline (shouldn't be any).
-		fields = fields.reverse().filter(f => f.noteType && fieldIDs.has(f.id));
-		
-		let noteRanges = []
-		fields.forEach(f => {
-			let range = f.wordNote.body.getRange();
-			range.load('text');
-			noteRanges.push(range);
-		});
+		fields = fields.filter(f => f.noteType && fieldIDs.has(f.id));
+		const notes = groupFieldsByNote(fields);
+		const otherText = notes.map(({ note, fields }) => this._queueTextOutsideFields(note, fields));
 		await this._sync();
-		
-		fields.forEach((field, index) => {
-			const noteRange = noteRanges[index];
-			// See note in delete() for why we're comparing text length and not ranges.
-			if (field.wordField.result.text.trim().length !== noteRange.text.trim().length) {
-				return;
-			}
-		
+
+		// Reverse sort to not upset doc during update.
+		const keptNotes = [];
+		fields.reverse().forEach((field) => {
 			const wordField = field.wordNote.reference.insertField('End', 'Addin');
-			wordField.code = `${FIELD_PREFIX}${field.code}`;
+			wordField.code = `${FIELD_PREFIX}${this._wordCode(field)}`;
 			wordField.result.insertText(field.text, "Replace");
-			field.wordNote.delete();
 		});
+		notes.forEach(({ note, fields }, idx) => {
+			if (hasText(otherText[idx])) {
+				fields.forEach(field => field.wordField.delete());
+				keptNotes.push({ note, noteType: fields[0].noteType });
+			}
+			else {
+				note.delete();
+			}
+		});
+		await this._sync();
+		if (!keptNotes.length) return [];
+
+		const descriptions = await this._describeNotes(keptNotes);
+		Zotero.debug(`Kept notes with text besides citations: ${descriptions.join(', ')}`);
+		this.keptNotes.push(...descriptions);
+		return descriptions;
+	}
+
+	/**
+	 * Tells the user which notes citations were moved out of and were kept for their other text.
+	 * Showing the alert while moving the citations would hold up Word.run() and Zotero until it
+	 * is closed, so it waits for the transaction to end.
+	 * @private
+	 */
+	async _reportKeptNotes() {
+		await this.displayAlert(`Citations were moved out of notes, but some notes also contain other text and were kept: ${this.keptNotes.join(', ')}. Review them and remove them if they are no longer needed.`);
+	}
+
+	/**
+	 * Queues loading the text of a note that is not part of the given fields
+	 *
+	 * @param {Word.NoteItem} note
+	 * @param {Object[]} fields Fields in the note, in document order
+	 * @returns {Word.Range[]} The ranges before, between and after the fields
+	 * @private
+	 */
+	_queueTextOutsideFields(note, fields) {
+		let start = note.body.getRange('Start');
+		const ranges = [];
+		for (let field of fields) {
+			const range = this._fieldRange(field);
+			ranges.push(start.expandTo(range.getRange('Start')));
+			start = range.getRange('End');
+		}
+		ranges.push(start.expandTo(note.body.getRange('End')));
+		ranges.forEach(range => range.load('text'));
+		return ranges;
+	}
+
+	/**
+	 * @param {Object[]} notes {note, noteType}
+	 * @returns {Promise<String[]>} Descriptions with the current note numbers, e.g. "footnote 2"
+	 * @private
+	 */
+	async _describeNotes(notes) {
+		const allNotes = [
+			null,
+			this.document.body.footnotes.load('items'),
+			this.document.body.endnotes.load('items')
+		];
+		await this._sync();
+		const comparisons = notes.map(({ note, noteType }) => allNotes[noteType].items
+			.map(other => other.reference.compareLocationWith(note.reference)));
 		await this._sync();
+		return notes.map(({ noteType }, idx) => {
+			const number = comparisons[idx].findIndex(comparison => comparison.value === "Equal") + 1;
+			return `${noteType === 1 ? 'footnote' : 'endnote'} ${number}`;
+		});
 	}
 	
 	async importDocument() {
@@ -617,7 +1898,8 @@ Zotero.Session = class {
 			this.document.getFootnoteBody().getRange(),
 			this.document.getEndnoteBody().getRange()
 		];
-		for (let range of ranges) {
+		const noteCollections = [null, this.document.body.footnotes, this.document.body.endnotes];
+		for (let [idx, range] of ranges.entries()) {
 			let hyperlinkRanges = range.getHyperlinkRanges();
 			hyperlinkRanges.track();
 			hyperlinkRanges.load(['items', 'hyperlink', 'text']);
@@ -625,6 +1907,16 @@ Zotero.Session = class {
 			// This is bad code we shouldn't need but the babel transpiler is generating
 			// wrong mappings here, so we're stuck with it.
 			if (!hyperlinkRanges.items || !hyperlinkRanges.items.length) continue;
+			const links = hyperlinkRanges.items.filter(hyperlinkRange => hyperlinkRange.hyperlink.startsWith(IMPORT_LINK_URL));
+			// Links in notes are saved by the paragraphs of the note references, see _snapshotFields()
+			if (links.length && noteCollections[idx]) {
+				const notes = noteCollections[idx].load('items');
+				await this._sync();
+				await this._snapshotRanges(notes.items.map(note => note.reference));
+			}
+			else {
+				await this._snapshotRanges(links);
+			}
 			for (let hyperlinkRange of hyperlinkRanges.items.reverse()) {
 				if (!hyperlinkRange.hyperlink.startsWith(IMPORT_LINK_URL)) continue;
 				const code = hyperlinkRange.text;
@@ -636,7 +1928,7 @@ Zotero.Session = class {
 				}
 				hyperlinkRange.hyperlink = "";
 				let field = hyperlinkRange.insertField("Replace", "Addin");
-				field.code = FIELD_PREFIX + code;
+				field.code = FIELD_PREFIX + this._storeCode(code);
 				field.result.insertText(FIELD_PLACEHOLDER, "Replace");
 			}
 			await this._sync();
@@ -652,22 +1944,41 @@ Zotero.Session = class {
 		await this._sync();
 		range = range.getRange('Start');
 		range = range.expandTo(ranges.items[3]);
+		await this._snapshotRanges([range]);
 		range.insertText("", "Replace");
 		await this._sync();
 		
 		return result;
 	}
 
-	async exportDocument(_, importInstructions) {
+	async exportDocument(fieldType, importInstructions) {
 		// Document data
 		let docData = await this.getDocumentData();
-		let insertRange = this.document.body.getRange('End');
-		insertRange = insertRange.insertText("\n", "End");
-		insertRange = insertRange.insertText(IMPORT_DOC_PREFS_PREFIX + docData, "End");
+		const dataRange = this.document.body.getRange('End').insertText("\n", "End");
+		let insertRange = dataRange.insertText(IMPORT_DOC_PREFS_PREFIX + docData, "End");
 		insertRange.hyperlink = IMPORT_LINK_URL;
+		this._snapshotInsertion(dataRange);
 			
-		let fields = (await this.getFields()).reverse();
+		let fields = (await this.getFields(fieldType)).reverse();
+		await this._snapshotFields(fields);
+		if (fieldType === 'Bookmark') {
+			const properties = this.document.properties.customProperties.load('items/key,items/value');
+			await this._sync();
+			this._deleteBookmarkProperties(properties.items.filter(property => BOOKMARK_PROPERTY_REGEXP.test(property.key)));
+		}
 		for (let field of fields) {
+			if (field.bookmark) {
+				let range = field.range.insertText(field.code, "Replace");
+				range.hyperlink = IMPORT_LINK_URL;
+				this.document.deleteBookmark(field.bookmark);
+				continue;
+			}
+			if (field.contentControl) {
+				let range = field.contentControl.getRange('After').insertText(field.code);
+				range.hyperlink = IMPORT_LINK_URL;
+				field.contentControl.delete(false);
+				continue;
+			}
 			let range = field.wordField.result.getRange('End').insertText(field.code);
 			range.hyperlink = IMPORT_LINK_URL;
 			field.wordField.delete();
@@ -675,129 +1986,731 @@ Zotero.Session = class {
 		await this._sync();
 	
 		// Import instructions
-		insertRange = this.document.body.getRange('Start');
-		insertRange = insertRange.insertText("\n\n", "Start");
-		insertRange = insertRange.insertText(importInstructions, "Start")
+		const instructionsRange = this.document.body.getRange('Start').insertText("\n\n", "Start");
+		insertRange = instructionsRange.insertText(importInstructions, "Start")
 		
 		// Export marker
 		insertRange = insertRange.insertText("\n\n", "Start");
-		insertRange.insertText(EXPORT_DOCUMENT_MARKER, "Start");
+		insertRange = insertRange.insertText(EXPORT_DOCUMENT_MARKER, "Start");
+		this._snapshotInsertion(insertRange.expandTo(instructionsRange));
 		await this._sync();
 	}	
 
-	async setText(fieldID, text) {
-		const field = this.fieldsById[fieldID];
-		let style;
-		field.wordField.result.insertHtml(text, "Replace");
-		if (field.code.startsWith("BIBL")) {
-			style = this.document.getStyles().getByNameOrNullObject(Word.BuiltInStyleName.bibliography);
-			style.load('builtIn');
-			await this._sync();
-			if (style.isNullObject) {
-				// No bibliography style in Word Online!
-				throw new Error("Bibliography style not set before inserting bibliography")
-			}
-		}
-		if (style) {
-			if (style.builtIn) {
-				field.wordField.result.styleBuiltIn = Word.BuiltInStyleName.bibliography;
-			}
-			else {
-				field.wordField.result.style = Word.BuiltInStyleName.bibliography;
-			}
-		}
-		await this._sync();
+	async setText(fieldID, text, isRich) {
+		return this._runFieldOperation({ command: 'setText', args: [fieldID, text, isRich] });
 	}
 
 	async setCode(fieldID, code) {
-		const field = this.fieldsById[fieldID];
-		field.wordField.code = `${FIELD_PREFIX}${code}`;
-		field.code = code;
-		await this._sync();
+		return this._runFieldOperation({ command: 'setCode', args: [fieldID, code] });
 	}
 
 	async delete(fieldID) {
-		const field = this.fieldsById[fieldID];
-		const parentBody = field.wordField.result.parentBody;
-		parentBody.load('type');
-		await this._sync();
-		if (parentBody.type === "MainDoc") {
-			field.wordField.result.insertText("", "Replace");
-		}
-		else {
-			field.wordField.result.load('text');
-			let noteRange = field.wordNote.body.getRange();
-			noteRange.load('text');
-			await this._sync();
-			// The range.compareWithLocation function won't do us good here, since we cannot construct custom
-			// ranges that would account for an empty space.
-			// TODO: This does not work correctly right now due to an API bug:
-			// https://github.com/OfficeDev/office-js/issues/3591
-			if (field.wordField.result.text.trim().length === noteRange.text.trim().length) {
-				this.insertTextIntoNote = BODY_TYPE_TO_NOTE_TYPE[field.wordNote.type];
-				field.wordNote.delete();
-			}
-			else {
-				field.wordField.result.insertText("", "Replace");
-			}
-		}
-		if (this.fields) {
-			this.fields.splice(this.fields.indexOf(field), 1);
-		}
-		delete this.fieldsById[field.id];
-		await this._sync();
+		return this._runFieldOperation({ command: 'delete', args: [fieldID] });
 	}
 
 	async removeCode(fieldID) {
+		return this._runFieldOperation({ command: 'removeCode', args: [fieldID] });
+	}
+
+	/**
+	 * Applies a list of field operations sent in one request, instead of one respond() round-trip
+	 * per operation. Operations are split into chunks that stay under the host request size limit,
+	 * each applied with as few syncs as possible. If a chunk fails to sync, its operations that
+	 * Word did not apply are retried one by one, so that a failing field only fails its own operation.
+	 *
+	 * @param {Object[]} operations {command, arguments} where command is one of BATCH_COMMANDS
+	 * @returns {Array} A result per operation: null on success, or {error, message}
+	 */
+	async batch(operations) {
+		const results = operations.map(() => null);
+		const chunks = [];
+		let chunk = [];
+		let chunkSize = 0;
+		operations.forEach((operation, idx) => {
+			try {
+				const command = `Document.${operation.command}`;
+				if (!BATCH_COMMANDS.includes(operation.command)) {
+					throw new Zotero.Session.UnsupportedCommandError(`${command} in Document.batch`);
+				}
+				const args = Zotero.Session.validateRequest(command, Array.from(operation.arguments || []));
+				// Text is inserted as an OOXML package, which is much longer than the HTML for short citations
+				const textOoxml = operation.command === 'setText' ? htmlToOoxml(args[1]) : undefined;
+				const size = args.reduce((size, arg, argIdx) => size
+					+ (textOoxml && argIdx === 1 ? textOoxml : String(arg)).length, 0);
+				if (chunk.length && chunkSize + size > BATCH_PAYLOAD_LIMIT) {
+					chunks.push(chunk);
+					chunk = [];
+					chunkSize = 0;
+				}
+				chunk.push({ idx, command: operation.command, args, textOoxml });
+				chunkSize += size;
+			}
+			catch (e) {
+				results[idx] = errorToResult(e);
+			}
+		});
+		if (chunk.length) chunks.push(chunk);
+
+		for (let chunk of chunks) {
+			try {
+				await this._applyFieldOperations(chunk, results);
+			}
+			catch (e) {
+				Zotero.debug(`Document.batch: chunk of ${chunk.length} operations failed, retrying one by one`);
+				Zotero.logError(e);
+				for (let operation of chunk) {
+					try {
+						if (await this._isFieldOperationApplied(operation)) {
+							this._commitFieldOperation(operation);
+							continue;
+						}
+						await this._applyFieldOperations([operation], results);
+					}
+					catch (e) {
+						results[operation.idx] = errorToResult(e);
+					}
+				}
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Checks whether Word applied a field operation of a chunk that failed to sync. A sync applies
+	 * the changes queued before the one that failed, and deleting a field or storing its code
+	 * again would fail or leave a duplicate behind. Setting the text again is harmless.
+	 * @param {Object} operation Operation that was queued in the chunk
+	 * @returns {Promise<Boolean>}
+	 * @private
+	 */
+	async _isFieldOperationApplied(operation) {
+		const { field, command, args } = operation;
+		if (!field || command === 'setText') return false;
+		if (field.bookmark) {
+			const properties = this.document.properties.customProperties.load('items/key,items/value');
+			await this._sync();
+			const code = bookmarkCodesFromProperties(properties.items).get(field.bookmark);
+			return command === 'setCode' ? code === args[1] : code === undefined;
+		}
+		const object = field.contentControl ? field.contentControl.load('tag') : field.wordField.load('code');
+		try {
+			await this._sync();
+		}
+		catch (e) {
+			// Deleted by the operation, or by the user, which leaves nothing to set the code of
+			return command !== 'setCode';
+		}
+		if (command !== 'setCode') return false;
+		if (field.contentControl) {
+			const [, , storeID] = CONTENT_CONTROL_TAG_REGEXP.exec(object.tag) || [];
+			// The store ID is set when the operation was queued
+			return operation.storeID !== undefined && (storeID || null) === operation.storeID;
+		}
+		const code = operation.storeID ? CITATION_REF_PREFIX + operation.storeID : args[1];
+		return object.code.trim() === `${FIELD_PREFIX}${code}`.trim();
+	}
+
+	async select(fieldID) {
 		const field = this.fieldsById[fieldID];
-		field.wordField.delete();
+		this._fieldResult(field).select();
 		await this._sync();
 	}
 
-	async select(fieldID) {
+	/**
+	 * Runs a single field operation, throwing if it fails
+	 */
+	async _runFieldOperation(operation) {
+		const results = [null];
+		operation.idx = 0;
+		await this._applyFieldOperations([operation], results);
+		if (results[0]) {
+			throw results[0].exception;
+		}
+	}
+
+	/**
+	 * Applies field operations with one sync for the values they need to load and one for
+	 * the changes. Operations that fail before syncing get an error in results. Throws if a sync
+	 * fails, in which case it is unknown which operations were applied.
+	 *
+	 * @param {Object[]} operations {idx, command, args}, with textOoxml for setText in Document.batch
+	 * @param {Array} results Errors are stored at operation.idx
+	 */
+	async _applyFieldOperations(operations, results) {
+		const state = {};
+		// Bookmark codes are only kept in custom properties
+		await this._snapshotFields(operations
+			.filter(({ command, args }) => this.fieldsById[args[0]] && !(command === 'setCode' && this.fieldsById[args[0]].bookmark))
+			.map(({ args }) => this.fieldsById[args[0]]));
+		const setsBibliography = operations.some(({ command, args }) => command === 'setText'
+			&& this.fieldsById[args[0]] && this.fieldsById[args[0]].code.startsWith("BIBL"));
+		if (setsBibliography) {
+			await this._loadBibliographyFormat();
+		}
+		let prepared = [];
+		for (let operation of operations) {
+			try {
+				prepared.push(this._prepareFieldOperation(operation, state));
+			}
+			catch (e) {
+				results[operation.idx] = errorToResult(e);
+			}
+		}
+		if (prepared.some(operation => operation.needsSync)) {
+			await this._sync();
+		}
+		prepared = prepared.filter((operation) => {
+			try {
+				this._queueFieldOperation(operation, state);
+				return true;
+			}
+			catch (e) {
+				results[operation.idx] = errorToResult(e);
+				return false;
+			}
+		});
+		await this._sync();
+		const bibliographies = prepared.filter(operation => operation.ooxml);
+		if (bibliographies.length) {
+			bibliographies.forEach(operation => this._queueBibliographyFormat(operation));
+			await this._sync();
+		}
+		for (let operation of prepared) {
+			this._commitFieldOperation(operation);
+		}
+	}
+
+	/**
+	 * Queues replacing the paragraphs of a bibliography with paragraphs that have the bibliography
+	 * format applied directly
+	 * @private
+	 */
+	_queueBibliographyFormat(operation) {
+		const ooxml = applyParagraphFormat(operation.ooxml.value, this.bibliographyFormat);
+		const range = operation.formatRange.insertOoxml(ooxml, "Replace");
+		if (operation.field.bookmark) {
+			range.insertBookmark(operation.field.bookmark);
+			this._track(range);
+			operation.range = range;
+		}
+	}
+
+	/**
+	 * Queues the loads a field operation needs before its changes can be queued
+	 */
+	_prepareFieldOperation(operation, state) {
+		const fieldID = operation.args[0];
 		const field = this.fieldsById[fieldID];
-		field.wordField.result.select();
+		if (!field) {
+			throw new Error(`Field ${fieldID} not found`);
+		}
+		operation.field = field;
+		if (operation.command === 'setText') {
+			operation.needsSync = this._prepareTextStyle(field.code, state);
+		}
+		else if (operation.command === 'delete') {
+			operation.parentBody = this._fieldResult(field).parentBody;
+			operation.parentBody.load('type');
+			if (field.wordNote) {
+				operation.otherText = this._queueTextOutsideFields(field.wordNote, [field]);
+			}
+			operation.needsSync = true;
+		}
+		// Bookmark codes are split over custom properties. Their keys are needed to replace or remove them,
+		// and their values to restore them.
+		if (field.bookmark && ['setCode', 'delete', 'removeCode'].includes(operation.command) && !state.properties) {
+			state.properties = this.document.properties.customProperties.load('items/key,items/value');
+			operation.needsSync = true;
+		}
+		return operation;
+	}
+
+	/**
+	 * Queues loading the styles that _queueTextStyle() sets on the text of fields with code
+	 * @returns {Boolean} Whether a sync is needed before queueing the style
+	 * @private
+	 */
+	_prepareTextStyle(code, state) {
+		if (code.startsWith("BIBL")) {
+			if (state.bibliographyStyle) return false;
+			state.bibliographyStyle = this.document.getStyles().getByNameOrNullObject(Word.BuiltInStyleName.bibliography);
+			state.bibliographyStyle.load('builtIn');
+			return true;
+		}
+		if (this.hasCitationStyle || state.citationStyle) return false;
+		state.citationStyle = this.document.getStyles().getByNameOrNullObject(CITATION_STYLE_NAME);
+		state.citationStyle.load('type');
+		return true;
+	}
+
+	/**
+	 * Queues setting the Bibliography style on the text of the bibliography, if the document has it,
+	 * or the citation character style on the text of a citation, adding the style if missing
+	 * @private
+	 */
+	_queueTextStyle(range, code, state) {
+		const style = code.startsWith("BIBL") && state.bibliographyStyle;
+		if (style && style.builtIn) {
+			range.styleBuiltIn = Word.BuiltInStyleName.bibliography;
+		}
+		else if (style && !style.isNullObject) {
+			range.style = Word.BuiltInStyleName.bibliography;
+		}
+		else if (!style) {
+			if (!this.hasCitationStyle && state.citationStyle.isNullObject) {
+				this.document.addStyle(CITATION_STYLE_NAME, 'Character');
+			}
+			this.hasCitationStyle = true;
+			range.style = CITATION_STYLE_NAME;
+		}
+	}
+
+	/**
+	 * Queues the document changes of a prepared field operation
+	 */
+	_queueFieldOperation(operation, state) {
+		const { field, args } = operation;
+		const result = this._fieldResult(field);
+		switch (operation.command) {
+		case 'setText': {
+			const style = field.code.startsWith("BIBL") && state.bibliographyStyle;
+			if (style && style.isNullObject) {
+				// No bibliography style in Word Online!
+				throw new Error("Bibliography style not set before inserting bibliography");
+			}
+			let range = result.insertOoxml(operation.textOoxml || htmlToOoxml(args[1]), "Replace");
+			if (field.bookmark) {
+				// Replacing all of its text removes the bookmark
+				range.insertBookmark(field.bookmark);
+				this._track(range);
+				operation.range = range;
+			}
+			else {
+				range = result;
+			}
+			this._queueTextStyle(range, field.code, state);
+			if (style && this.bibliographyFormat) {
+				operation.formatRange = field.bookmark ? range : result;
+				operation.ooxml = operation.formatRange.getOoxml();
+			}
+			break;
+		}
+		case 'setCode': {
+			if (field.bookmark) {
+				this._setBookmarkCode(field.bookmark, args[1], this._bookmarkProperties(field, state));
+				break;
+			}
+			if (field.contentControl) {
+				operation.storeID = this._setContentControlCode(field.contentControl, args[1]);
+				break;
+			}
+			const code = this._storeCode(args[1]);
+			operation.storeID = code.startsWith(CITATION_REF_PREFIX) ? code.substr(CITATION_REF_PREFIX.length) : null;
+			field.wordField.code = `${FIELD_PREFIX}${code}`;
+			break;
+		}
+		case 'delete':
+			if (field.bookmark) {
+				result.insertText("", "Replace");
+				this.document.deleteBookmark(field.bookmark);
+				this._deleteBookmarkProperties(this._bookmarkProperties(field, state));
+			}
+			else if (!BODY_TYPE_TO_NOTE_TYPE[operation.parentBody.type] && field.contentControl) {
+				field.contentControl.delete(false);
+			}
+			else if (!BODY_TYPE_TO_NOTE_TYPE[operation.parentBody.type]) {
+				result.insertText("", "Replace");
+			}
+			// Comparing the note range with the field range does not work due to an API bug:
+			// https://github.com/OfficeDev/office-js/issues/3591
+			// so the note is removed if there is no text around the field
+			else if (!hasText(operation.otherText)) {
+				operation.deletedNote = true;
+				field.wordNote.delete();
+			}
+			else if (field.contentControl) {
+				field.contentControl.delete(false);
+			}
+			else {
+				result.insertText("", "Replace");
+			}
+			break;
+		case 'removeCode':
+			if (field.bookmark) {
+				this.document.deleteBookmark(field.bookmark);
+				this._deleteBookmarkProperties(this._bookmarkProperties(field, state));
+			}
+			else if (field.contentControl) {
+				field.contentControl.delete(true);
+			}
+			else {
+				field.wordField.delete();
+			}
+			break;
+		}
+	}
+
+	/**
+	 * Updates the session field cache after a field operation has been synced
+	 */
+	_commitFieldOperation(operation) {
+		const { field, args } = operation;
+		if (operation.command === 'setCode') {
+			field.code = args[1];
+			field.storeID = operation.storeID;
+		}
+		else if (operation.command === 'setText') {
+			this.textChanged = true;
+			if (operation.range) field.range = operation.range;
+		}
+		else if (operation.command === 'removeCode') {
+			field.storeID = null;
+		}
+		else if (operation.command === 'delete') {
+			if (operation.deletedNote) {
+				this.insertTextIntoNote = BODY_TYPE_TO_NOTE_TYPE[field.wordNote.type];
+			}
+			if (this.fields) {
+				this.fields.splice(this.fields.indexOf(field), 1);
+			}
+			delete this.fieldsById[field.id];
+		}
+	}
+
+	/**
+	 * @returns {Word.Range|Word.ContentControl} What to edit to change the text of a field
+	 * @private
+	 */
+	_fieldResult(field) {
+		return field.contentControl || field.range || field.wordField.result;
+	}
+
+	/**
+	 * @returns {Word.Range} The range of a field, to compare with other ranges
+	 * @private
+	 */
+	_fieldRange(field) {
+		return field.range || field.wordField.result;
+	}
+
+	/**
+	 * Bookmarks and their ranges can be read from WordApi 1.4
+	 * @private
+	 */
+	_supportsBookmarks() {
+		return Office.context.requirements.isSetSupported('WordApi', '1.4');
+	}
+
+	/**
+	 * Queues writing the code of a bookmark field to custom properties
+	 *
+	 * @param {String} name Bookmark name
+	 * @param {String} code
+	 * @param {Word.CustomProperty[]} properties Current code properties of the bookmark, with loaded key and value
+	 * @private
+	 */
+	_setBookmarkCode(name, code, properties) {
+		const customProperties = this.document.properties.customProperties;
+		const keys = [];
+		code = BOOKMARK_CODE_PREFIX + code;
+		for (let i = 1; code.length; i++) {
+			const key = `${name}_${i}`;
+			const property = properties.find(property => property.key === key);
+			this._snapshotProperty(key, property ? property.value : null);
+			keys.push(key);
+			customProperties.add(key, code.slice(0, PREF_LENGTH));
+			code = code.slice(PREF_LENGTH);
+		}
+		this._deleteBookmarkProperties(properties.filter(property => !keys.includes(property.key)));
+	}
+
+	/**
+	 * Queues deleting bookmark code properties, saving their values to the snapshot
+	 * @param {Word.CustomProperty[]} properties Loaded key and value
+	 * @private
+	 */
+	_deleteBookmarkProperties(properties) {
+		properties.forEach((property) => {
+			this._snapshotProperty(property.key, property.value);
+			property.delete();
+		});
+	}
+
+	/**
+	 * @returns {Word.CustomProperty[]} Code properties of a bookmark field, from the properties
+	 * 		loaded while preparing field operations
+	 * @private
+	 */
+	_bookmarkProperties(field, state) {
+		return state.properties.items.filter((property) => {
+			const match = BOOKMARK_PROPERTY_REGEXP.exec(property.key);
+			return match && match[1] === field.bookmark;
+		});
+	}
+
+	/**
+	 * Word fields can be inserted from WordApi 1.5
+	 * @private
+	 */
+	_supportsFields() {
+		return Office.context.requirements.isSetSupported('WordApi', '1.5');
+	}
+
+	/**
+	 * @returns {String[]} Field types Zotero can store citations in
+	 * @private
+	 */
+	_getFieldTypes() {
+		const fieldTypes = [];
+		if (this._supportsFields()) {
+			fieldTypes.push('Field');
+		}
+		// Content control codes are kept in the citation store
+		if (this._supports('contentControls') && this._supportsCustomXmlParts()) {
+			fieldTypes.push('ContentControl');
+		}
+		if (this._supportsBookmarks()) {
+			fieldTypes.push('Bookmark');
+		}
+		return fieldTypes;
+	}
+
+	/**
+	 * Queues moving a field code to the citation store if the citationStore pref is enabled
+	 * and the code is large
+	 * @param {String} code
+	 * @returns {String} The code to write to the Word field
+	 * @private
+	 */
+	_storeCode(code) {
+		if (!Zotero.Prefs.get('citationStore') || code.length < CITATION_STORE_MIN_LENGTH
+				|| !this._supportsCustomXmlParts()) {
+			return code;
+		}
+		return CITATION_REF_PREFIX + this._addStoredCode(code, 'Field');
+	}
+
+	/**
+	 * Queues adding a code to the citation store
+	 * @param {String} code
+	 * @param {String} fieldType Type of the field referencing the code
+	 * @returns {String} The store ID
+	 * @private
+	 */
+	_addStoredCode(code, fieldType) {
+		const storeID = randomString(CITATION_REF_ID_LENGTH);
+		const part = this.document.customXmlParts.add(citationToXml(storeID, code, fieldType));
+		// Fields read later in the transaction resolve their codes from the loaded store
+		if (this.citationStore) this.citationStore.set(storeID, { code, fieldType, part });
+		this.citationStoreChanged = true;
+		if (this.snapshot) this.snapshot.storeIDs.add(storeID);
+		return storeID;
+	}
+
+	/**
+	 * Queues setting the code of a content control field. Codes other than the insert
+	 * placeholder are kept in the citation store.
+	 * @param {Word.ContentControl} control
+	 * @param {String} code
+	 * @returns {String|null} The store ID of the code
+	 * @private
+	 */
+	_setContentControlCode(control, code) {
+		const type = code.split(' ')[0];
+		const storeID = code === FIELD_INSERT_CODE ? null : this._addStoredCode(code, 'ContentControl');
+		control.tag = CONTENT_CONTROL_TAG_PREFIX + type + (storeID ? ` ${storeID}` : '');
+		control.title = CONTENT_CONTROL_TITLES[type] || "Zotero";
+		return storeID;
+	}
+
+	/**
+	 * @returns {String} The code of a Zotero field as written in its Word field
+	 * @private
+	 */
+	_wordCode(field) {
+		return field.storeID ? CITATION_REF_PREFIX + field.storeID : field.code;
+	}
+
+	/**
+	 * Replaces references to the citation store in the codes of fields with the stored codes.
+	 * Documents keep opening when the citationStore pref is disabled.
+	 * @param {Object[]} fields
+	 * @throws {Error} If a stored code is missing, e.g. for fields copied from another document.
+	 * 		Zotero would not recognize the reference as a field code and drop the citation.
+	 * @private
+	 */
+	async _resolveStoredCodes(fields) {
+		fields = fields.filter(field => field.storeID);
+		if (!fields.length) return;
+		const store = await this._loadCitationStore();
+		const missing = fields.filter(field => !store.has(field.storeID));
+		if (missing.length) {
+			const texts = missing.slice(0, 3).map(field => `"${field.text.trim()}"`).join(', ');
+			const more = missing.length > 3 ? ` and ${missing.length - 3} more` : '';
+			throw new Error(this._supportsCustomXmlParts()
+				? `The citation data of ${texts}${more} is missing from this document, e.g. because they were copied from another document. Delete them and insert them again.`
+				: `The citation data of ${texts}${more} is kept in the document, which this version of Word cannot read.`);
+		}
+		fields.forEach(field => field.code = store.get(field.storeID).code);
+	}
+
+	/**
+	 * @param {Boolean} [reload] Reload a store that was loaded before
+	 * @returns {Promise<Map>} Stored citation IDs mapped to {code, part}
+	 * @private
+	 */
+	async _loadCitationStore(reload=false) {
+		if (this.citationStore && !reload) return this.citationStore;
+		this.citationStore = new Map();
+		if (!this._supportsCustomXmlParts()) return this.citationStore;
+		const parts = this.document.customXmlParts.getByNamespace(CITATION_STORE_NAMESPACE).load('items');
+		await this._sync();
+		const xmls = parts.items.map(part => part.getXml());
+		await this._sync();
+		parts.items.forEach((part, idx) => {
+			const citation = citationFromXml(xmls[idx].value);
+			if (citation) {
+				this.citationStore.set(citation.id, { code: citation.code, fieldType: citation.fieldType, part });
+			}
+		});
+		return this.citationStore;
+	}
+
+	/**
+	 * Removes stored citations that no field references anymore, because Zotero updated the code
+	 * or the field was deleted. Only possible when all fields of the document have been read, so
+	 * fields left to be read again by conversions are read here if the store changed.
+	 * @private
+	 */
+	async _collectStoredCitations() {
+		if (this.failed || !(this.citationStore || this.citationStoreChanged)) return;
+		if (!this.fields) {
+			if (!this.citationStoreChanged) return;
+			await this.getFields(this.fieldType || 'Field');
+		}
+		const referenced = new Set(Object.values(this.fieldsById).map(field => field.storeID));
+		const store = await this._loadCitationStore(true);
+		let removed = 0;
+		for (let [storeID, citation] of store) {
+			// Fields of the other type were not read
+			if (referenced.has(storeID) || citation.fieldType !== this.fieldType) continue;
+			citation.part.delete();
+			store.delete(storeID);
+			removed++;
+		}
+		if (removed) {
+			Zotero.debug(`Removed ${removed} unreferenced stored citations`);
+			await this._sync();
+		}
+	}
+
+	/**
+	 * Bookmarks the bibliography entries of cited items and links citations to them, when
+	 * the linkCitations pref is enabled and Zotero updated the text of fields.
+	 * Citations of one item link as a whole, in others the part for each item is linked.
+	 * @private
+	 */
+	async _linkCitations() {
+		if (!Zotero.Prefs.get('linkCitations') || !this.textChanged || !this.fields || this.failed) return;
+		const bibliographies = this.fields.filter(field => field.code.startsWith("BIBL"));
+		const citations = this.fields.filter(field => field.code.startsWith("ITEM"));
+		if (!bibliographies.length || !citations.length) return;
+		const entryCollections = bibliographies.map(field => this._fieldRange(field).getTextRanges(["\n"], true).load('items/text'));
+		citations.forEach(field => this._fieldRange(field).load('text'));
+		await this._sync();
+
+		const entries = [].concat(...entryCollections.map(ranges => ranges.items));
+		const entryTexts = entries.map(range => normalizeForMatching(range.text));
+		const bookmarked = new Set();
+		const searches = [];
+		for (let field of citations) {
+			const range = this._fieldRange(field);
+			const links = [];
+			for (let item of citationItemsFromCode(field.code)) {
+				const idx = findBibliographyEntry(item, entryTexts);
+				if (idx === -1) continue;
+				const name = ENTRY_BOOKMARK_PREFIX + checksum((item.uris && item.uris[0]) || String(item.id));
+				if (!bookmarked.has(name)) {
+					entries[idx].insertBookmark(name);
+					bookmarked.add(name);
+				}
+				const label = /^[[(]?(\d+)[\])]?\.?\s/.exec(entries[idx].text);
+				links.push({ name, label: label && label[1], item });
+			}
+			if (links.length === 1) {
+				range.hyperlink = `#${links[0].name}`;
+				continue;
+			}
+			for (let segment of citationSegments(range.text, links)) {
+				const matches = range.search(segment.text, { matchCase: true }).load('items');
+				searches.push({ segment, matches });
+			}
+		}
 		await this._sync();
+		for (let { segment, matches } of searches) {
+			const match = matches.items[segment.occurrence];
+			if (match) match.hyperlink = `#${segment.name}`;
+		}
+		if (searches.length) {
+			await this._sync();
+		}
+		Zotero.debug(`Linked citations to ${bookmarked.size} bibliography entries`);
+	}
+
+	/**
+	 * @param {String} feature
+	 * @returns {Boolean} Whether both the add-in and the negotiated Zotero protocol support the feature
+	 */
+	_supports(feature) {
+		if (!FEATURES.includes(feature)) return false;
+		return !this.protocol || !this.protocol.features || this.protocol.features.includes(feature);
 	}
 
 	async _sync() {
-		return this.context.sync();
+		return this.trace.timeSync(() => this.context.sync());
 	}
 	
 	// Comparing ranges in Word JS API is async, so sorting things is quite complicated.
 	// Still it will take log(n) async operations to sort two sorted lists into one another
 	// which is not the end of the world
-	async _sortNotesIntoFields(fields, notes) {
+	/**
+	 * @param {Array} fields Sorted fields, or notes and text boxes already sorted into them
+	 * @param {Array} notes Sorted stories to sort into fields
+	 * @param {Function} [isAfter] Queues the comparison of a note with a field range and returns
+	 * 		a function telling whether the note comes after the field once synced
+	 * @private
+	 */
+	async _sortNotesIntoFields(fields, notes, isAfter) {
 		if (!fields.length) return notes;
+		const sortTrace = this.trace.startSort(fields.length, notes.length);
+		isAfter = isAfter || ((note, fieldRange) => {
+			const comparison = note.reference.compareLocationWith(fieldRange);
+			// A note reference directly following a field is adjacent to it
+			return () => ["After", "AdjacentAfter"].includes(comparison.value);
+		});
 		let areSorted = false;
-		let compareValues = notes.map(() => ({ value: false }));
-		let noteSort = notes.map(() => ({ lower: 0, upper: fields.length }))
+		let noteSort = notes.map(() => ({ lower: 0, upper: fields.length, compIdx: -1, comparison: null }))
 		while (true) {
 			for (let i = 0; i < notes.length; i++) {
-				if (compareValues[i].value !== false) {
-					const { lower, upper } = noteSort[i];
-					const diff = upper - lower;
-					if (compareValues[i].value === "After") {
-						noteSort[i].lower = lower + Math.floor((diff)/2.) + (diff === 1 ? 1 : 0);
+				const sort = noteSort[i];
+				if (sort.comparison) {
+					if (sort.comparison()) {
+						sort.lower = sort.compIdx + 1;
 					} else {
-						noteSort[i].upper = lower + Math.floor((diff)/2.) - (diff === 1 ? 1 : 0);
+						sort.upper = sort.compIdx;
 					}
+					sort.comparison = null;
 				}
-				const { lower, upper } = noteSort[i];
-				if (lower === upper) continue;
-				const compIdx = lower + Math.floor((upper - lower)/2.)
-				if (compIdx >= fields.length) {
-					compareValues[i] = { value: "Before" };
-					continue;
-				}
-				const field = fields[compIdx];
+				if (sort.lower === sort.upper) continue;
+				sort.compIdx = sort.lower + Math.floor((sort.upper - sort.lower)/2.)
+				const field = fields[sort.compIdx];
 				let fieldRange;
 				if (typeof field.code != 'undefined') {
 					fieldRange = field.result
 				} else {
 					fieldRange = field.reference;
 				}
-				compareValues[i] = notes[i].reference.compareLocationWith(fieldRange);
+				sort.comparison = isAfter(notes[i], fieldRange);
 			}
 			areSorted = noteSort.every(status => status.lower === status.upper);
 			if (areSorted) break;
@@ -809,19 +2722,99 @@ Zotero.Session = class {
 		notes.forEach((note, idx) => {
 			fields.splice(noteSort[idx].lower, 0, note)
 		});
+		this.trace.finishSort(sortTrace);
 		return fields;
 	}
-	
+
+	/**
+	 * Sorts text boxes into fields by where they are anchored in the main body. Shape ranges cannot
+	 * be compared with body ranges, so a text box is after a field if it is not anchored
+	 * in the body up to the field.
+	 * @private
+	 */
+	async _sortTextBoxesIntoFields(fields, textBoxes) {
+		if (!textBoxes.length) return fields;
+		const start = this.document.body.getRange('Start');
+		return this._sortNotesIntoFields(fields, textBoxes, (textBox, fieldRange) => {
+			const shapes = start.expandTo(fieldRange).shapes.load('items/id');
+			return () => !shapes.items.some(shape => shape.id === textBox.shape.id);
+		});
+	}
+
+	/**
+	 * @returns {Boolean} Whether Word can read text boxes
+	 * @private
+	 */
+	_supportsTextBoxes() {
+		return Office.context.requirements.isSetSupported('WordApiDesktop', '1.2');
+	}
+
+	/**
+	 * Queues loading the stories other than the main body and notes that can hold citations
+	 * @returns {Object} To pass to _getOtherStories() after a sync
+	 * @private
+	 */
+	_queueOtherStories() {
+		const sections = this.document.sections.load('items');
+		this._track(sections);
+		let shapes = null;
+		if (this._supportsTextBoxes()) {
+			shapes = this.document.body.shapes.load('items/id,items/type');
+			this._track(shapes);
+		}
+		return { sections, shapes };
+	}
+
+	/**
+	 * @returns {{ textBoxes: Object[], headersFooters: Object[] }} Text boxes in the order
+	 * 		of the main body shapes, and headers and footers in reading order
+	 * @private
+	 */
+	_getOtherStories({ sections, shapes }) {
+		const textBoxes = (shapes ? shapes.items : [])
+			.filter(shape => shape.type === 'TextBox')
+			.map(shape => ({ shape, body: shape.body, inlineOnly: true }));
+		const headersFooters = [];
+		for (let section of sections.items) {
+			for (let getter of ['getHeader', 'getFooter']) {
+				for (let type of HEADER_FOOTER_TYPES) {
+					headersFooters.push({ body: section[getter](type), inlineOnly: true });
+				}
+			}
+		}
+		return { textBoxes, headersFooters };
+	}
+
+	/**
+	 * Headers and footers linked to the previous section are the same story, so their fields
+	 * are only read once
+	 * @private
+	 */
+	async _removeLinkedHeadersFooters(headersFooters) {
+		const comparisons = headersFooters.map((story, idx) => headersFooters.slice(0, idx)
+			.map(previous => previous.body.getRange('Whole').compareLocationWith(story.body.getRange('Whole'))));
+		if (!headersFooters.length) return headersFooters;
+		await this._sync();
+		return headersFooters.filter((story, idx) => !comparisons[idx].some(comparison => comparison.value === 'Equal'));
+	}
+
 	_wordFieldToField(wordField, noteType, wordNote, orphan=false) {
 		let id = randomString();
+		const code = wordField.code.trim().substr(FIELD_PREFIX.length);
 		const field = {
-			code: wordField.code.trim().substr(FIELD_PREFIX.length),
+			code,
 			noteType,
 			text: wordField.result.text,
 			wordField,
 			wordNote,
 			id
 		}
+		// Set if the code is kept in the citation store, resolved by _resolveStoredCodes().
+		// Not serialized, Zotero only sees the stored code.
+		Object.defineProperty(field, 'storeID', {
+			value: code.startsWith(CITATION_REF_PREFIX) ? code.substr(CITATION_REF_PREFIX.length).trim() : null,
+			writable: true
+		});
 		if (orphan) {
 			this.orphanFields.push(field);
 		}
@@ -829,6 +2822,58 @@ Zotero.Session = class {
 		return field;
 	}
 	
+	/**
+	 * Like _wordFieldToField() for content controls. Codes are resolved from the citation store
+	 * by _resolveStoredCodes().
+	 */
+	_contentControlToField(control, noteType, wordNote, orphan=false) {
+		const [, type, storeID] = CONTENT_CONTROL_TAG_REGEXP.exec(control.tag);
+		const range = control.getRange('Whole');
+		this._track(range);
+		const field = {
+			code: storeID ? CITATION_REF_PREFIX + storeID : type,
+			noteType,
+			text: control.text,
+			wordNote,
+			id: randomString()
+		};
+		// Not serialized
+		Object.defineProperties(field, {
+			storeID: { value: storeID || null, writable: true },
+			contentControl: { value: control },
+			range: { value: range }
+		});
+		if (orphan) {
+			this.orphanFields.push(field);
+		}
+		this.fieldsById[field.id] = field;
+		return field;
+	}
+
+	/**
+	 * Like _wordFieldToField() for bookmarks
+	 */
+	_bookmarkToField(name, range, code, orphan=false) {
+		this._track(range);
+		const field = {
+			code,
+			noteType: 0,
+			text: range.text,
+			id: randomString()
+		};
+		// Not serialized
+		Object.defineProperties(field, {
+			storeID: { value: null, writable: true },
+			bookmark: { value: name },
+			range: { value: range, writable: true }
+		});
+		if (orphan) {
+			this.orphanFields.push(field);
+		}
+		this.fieldsById[field.id] = field;
+		return field;
+	}
+
 	async _getNoteFromBody(body) {
 		let notes;
 		if (body.type === "Footnote") {
@@ -851,6 +2896,645 @@ Zotero.Session = class {
 	}
 }
 
+/**
+ * Checks an integration request against the registry of commands
+ * @param {String} command E.g. Document.setText
+ * @param {Array} args Arguments without the document ID
+ * @returns {Array} Arguments to call the integration method with
+ * @throws {Zotero.Session.UnsupportedCommandError|Zotero.Session.BadArgumentsError}
+ */
+Zotero.Session.validateRequest = function(command, args) {
+	const [namespace, method] = String(command).split('.');
+	const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+	if (!hasOwn(COMMANDS, namespace) || !hasOwn(COMMANDS[namespace], method)) {
+		throw new Zotero.Session.UnsupportedCommandError(command);
+	}
+	const schema = COMMANDS[namespace][method];
+	schema.forEach((param, idx) => {
+		let [name, type] = param.split(': ');
+		const optional = type.endsWith('?');
+		type = optional ? type.slice(0, -1) : type;
+		const value = args[idx];
+		if (value == null) {
+			if (optional) return;
+			throw new Zotero.Session.BadArgumentsError(command, `missing argument ${name}`);
+		}
+		if (!isOfType(value, type)) {
+			throw new Zotero.Session.BadArgumentsError(command, `argument ${name} must be of type ${type}`);
+		}
+	});
+	return args.slice(0, schema.length);
+};
+
+Zotero.Session.UnsupportedCommandError = function(command) {
+	this.type = 'UnsupportedCommand';
+	this.message = `${command} is not a supported integration command`;
+};
+Zotero.Session.UnsupportedCommandError.prototype = Object.create(Error.prototype);
+
+Zotero.Session.BadArgumentsError = function(command, reason) {
+	this.type = 'BadArguments';
+	this.message = `Bad arguments for ${command}: ${reason}`;
+};
+Zotero.Session.BadArgumentsError.prototype = Object.create(Error.prototype);
+
+Zotero.Session.DocumentDataError = function(reason) {
+	this.type = 'DocumentData';
+	this.message = `Zotero document preferences in this document are damaged. ${reason}`;
+};
+Zotero.Session.DocumentDataError.prototype = Object.create(Error.prototype);
+
+/**
+ * @returns {String} The custom XML part storing document preferences
+ */
+function documentDataToXml(data) {
+	return `<documentPreferences xmlns="${DOC_PREFS_NAMESPACE}" version="${DOC_PREFS_VERSION}" checksum="${checksum(data)}">${escapeXML(data)}</documentPreferences>`;
+}
+
+/**
+ * @param {String} xml Custom XML part written by documentDataToXml(), possibly reformatted by Word
+ * @returns {String} Document preferences
+ * @throws {Zotero.Session.DocumentDataError} If the part was edited or cannot be read
+ */
+function documentDataFromXml(xml) {
+	const match = /<documentPreferences\b([^>]*)>([^<]*)<\/documentPreferences>\s*$/.exec(xml);
+	if (!match) {
+		throw new Zotero.Session.DocumentDataError(`Their custom XML part could not be read.`);
+	}
+	const attributes = {};
+	for (let [, name, value] of match[1].matchAll(/([\w:]+)="([^"]*)"/g)) {
+		attributes[name] = value;
+	}
+	if (parseInt(attributes.version) > DOC_PREFS_VERSION) {
+		throw new Zotero.Session.DocumentDataError(`They were saved by a newer version of the Zotero Word add-in. Please update the add-in.`);
+	}
+	const data = unescapeXML(match[2]);
+	if (attributes.checksum !== checksum(data)) {
+		throw new Zotero.Session.DocumentDataError(`Their checksum does not match, so they may have been edited outside of Zotero.`);
+	}
+	return data;
+}
+
+/**
+ * Joins document preferences from legacy ZOTERO_PREF_n custom properties. The first chunk
+ * shorter than PREF_LENGTH ends the data. Chunks after it are left over from longer data,
+ * which setDocumentData() did not delete before it wrote shorter data. Data that filled its
+ * last chunk cannot be told apart from leftover chunks that way, so the joined data must end
+ * with its root element.
+ * @param {Word.CustomProperty[]} properties All custom properties of the document
+ * @returns {{ data: String, stale: Boolean }} Whether there are leftover chunks
+ * @throws {Zotero.Session.DocumentDataError} If chunks are missing or left over after data
+ * 		that filled its last chunk
+ */
+function documentDataFromProperties(properties) {
+	const chunks = [];
+	for (let property of properties) {
+		const match = PREF_KEY_REGEXP.exec(property.key);
+		if (match) chunks.push({ idx: parseInt(match[1]), value: String(property.value) });
+	}
+	chunks.sort((a, b) => a.idx - b.idx);
+	const end = chunks.findIndex(chunk => chunk.value.length < PREF_LENGTH) + 1 || chunks.length;
+	chunks.slice(0, end).forEach((chunk, i) => {
+		if (chunk.idx !== i + 1) {
+			throw new Zotero.Session.DocumentDataError(`${PREF_PREFIX}_${i + 1} is missing.`);
+		}
+	});
+	const data = chunks.slice(0, end).map(chunk => chunk.value).join('');
+	const rootEnd = data ? xmlRootLength(data) : 0;
+	if (rootEnd !== data.trimEnd().length) {
+		throw new Zotero.Session.DocumentDataError(rootEnd === -1
+			? `${PREF_PREFIX} custom properties could not be read.`
+			: `${PREF_PREFIX}_${Math.ceil(rootEnd / PREF_LENGTH) + 1} and later are left over from earlier preferences.`);
+	}
+	return { data, stale: end < chunks.length };
+}
+
+/**
+ * @param {String} xml
+ * @returns {Number} Length of xml up to the end of its root element, or -1 if it does not have one
+ */
+function xmlRootLength(xml) {
+	const root = /^\s*<([\w:.-]+)\b[^>]*?(\/?)>/.exec(xml);
+	if (!root) return -1;
+	if (root[2]) return root[0].length;
+	const close = xml.indexOf(`</${root[1]}>`);
+	return close === -1 ? -1 : close + root[1].length + 3;
+}
+
+/**
+ * @returns {String} The custom XML part storing the bibliography paragraph format. Values are in twips.
+ */
+function bibliographyFormatToXml(format) {
+	return `<bibliographyStyle xmlns="${BIBLIOGRAPHY_STYLE_NAMESPACE}" firstLineIndent="${format.firstLineIndent}" `
+		+ `bodyIndent="${format.bodyIndent}" lineSpacing="${format.lineSpacing}" entrySpacing="${format.entrySpacing}" `
+		+ `tabStops="${format.tabStops.join(' ')}"/>`;
+}
+
+/**
+ * @returns {Object|null} Null if the part cannot be read
+ */
+function bibliographyFormatFromXml(xml) {
+	const attribute = (name) => {
+		const match = new RegExp(`\\b${name}="([^"]*)"`).exec(xml);
+		return match ? match[1] : null;
+	};
+	const format = {};
+	for (let name of ['firstLineIndent', 'bodyIndent', 'lineSpacing', 'entrySpacing']) {
+		format[name] = parseInt(attribute(name));
+		if (isNaN(format[name])) {
+			Zotero.logError(new Error(`Unreadable bibliography style ${xml.substr(0, 200)}`));
+			return null;
+		}
+	}
+	format.tabStops = (attribute('tabStops') || '').split(' ').filter(Boolean).map(Number);
+	return format;
+}
+
+/**
+ * Sets tab stops, indentation and spacing on every paragraph of WordprocessingML, replacing
+ * the ones the paragraphs had
+ *
+ * @param {String} ooxml
+ * @param {Object} format Bibliography format in twips
+ * @returns {String}
+ */
+function applyParagraphFormat(ooxml, format) {
+	const tabs = format.tabStops.length
+		? `<w:tabs>${format.tabStops.map(pos => `<w:tab w:val="left" w:pos="${Math.round(pos)}"/>`).join('')}</w:tabs>`
+		: '';
+	const firstLine = format.firstLineIndent < 0
+		? `w:hanging="${-format.firstLineIndent}"`
+		: `w:firstLine="${format.firstLineIndent}"`;
+	const spacing = `<w:spacing w:after="${format.entrySpacing}" w:line="${format.lineSpacing}" w:lineRule="auto"/>`
+		+ `<w:ind w:left="${format.bodyIndent}" ${firstLine}/>`;
+	const insertBefore = (pPr, names, xml) => {
+		let idx = pPr.length - '</w:pPr>'.length;
+		for (let name of names) {
+			const match = new RegExp(`<w:${name}[\\s/>]`).exec(pPr);
+			if (match) idx = Math.min(idx, match.index);
+		}
+		return pPr.substring(0, idx) + xml + pPr.substring(idx);
+	};
+	const withFormat = (pPr) => {
+		for (let name of ['tabs', 'spacing', 'ind']) {
+			pPr = pPr.replace(new RegExp(`<w:${name}(?:\\s[^>]*)?(?:/>|>[\\s\\S]*?</w:${name}>)`, 'g'), '');
+		}
+		pPr = insertBefore(pPr, PPR_ELEMENTS_AFTER_TABS.concat(['spacing', 'ind'], PPR_ELEMENTS_AFTER_INDENT), tabs);
+		return insertBefore(pPr, PPR_ELEMENTS_AFTER_INDENT, spacing);
+	};
+	return ooxml.replace(/(<w:p(?:\s[^>]*)?>)(<w:pPr>[\s\S]*?<\/w:pPr>)?/g, (match, p, pPr) => {
+		// Not empty <w:p/> paragraphs
+		if (p.endsWith('/>')) return match;
+		return p + withFormat(pPr || '<w:pPr></w:pPr>');
+	});
+}
+
+/**
+ * Converts the HTML output of citeproc-js to a WordprocessingML package with one paragraph per
+ * block element and explicit run properties for the formatting of the citation style.
+ * Second-field-align bibliographies are separated by a tab after the left margin, which
+ * the bibliography tab stops align.
+ *
+ * @param {String} html
+ * @returns {String} Package for Range.insertOoxml()
+ */
+function htmlToOoxml(html) {
+	const paragraphs = [];
+	const links = [];
+	let runs = [];
+	const stack = [{ format: {}, link: null }];
+	const endParagraph = () => {
+		const last = runs[runs.length - 1];
+		if (last) last.text = last.text.replace(/ $/, '');
+		if (last && !last.text) runs.pop();
+		if (runs.length) paragraphs.push(runs);
+		runs = [];
+	};
+	const tokenRegexp = /<(\/?)([a-z][a-z0-9]*)\b([^>]*?)\/?>|([^<]+)/gi;
+	let match;
+	while ((match = tokenRegexp.exec(html))) {
+		const [, closing, tag, attributes, text] = match;
+		const top = stack[stack.length - 1];
+		if (text !== undefined) {
+			// HTML collapses whitespace, except for the non-breaking spaces of the style
+			let value = unescapeXML(text.replace(/[ \r\n]+/g, ' ').replace(/&nbsp;/g, '\u00a0'));
+			if (!runs.length || /[ \t\n]$/.test(runs[runs.length - 1].text)) {
+				value = value.replace(/^ /, '');
+			}
+			if (value) runs.push({ text: value, format: top.format, link: top.link });
+			continue;
+		}
+		const name = tag.toLowerCase();
+		const className = htmlAttribute(attributes, 'class') || '';
+		const isBlock = HTML_BLOCK_TAGS.includes(name) && className !== 'csl-right-inline';
+		if (name === 'br') {
+			runs.push({ text: '\n', format: top.format, link: top.link });
+			continue;
+		}
+		if (closing) {
+			if (stack.length > 1) stack.pop();
+			if (top.className === 'csl-left-margin') {
+				runs.push({ text: '\t', format: {}, link: null });
+			}
+			else if (top.isBlock) {
+				endParagraph();
+			}
+			continue;
+		}
+		if (isBlock) endParagraph();
+		const format = Object.assign({}, top.format, htmlFormat(name, attributes));
+		let link = top.link;
+		const href = name === 'a' && htmlAttribute(attributes, 'href');
+		if (href) {
+			links.push(unescapeXML(href));
+			link = `rId${links.length + 1}`;
+		}
+		stack.push({ format, link, className, isBlock });
+	}
+	endParagraph();
+	if (!paragraphs.length) paragraphs.push([]);
+
+	const body = paragraphs.map((runs) => {
+		let xml = '';
+		let link = null;
+		for (let run of runs) {
+			if (run.link !== link) {
+				if (link) xml += '</w:hyperlink>';
+				if (run.link) xml += `<w:hyperlink r:id="${run.link}">`;
+				link = run.link;
+			}
+			const content = run.text.split(/(\t|\n)/).filter(Boolean).map((text) => {
+				if (text === '\t') return '<w:tab/>';
+				if (text === '\n') return '<w:br/>';
+				return `<w:t xml:space="preserve">${escapeXML(text)}</w:t>`;
+			});
+			xml += `<w:r>${runProperties(run.format)}${content.join('')}</w:r>`;
+		}
+		if (link) xml += '</w:hyperlink>';
+		return `<w:p>${xml}</w:p>`;
+	}).join('');
+	const part = (name, contentType, xml) => `<pkg:part pkg:name="${name}" pkg:contentType="${contentType}"><pkg:xmlData>${xml}</pkg:xmlData></pkg:part>`;
+	const relationships = (items) => `<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NAMESPACE}">${items.join('')}</Relationships>`;
+	const relationshipsType = "application/vnd.openxmlformats-package.relationships+xml";
+	let parts = part("/_rels/.rels", relationshipsType, relationships([
+		`<Relationship Id="rId1" Type="${RELATIONSHIPS_NAMESPACE}/officeDocument" Target="word/document.xml"/>`
+	]));
+	if (links.length) {
+		parts += part("/word/_rels/document.xml.rels", relationshipsType, relationships(links.map((url, idx) => {
+			return `<Relationship Id="rId${idx + 2}" Type="${RELATIONSHIPS_NAMESPACE}/hyperlink" `
+				+ `Target="${escapeXML(url).replace(/"/g, '&quot;')}" TargetMode="External"/>`;
+		})));
+	}
+	parts += part("/word/document.xml", "application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml",
+		`<w:document xmlns:w="${WORDPROCESSINGML_NAMESPACE}" xmlns:r="${RELATIONSHIPS_NAMESPACE}"><w:body>${body}</w:body></w:document>`);
+	return `<pkg:package xmlns:pkg="${OOXML_PACKAGE_NAMESPACE}">${parts}</pkg:package>`;
+}
+
+/**
+ * @param {String} attributes Attributes of an HTML tag
+ * @param {String} name
+ * @returns {String|null} The value of the attribute, which Word leaves unquoted or in single quotes
+ */
+function htmlAttribute(attributes, name) {
+	const match = new RegExp(`\\b${name}=(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i').exec(attributes);
+	return match ? [match[1], match[2], match[3]].find(value => value !== undefined) : null;
+}
+
+/**
+ * @param {String} html HTML document of Range.getHtml()
+ * @returns {String} The content of its body, for htmlToOoxml()
+ */
+function htmlBody(html) {
+	const body = /<body\b[^>]*>([\s\S]*)<\/body>/i.exec(html);
+	return (body ? body[1] : html)
+		.replace(/<!--[\s\S]*?-->/g, '')
+		.replace(/<(style|script)\b[\s\S]*?<\/\1>/gi, '');
+}
+
+/**
+ * @param {String} tag Lower case HTML tag name
+ * @param {String} attributes
+ * @returns {Object} The formatting an HTML element of citeproc-js sets, e.g. {italic: true, smallCaps: false}
+ */
+function htmlFormat(tag, attributes) {
+	const format = {};
+	switch (tag) {
+	case 'b':
+	case 'strong':
+		format.bold = true;
+		break;
+	case 'i':
+	case 'em':
+		format.italic = true;
+		break;
+	case 'u':
+		format.underline = true;
+		break;
+	case 'sup':
+		format.vertAlign = 'superscript';
+		break;
+	case 'sub':
+		format.vertAlign = 'subscript';
+		break;
+	}
+	const style = htmlAttribute(attributes, 'style');
+	for (let declaration of style ? style.split(';') : []) {
+		const [property, value] = declaration.split(':').map(str => str.trim().toLowerCase());
+		switch (property) {
+		case 'font-style':
+			format.italic = value === 'italic' || value === 'oblique';
+			break;
+		case 'font-weight':
+			format.bold = value === 'bold' || value === 'bolder' || parseInt(value) >= 600;
+			break;
+		case 'font-variant':
+			format.smallCaps = value === 'small-caps';
+			break;
+		case 'text-decoration':
+			format.underline = value === 'underline';
+			break;
+		case 'vertical-align':
+			format.vertAlign = { sup: 'superscript', super: 'superscript', sub: 'subscript' }[value] || 'baseline';
+			break;
+		}
+	}
+	return format;
+}
+
+/**
+ * @returns {String} <w:rPr> of a format from htmlFormat(), in schema order
+ */
+function runProperties(format) {
+	let xml = '';
+	if (format.bold) xml += '<w:b/>';
+	if (format.italic) xml += '<w:i/>';
+	if (format.smallCaps) xml += '<w:smallCaps/>';
+	if (format.underline) xml += '<w:u w:val="single"/>';
+	if (format.vertAlign && format.vertAlign !== 'baseline') xml += `<w:vertAlign w:val="${format.vertAlign}"/>`;
+	return xml ? `<w:rPr>${xml}</w:rPr>` : '';
+}
+
+/**
+ * @returns {Object[]} The citationItems of a citation field code, empty if it cannot be read
+ */
+function citationItemsFromCode(code) {
+	try {
+		const citation = JSON.parse(code.substring(code.indexOf('{')));
+		return Array.isArray(citation.citationItems) ? citation.citationItems : [];
+	}
+	catch (e) {
+		return [];
+	}
+}
+
+/**
+ * @returns {String} Lower case words of text without diacritics, separated by single spaces
+ */
+function normalizeForMatching(text) {
+	return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Finds the bibliography entry of a cited item by the start of its title, or by the family
+ * name of its first creator and its year
+ *
+ * @param {Object} item Citation item with CSL itemData
+ * @param {String[]} entries Entry texts, normalized with normalizeForMatching()
+ * @returns {Number} Index of the entry, or -1
+ */
+function findBibliographyEntry(item, entries) {
+	const data = item.itemData || {};
+	const contains = (text, words) => words && ` ${text} `.includes(` ${words} `);
+	let title = '';
+	for (let word of normalizeForMatching(data.title || '').split(' ')) {
+		if (title && title.length + word.length >= 40) break;
+		title = title ? `${title} ${word}` : word;
+	}
+	const creator = (data.author || data.editor || [])[0];
+	const name = normalizeForMatching(creator ? creator.family || creator.literal || '' : '');
+	const dateParts = data.issued && data.issued['date-parts'];
+	const year = dateParts && dateParts[0] && dateParts[0][0] ? String(dateParts[0][0]) : '';
+	let matches = entries.map((text, idx) => idx).filter(idx => contains(entries[idx], title));
+	if (matches.length > 1 && name) {
+		matches = matches.filter(idx => contains(entries[idx], name)).concat(matches);
+	}
+	if (matches.length) return matches[0];
+	if (!name) return -1;
+	return entries.findIndex(text => contains(text, name) && (!year || text.includes(year)));
+}
+
+/**
+ * @param {String} text
+ * @returns {String} Text matched literally when used in a RegExp
+ */
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits citation text into the parts for each cited item. A part starts at the number of the
+ * item's bibliography entry, or at the family name of its first creator, and ends before the next part.
+ *
+ * @param {String} text
+ * @param {Object[]} links {name, label, item} for each cited item
+ * @returns {Object[]} {name, text, occurrence} for each part found, where occurrence is the index
+ * 		of the part among the matches of searching the citation for its text
+ */
+function citationSegments(text, links) {
+	const found = [];
+	for (let { name, label, item } of links) {
+		const creator = ((item.itemData || {}).author || [])[0];
+		const family = creator && (creator.family || creator.literal);
+		let pattern = null;
+		if (label) {
+			// Not part of a longer number. The character before the label is matched, since
+			// lookbehind is not supported by older Word webviews.
+			pattern = new RegExp(`(^|\\D)${escapeRegExp(label)}(?!\\d)`);
+		}
+		else if (family) {
+			pattern = new RegExp(escapeRegExp(family), 'i');
+		}
+		const match = pattern && pattern.exec(text);
+		if (match) found.push({ name, index: match.index + (label ? match[1].length : 0) });
+	}
+	found.sort((a, b) => a.index - b.index);
+	return found.map(({ name, index }, i) => {
+		const end = i + 1 < found.length ? found[i + 1].index : text.length;
+		const segment = text.substring(index, end).replace(/[\s;,:)\]\u2013-]+$/, '');
+		let occurrence = 0;
+		for (let pos = text.indexOf(segment); pos !== -1 && pos < index; pos = text.indexOf(segment, pos + segment.length)) {
+			occurrence++;
+		}
+		return { name, text: segment, occurrence };
+	}).filter(segment => segment.text && segment.text.length <= SEARCH_TEXT_MAX_LENGTH);
+}
+
+/**
+ * @param {Object[]} fields Fields in notes, in document order
+ * @returns {Object[]} {note, fields} for each note, in document order
+ */
+function groupFieldsByNote(fields) {
+	const notes = [];
+	for (let field of fields) {
+		const last = notes[notes.length - 1];
+		if (last && last.note === field.wordNote) {
+			last.fields.push(field);
+		}
+		else {
+			notes.push({ note: field.wordNote, fields: [field] });
+		}
+	}
+	return notes;
+}
+
+/**
+ * Marks a field in a header, footer or text box, which cannot be turned into a note
+ */
+function markInlineOnly(field) {
+	Object.defineProperty(field, 'inlineOnly', { value: true });
+	return field;
+}
+
+/**
+ * Marks a field as inline only if it is in a body of one of INLINE_ONLY_BODY_TYPES
+ */
+function markInlineOnlyIn(field, bodyType) {
+	return INLINE_ONLY_BODY_TYPES.includes(bodyType) ? markInlineOnly(field) : field;
+}
+
+/**
+ * @param {Word.Range[]} ranges With loaded text
+ * @returns {Boolean} Whether any of the ranges has text other than whitespace
+ */
+function hasText(ranges) {
+	return ranges.some(range => range.text.trim().length);
+}
+
+/**
+ * @returns {String} Field type of a field object
+ */
+function fieldTypeOf(field) {
+	if (field.contentControl) return 'ContentControl';
+	if (field.bookmark) return 'Bookmark';
+	return 'Field';
+}
+
+/**
+ * @returns {*} What identifies a content control or bookmark field across Word proxies
+ */
+function fieldKey(field) {
+	return field.contentControl ? field.contentControl.id : field.bookmark;
+}
+
+/**
+ * Joins bookmark codes split over custom properties
+ *
+ * @param {Word.CustomProperty[]} properties Loaded key and value
+ * @returns {Map<String, String>} Codes without the ZOTERO_ prefix by bookmark name
+ */
+function bookmarkCodesFromProperties(properties) {
+	const chunks = new Map();
+	for (let property of properties) {
+		const match = BOOKMARK_PROPERTY_REGEXP.exec(property.key);
+		if (!match) continue;
+		if (!chunks.has(match[1])) chunks.set(match[1], []);
+		chunks.get(match[1]).push({ idx: parseInt(match[2]), value: String(property.value) });
+	}
+	const codes = new Map();
+	for (let [name, parts] of chunks) {
+		const code = parts.sort((a, b) => a.idx - b.idx).map(part => part.value).join('');
+		if (code.startsWith(BOOKMARK_CODE_PREFIX)) {
+			codes.set(name, code.substr(BOOKMARK_CODE_PREFIX.length));
+		}
+	}
+	return codes;
+}
+
+/**
+ * @returns {String} The custom XML part storing the code of a field
+ */
+function citationToXml(storeID, code, fieldType) {
+	const type = fieldType === 'Field' ? '' : ` fieldType="${fieldType}"`;
+	return `<citation xmlns="${CITATION_STORE_NAMESPACE}" id="${storeID}"${type}>${escapeXML(code)}</citation>`;
+}
+
+/**
+ * @returns {{id: String, code: String, fieldType: String}|null} Null if the part cannot be read
+ */
+function citationFromXml(xml) {
+	const match = /<citation\b([^>]*)>([^<]*)<\/citation>/.exec(xml);
+	const id = match && /\bid="([^"]*)"/.exec(match[1]);
+	if (!id) {
+		Zotero.logError(new Error(`Unreadable stored citation ${xml.substr(0, 100)}`));
+		return null;
+	}
+	const fieldType = /\bfieldType="([^"]*)"/.exec(match[1]);
+	return { id: id[1], code: unescapeXML(match[2]), fieldType: fieldType ? fieldType[1] : 'Field' };
+}
+
+function escapeXML(str) {
+	return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXML(str) {
+	return str
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, "'")
+		.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+		.replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+		.replace(/&amp;/g, '&');
+}
+
+/**
+ * FNV-1a hash of a string, to detect damaged document preferences
+ * @returns {String} 8 hex digits
+ */
+function checksum(str) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < str.length; i++) {
+		hash ^= str.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * @returns {Object} The error response for an exception in an integration method
+ */
+function errorToResult(e) {
+	let result = {
+		error: e.type || `Connector Error`,
+		message: e.message,
+		stack: e.stack,
+	}
+	if (e.debugInfo) {
+		result = {...result,
+			errorLocation: e.debugInfo.errorLocation,
+			fullStatements: e.debugInfo.fullStatements,
+			surroundingStatements: e.debugInfo.surroundingStatements
+		}
+	}
+	// Not serialized, allows rethrowing the original error
+	Object.defineProperty(result, 'exception', { value: e });
+	return result;
+}
+
+function isOfType(value, type) {
+	if (type.endsWith('[]')) {
+		return Array.isArray(value) && value.every(item => isOfType(item, type.slice(0, -2)));
+	}
+	if (type === 'number') {
+		return typeof value === 'number' && !isNaN(value);
+	}
+	if (type === 'object') {
+		return typeof value === 'object' && !Array.isArray(value);
+	}
+	return typeof value === type;
+}
+
 function randomString(len, chars) {
 	if (!chars) {
 		chars = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
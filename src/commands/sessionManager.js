@@ -0,0 +1,119 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+/**
+ * Allows only one integration transaction per document at a time
+ * @namespace
+ */
+Zotero.SessionManager = new function() {
+	// Sessions without requests from Zotero for this long are cancelled. Generous, since Zotero
+	// waits for the user while dialogs like the citation dialog are open.
+	this.IDLE_TIMEOUT = 30 * 60 * 1000;
+
+	// docID -> { session, timeoutID }
+	const active = new Map();
+
+	function getDocID() {
+		return Office.context.document.url;
+	}
+
+	/**
+	 * @returns {Zotero.Session|null} The session of the transaction in progress in the document
+	 */
+	this.getActive = function(docID=getDocID()) {
+		const entry = active.get(docID);
+		return entry ? entry.session : null;
+	};
+
+	/**
+	 * Runs a button command in a new session, unless another transaction is in progress
+	 * in the document, in which case the user is told so.
+	 */
+	this.run = async function(event, command) {
+		const session = new Zotero.Session(event, command);
+		if (!this.acquire(session)) {
+			Zotero.debug(`Refusing ${command} while ${this.getActive().command} is in progress`);
+			try {
+				await session.displayAlert(`Another Zotero operation is in progress in this document. Wait for it to finish, or click Cancel on the Zotero tab to stop it.`);
+			}
+			catch (e) {
+				Zotero.logError(e);
+			}
+			finally {
+				event.completed();
+			}
+			return;
+		}
+		try {
+			await session.execCommand(command);
+		}
+		finally {
+			this.release(session);
+		}
+	};
+
+	/**
+	 * @returns {Boolean} Whether the session became the active session of the document
+	 */
+	this.acquire = function(session, docID=getDocID()) {
+		if (active.has(docID)) return false;
+		active.set(docID, { session, timeoutID: null });
+		this.touch(session, docID);
+		Zotero.Connector.setTransactionInProgress(true);
+		return true;
+	};
+
+	this.release = function(session, docID=getDocID()) {
+		const entry = active.get(docID);
+		if (!entry || entry.session !== session) return;
+		clearTimeout(entry.timeoutID);
+		active.delete(docID);
+		Zotero.Connector.setTransactionInProgress(false);
+	};
+
+	/**
+	 * Restarts the idle timeout of the session, if it is active
+	 */
+	this.touch = function(session, docID=getDocID()) {
+		const entry = active.get(docID);
+		if (!entry || entry.session !== session) return;
+		clearTimeout(entry.timeoutID);
+		entry.timeoutID = setTimeout(() => {
+			Zotero.debug(`${session.command} has been idle for ${this.IDLE_TIMEOUT}ms, cancelling`);
+			this.cancel(docID);
+		}, this.IDLE_TIMEOUT);
+	};
+
+	/**
+	 * Cancels the active session of the document and releases it right away, so a session
+	 * that does not unwind cannot block further commands
+	 */
+	this.cancel = async function(docID=getDocID()) {
+		const session = this.getActive(docID);
+		if (!session) return;
+		this.release(session, docID);
+		await session.cancel();
+	};
+}
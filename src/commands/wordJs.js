@@ -26,13 +26,13 @@
 Office.onReady(() => {
 	// If needed, Office.js is ready to be called
 	OfficeExtension.config.extendedErrorLogging = true;
+	Zotero.Connector.startMonitoring();
 });
 
 function generateButtonHandler(button) {
 	return function (event) {
 		Zotero.debug(`Clicked addin button ${button}`)
-		let session = new Zotero.Session(event, button);
-		session.execCommand(button);
+		return Zotero.SessionManager.run(event, button);
 	}
 }
 
@@ -62,6 +62,39 @@ for (let button of buttons) {
 	g[button] = generateButtonHandler(button);
 }
 
+g.cancelTransaction = async function (event) {
+	try {
+		await Zotero.SessionManager.cancel();
+	}
+	finally {
+		event.completed();
+	}
+}
+
+g.openSettings = async function (event) {
+	try {
+		await Zotero.Connector.openSettings();
+	}
+	catch (e) {
+		Zotero.logError(e);
+	}
+	finally {
+		event.completed();
+	}
+}
+
+g.showPerformance = async function (event) {
+	try {
+		await Zotero.PerformanceTrace.openReport();
+	}
+	catch (e) {
+		Zotero.logError(e);
+	}
+	finally {
+		event.completed();
+	}
+}
+
 function handleError(e) {
 	let result = {
 		error: e.type || `Connector Error`,
@@ -0,0 +1,145 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+import {
+    provideFluentDesignSystem,
+    fluentButton
+} from "@fluentui/web-components";
+
+provideFluentDesignSystem()
+    .register(
+        fluentButton()
+    );
+
+const METHOD_COLUMNS = [
+	['method', 'Method'],
+	['calls', 'Calls'],
+	['syncs', 'Syncs'],
+	['syncTime', 'Sync ms'],
+	['wordRunTime', 'Word ms'],
+	['respondTime', 'Respond ms']
+];
+const SORT_COLUMNS = [
+	['fields', 'Sorting into fields'],
+	['notes', 'Notes'],
+	['syncs', 'Syncs'],
+	['time', 'ms']
+];
+
+let report = null;
+
+Office.onReady(function() {
+	// The traces are sent by the commands runtime in reply to ready and clear
+	Office.context.ui.addHandlerAsync(Office.EventType.DialogParentMessageReceived, (arg) => {
+		report = JSON.parse(arg.message);
+		render();
+	});
+
+	document.querySelector('#copy').addEventListener('click', copy);
+	document.querySelector('#save').addEventListener('click', save);
+	document.querySelector('#clear').addEventListener('click', () => {
+		Office.context.ui.messageParent(JSON.stringify({ action: 'clear' }));
+	});
+	document.querySelector('#close').addEventListener('click', close);
+	document.addEventListener('keydown', (event) => {
+		if (event.key === "Escape") {
+			close();
+		}
+	});
+	Office.context.ui.messageParent(JSON.stringify({ action: 'ready' }));
+});
+
+function render() {
+	const container = document.querySelector('#traces');
+	container.replaceChildren();
+	if (!report.traces.length) {
+		container.textContent = 'No Zotero operations have run since Word loaded the add-in.';
+		return;
+	}
+	for (let trace of report.traces.slice().reverse()) {
+		const heading = document.createElement('h2');
+		heading.textContent = `${trace.command}, ${new Date(trace.started).toLocaleTimeString()}: ${trace.duration}ms`;
+		const summary = document.createElement('p');
+		summary.textContent = `${trace.syncs} syncs in ${trace.syncTime}ms, Word ${trace.wordRunTime}ms, `
+			+ `respond ${trace.respondTime}ms, waiting for Zotero to start ${trace.execCommandTime}ms`;
+		if (trace.fields !== null) {
+			summary.textContent += `. ${trace.fields} fields in ${trace.notes} notes.`;
+		}
+		container.append(heading, summary, createTable(METHOD_COLUMNS, trace.methods));
+		if (trace.sorts.length) {
+			container.append(createTable(SORT_COLUMNS, trace.sorts));
+		}
+	}
+}
+
+function createTable(columns, rows) {
+	const table = document.createElement('table');
+	const header = table.createTHead().insertRow();
+	for (let [, label] of columns) {
+		const th = document.createElement('th');
+		th.textContent = label;
+		header.append(th);
+	}
+	const body = table.createTBody();
+	for (let row of rows) {
+		const tr = body.insertRow();
+		for (let [key] of columns) {
+			tr.insertCell().textContent = row[key];
+		}
+	}
+	return table;
+}
+
+function toJSON() {
+	return JSON.stringify(report, null, '\t');
+}
+
+async function copy() {
+	try {
+		await navigator.clipboard.writeText(toJSON());
+		setStatus('Copied to the clipboard.');
+	}
+	catch (e) {
+		setStatus('Could not copy to the clipboard. Use Save JSON instead.');
+	}
+}
+
+function save() {
+	const url = URL.createObjectURL(new Blob([toJSON()], { type: 'application/json' }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = `zotero-performance-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+	document.body.append(link);
+	link.click();
+	link.remove();
+	URL.revokeObjectURL(url);
+}
+
+function close() {
+	Office.context.ui.messageParent(JSON.stringify({ action: 'close' }));
+}
+
+function setStatus(text) {
+	document.querySelector('#status').textContent = text;
+}
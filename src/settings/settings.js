@@ -0,0 +1,104 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+import {
+    provideFluentDesignSystem,
+    fluentButton,
+    fluentCheckbox,
+    fluentTextField
+} from "@fluentui/web-components";
+
+provideFluentDesignSystem()
+    .register(
+        fluentButton(),
+        fluentCheckbox(),
+        fluentTextField()
+    );
+
+Office.onReady(function() {
+	const params = new URLSearchParams(document.location.search);
+	const hostElem = document.querySelector('#host');
+	const portElem = document.querySelector('#port');
+	const citationStoreElem = document.querySelector('#citationStore');
+	const linkCitationsElem = document.querySelector('#linkCitations');
+	hostElem.value = params.get('host');
+	portElem.value = params.get('port');
+	citationStoreElem.checked = params.get('citationStore') === 'true';
+	linkCitationsElem.checked = params.get('linkCitations') === 'true';
+
+	// Errors from validating the endpoint are sent back by the commands runtime
+	Office.context.ui.addHandlerAsync(Office.EventType.DialogParentMessageReceived, (arg) => {
+		const message = JSON.parse(arg.message);
+		setBusy(false);
+		setStatus(message.error, true);
+	});
+
+	document.querySelector('#save').addEventListener('click', save);
+	document.querySelector('#cancel').addEventListener('click', cancel);
+	document.querySelector('#reset').addEventListener('click', () => {
+		hostElem.value = params.get('defaultHost');
+		portElem.value = params.get('defaultPort');
+		citationStoreElem.checked = false;
+		linkCitationsElem.checked = false;
+		setStatus('');
+	});
+	document.addEventListener('keydown', (event) => {
+		if (event.key === "Escape") {
+			cancel();
+		}
+		else if (event.key === "Enter") {
+			save();
+		}
+	});
+	hostElem.focus();
+});
+
+function save() {
+	if (document.querySelector('#save').disabled) return;
+	setBusy(true);
+	setStatus('Connecting to Zotero…');
+	Office.context.ui.messageParent(JSON.stringify({
+		action: 'save',
+		host: document.querySelector('#host').value,
+		port: document.querySelector('#port').value,
+		citationStore: document.querySelector('#citationStore').checked,
+		linkCitations: document.querySelector('#linkCitations').checked
+	}));
+}
+
+function cancel() {
+	Office.context.ui.messageParent(JSON.stringify({ action: 'cancel' }));
+}
+
+function setBusy(busy) {
+	for (let id of ['save', 'reset', 'host', 'port', 'citationStore', 'linkCitations']) {
+		document.querySelector(`#${id}`).disabled = busy;
+	}
+}
+
+function setStatus(text, isError=false) {
+	const statusElem = document.querySelector('#status');
+	statusElem.textContent = text;
+	statusElem.classList.toggle('error', isError);
+}
@@ -0,0 +1,431 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+const vm = require('vm');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAddin } = require('./support/session');
+const { createConnectorServer } = require('./support/connectorServer');
+
+const SCRIPT = [{ command: 'Document.getDocument', arguments: [] }];
+
+describe('Connector status', function () {
+	let servers, addins;
+
+	beforeEach(function () {
+		servers = [];
+		addins = [];
+	});
+
+	afterEach(async function () {
+		for (let { Zotero } of addins) Zotero.Connector.stopMonitoring();
+		await Promise.all(servers.map(server => server.close()));
+	});
+
+	async function startServer(options) {
+		const server = createConnectorServer(options);
+		servers.push(server);
+		await server.listen();
+		return server;
+	}
+
+	function load(port, options={}) {
+		const addin = loadAddin(Object.assign({ prefs: { 'connector.port': port } }, options));
+		addin.Zotero.Connector.BUSY_RETRY_DELAYS = [0, 0];
+		addins.push(addin);
+		return addin;
+	}
+
+	function portOf(server) {
+		return parseInt(new URL(server.url).port);
+	}
+
+	async function closedPort() {
+		const server = createConnectorServer({ script: [] });
+		await server.listen();
+		const port = portOf(server);
+		await server.close();
+		return port;
+	}
+
+	function alerts(host) {
+		return host.dialogs.map(dialog => new URL(dialog.url).searchParams.get('text'));
+	}
+
+	it('should report Zotero as not running', async function () {
+		const { host, Zotero } = load(await closedPort());
+		await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+		assert.equal(Zotero.Connector.status, 'notRunning');
+		assert.equal(alerts(host).length, 1);
+		assert.match(alerts(host)[0], /could not communicate with Zotero/);
+	});
+
+	it('should report a Zotero version that is too old', async function () {
+		const connector = await startServer({ script: SCRIPT, zoteroVersion: '6.0.30' });
+		const { host, Zotero } = load(portOf(connector));
+		await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+		assert.equal(Zotero.Connector.status, 'tooOld');
+		assert.equal(Zotero.Connector.version, '6.0.30');
+		assert.match(alerts(host)[0], /Zotero 6\.0\.30 is too old.*version 7\.0 or later/);
+		assert.equal(connector.transactions.length, 0);
+	});
+
+	it('should accept newer and pre-release Zotero versions', async function () {
+		for (let zoteroVersion of ['7.0.0-beta.12+a1b2c3', '7.0.11', '8.0']) {
+			const connector = await startServer({ script: SCRIPT, zoteroVersion });
+			const { Zotero } = load(portOf(connector));
+			assert.equal(await Zotero.Connector.checkStatus(), 'running', zoteroVersion);
+		}
+	});
+
+	it('should retry while Zotero is busy and ask whether to keep waiting', async function () {
+		const options = { script: SCRIPT, busy: true };
+		const connector = await startServer(options);
+		let asked = 0;
+		const { host, Zotero, logs } = load(portOf(connector), {
+			dialogResponse: () => {
+				// Keep waiting, and finish the other transaction while the user is asked
+				options.busy = ++asked < 2;
+				return 1;
+			}
+		});
+		let completed = false;
+		await new Zotero.Session({ completed: () => completed = true }, 'refresh').execCommand('refresh');
+
+		assert.ok(completed);
+		assert.equal(asked, 2);
+		assert.match(alerts(host)[0], /Zotero is busy/);
+		// Initial request and two retries before each question
+		assert.equal(logs.filter(args => /status 503/.test(args[0])).length, 6);
+		assert.equal(connector.transactions.length, 1);
+		assert.equal(Zotero.Connector.status, 'running');
+	});
+
+	it('should stop when the user does not want to wait', async function () {
+		const connector = await startServer({ script: SCRIPT, busy: true });
+		const { host, Zotero } = load(portOf(connector), { dialogResponse: () => 0 });
+		let completed = false;
+		await new Zotero.Session({ completed: () => completed = true }, 'refresh').execCommand('refresh');
+
+		assert.ok(completed);
+		assert.equal(host.dialogs.length, 1);
+		assert.equal(Zotero.Connector.status, 'busy');
+	});
+
+	it('should disable the ribbon buttons while Zotero is not reachable', async function () {
+		const connector = await startServer({ script: SCRIPT });
+		const { host, Zotero } = load(await closedPort(), { ribbon: true });
+		Zotero.Connector.stopMonitoring();
+
+		assert.equal(await Zotero.Connector.checkStatus(), 'notRunning');
+		const statusUpdates = () => host.ribbonUpdates.filter(update => update.tabs[0].groups[0].controls.length > 1);
+		assert.equal(statusUpdates().length, 1);
+		const [{ tabs: [tab] }] = statusUpdates();
+		assert.equal(tab.id, 'ZoteroTab');
+		assert.ok(tab.groups[0].controls.every(control => !control.enabled));
+		assert.ok(!tab.groups[0].controls.some(control => control.id === 'SettingsButton'));
+
+		Zotero.Prefs.set('connector.port', portOf(connector));
+		assert.equal(await Zotero.Connector.checkStatus(), 'running');
+		assert.equal(statusUpdates().length, 2);
+		assert.ok(statusUpdates()[1].tabs[0].groups[0].controls.every(control => control.enabled));
+	});
+
+	it('should not update the ribbon on hosts without the ribbon API', async function () {
+		const connector = await startServer({ script: SCRIPT });
+		const { host, Zotero } = load(await closedPort(), { ribbon: true });
+		Zotero.Connector.stopMonitoring();
+		host.Office.context.requirements.isSetSupported = name => name !== 'RibbonApi';
+		const updates = host.ribbonUpdates.length;
+
+		assert.equal(await Zotero.Connector.checkStatus(), 'notRunning');
+		Zotero.Prefs.set('connector.port', portOf(connector));
+		await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+		assert.equal(host.ribbonUpdates.length, updates);
+	});
+
+	describe('protocol negotiation', function () {
+		async function refresh(Zotero) {
+			await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+		}
+
+		it('should exchange protocol versions and features before a transaction', async function () {
+			const connector = await startServer({ script: SCRIPT });
+			const { Zotero } = load(portOf(connector));
+			await refresh(Zotero);
+
+			const [negotiation] = connector.negotiations;
+			assert.equal(negotiation.protocolVersion, 1);
+			assert.ok(negotiation.features.includes('citationMerging'));
+			const document = connector.transactions[0].exchanges[0].response;
+			assert.equal(document.protocolVersion, 1);
+			assert.deepEqual(document.supportedNotes, ['footnotes', 'endnotes']);
+			assert.equal(document.supportsCitationMerging, true);
+		});
+
+		it('should only advertise capabilities Zotero supports', async function () {
+			const connector = await startServer({
+				script: SCRIPT,
+				protocol: { features: ['footnotes', 'textInsertion', 'outputFormat.html'] }
+			});
+			const { Zotero } = load(portOf(connector));
+			await refresh(Zotero);
+
+			const document = connector.transactions[0].exchanges[0].response;
+			assert.deepEqual(document.supportedNotes, ['footnotes']);
+			assert.equal(document.supportsTextInsertion, true);
+			assert.equal(document.supportsImportExport, false);
+			assert.equal(document.supportsCitationMerging, false);
+		});
+
+		it('should assume all features with a Zotero that predates negotiation', async function () {
+			const connector = await startServer({ script: SCRIPT, protocol: false });
+			const { host, Zotero } = load(portOf(connector));
+			await refresh(Zotero);
+
+			assert.equal(host.dialogs.length, 0);
+			const document = connector.transactions[0].exchanges[0].response;
+			assert.deepEqual(document.supportedNotes, ['footnotes', 'endnotes']);
+			assert.equal(document.supportsImportExport, true);
+		});
+
+		it('should ask to update Zotero when its protocol is too old', async function () {
+			const connector = await startServer({ script: SCRIPT, protocol: false });
+			const { host, Zotero, global } = load(portOf(connector));
+			vm.runInContext('ZOTERO_CONFIG.MIN_PROTOCOL_VERSION = 1', global);
+			await refresh(Zotero);
+
+			assert.match(alerts(host)[0], /requires a newer version of Zotero/);
+			assert.equal(connector.transactions.length, 0);
+		});
+
+		it('should ask to update the add-in when Zotero requires a newer protocol', async function () {
+			const connector = await startServer({ script: SCRIPT, protocol: { protocolVersion: 3, minProtocolVersion: 2 } });
+			const { host, Zotero } = load(portOf(connector));
+			await refresh(Zotero);
+
+			assert.match(alerts(host)[0], /requires a newer version of the Zotero Word add-in/);
+			assert.equal(connector.transactions.length, 0);
+		});
+	});
+
+	describe('cancellation', function () {
+		it('should abort the transaction in progress and notify Zotero', async function () {
+			let release, waiting;
+			const responded = new Promise(resolve => waiting = resolve);
+			const connector = await startServer({ script: [
+				{ command: 'Document.getFields', arguments: [] },
+				// Zotero shows a dialog and the user walks away
+				() => {
+					waiting();
+					return new Promise(resolve => release = resolve);
+				}
+			] });
+			const { host, Zotero, global } = load(portOf(connector), { ribbon: true });
+			host.append(['Text ', { field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text: '(A)' }]);
+			let completed = false;
+			const transaction = global.addEditCitation({ completed: () => completed = true });
+			await responded;
+			const session = Zotero.SessionManager.getActive();
+			assert.equal(session.command, 'addEditCitation');
+			assert.ok(session.trackedObjects.length);
+			assert.equal(completed, false);
+
+			await new Promise(resolve => global.cancelTransaction({ completed: resolve }));
+			assert.equal(Zotero.SessionManager.getActive(), null);
+			await transaction;
+
+			assert.ok(completed);
+			assert.equal(session.trackedObjects.length, 0);
+			assert.deepEqual(Object.assign({}, connector.cancellations[0]), { command: 'addEditCitation', docId: host.doc.url });
+			const cancelStates = host.ribbonUpdates
+				.map(update => update.tabs[0].groups[0].controls)
+				.filter(controls => controls.length === 1 && controls[0].id === 'CancelButton')
+				.map(controls => controls[0].enabled);
+			assert.deepEqual(cancelStates.slice(-2), [true, false]);
+			release({ command: 'Document.complete', arguments: [] });
+		});
+
+		it('should stop retrying while Zotero is busy', async function () {
+			const connector = await startServer({ script: SCRIPT, busy: true });
+			const { Zotero } = load(portOf(connector));
+			Zotero.Connector.BUSY_RETRY_DELAYS = [50];
+			let completed = false;
+			const session = new Zotero.Session({ completed: () => completed = true }, 'refresh');
+			const transaction = session.execCommand('refresh');
+			await Zotero.Promise.delay(20);
+			await session.cancel();
+			await transaction;
+
+			assert.ok(completed);
+			assert.equal(connector.cancellations.length, 1);
+		});
+	});
+
+	it('should report notes kept by a conversion once the transaction ends', async function () {
+		const citation = text => ({ field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text });
+		const connector = await startServer({ script: [
+			{ command: 'Document.getFields', arguments: [] },
+			responses => ({ command: 'Document.convert', arguments: [responses[0].map(f => f.id), 'Field', [0, 0]] }),
+			{ command: 'Document.complete', arguments: [] }
+		] });
+		let finished;
+		const { host, Zotero } = load(portOf(connector), {
+			dialogResponse: () => { finished = connector.transactions.length }
+		});
+		host.append([
+			'One', { footnote: [citation('A.')] },
+			' two', { footnote: ['Compare ', citation('B.'), ' for more.'] }
+		]);
+		await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+		assert.equal(connector.transactions[0].exchanges[1].response, null);
+		assert.equal(host.text(), 'OneA. two[1]B.');
+		assert.equal(alerts(host).length, 1);
+		assert.match(alerts(host)[0], /other text and were kept: footnote 1\./);
+		assert.equal(finished, 1);
+	});
+
+	describe('rollback', function () {
+		const CITATION = 'ADDIN ZOTERO_ITEM CSL_CITATION {}';
+		// Updates the first citation, then fails on the second
+		const FAILING_SCRIPT = [
+			{ command: 'Document.getFields', arguments: [] },
+			responses => ({ command: 'Document.setText', arguments: [responses[0][0].id, '(Smith 2020)'] }),
+			responses => ({ command: 'Document.setCode', arguments: [responses[0][0].id, 'ITEM CSL_CITATION {"updated":true}'] }),
+			{ command: 'Document.setText', arguments: ['missing', '(Jones 2021)'] }
+		];
+
+		function loadDocument(port, restore, content=['Text ', { field: CITATION, text: '{Updating}' }, { footnote: [{ field: CITATION, text: '{Updating}' }] }]) {
+			const addin = load(port, { dialogResponse: url => /Restore the document/.test(decodeURIComponent(url)) ? restore : 0 });
+			addin.host.append(content);
+			return addin;
+		}
+
+		it('should restore the document when a transaction fails part-way', async function () {
+			const connector = await startServer({ script: FAILING_SCRIPT });
+			const { host, Zotero } = loadDocument(portOf(connector), 1);
+			await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+			const response = connector.transactions[0].exchanges[3].response;
+			assert.ok(response.error);
+			assert.equal(alerts(host).length, 1);
+			assert.deepEqual(host.fields().map(f => [f.code, f.text, f.noteType]), [
+				[CITATION, '{Updating}', 0],
+				[CITATION, '{Updating}', 1]
+			]);
+			assert.equal(host.text(), 'Text {Updating}[1]');
+		});
+
+		it('should only read the paragraphs that the transaction changes', async function () {
+			const connector = await startServer({ script: FAILING_SCRIPT });
+			const other = 'Other text. '.repeat(10000);
+			const { host, Zotero } = loadDocument(portOf(connector), 1, [
+				`${other}\n`, 'Text ', { field: CITATION, text: '{Updating}' }, { footnote: [{ field: CITATION, text: '{Updating}' }] }, `\n${other}`
+			]);
+			await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+			assert.ok(host.ooxmlLength < other.length);
+			assert.equal(host.fields()[0].text, '{Updating}');
+			assert.equal(host.text(), `${other}\nText {Updating}[1]\n${other}`);
+		});
+
+		it('should restore removed notes and stored citations', async function () {
+			const connector = await startServer({ script: [
+				{ command: 'Document.getFields', arguments: [] },
+				responses => ({ command: 'Document.delete', arguments: [responses[0][1].id] }),
+				responses => ({ command: 'Document.setCode', arguments: [responses[0][0].id, `ITEM CSL_CITATION {"abstract":"${'x'.repeat(2000)}"}`] }),
+				{ command: 'Document.setText', arguments: ['missing', '(Jones 2021)'] }
+			] });
+			const { host, Zotero } = loadDocument(portOf(connector), 1);
+			Zotero.Prefs.set('citationStore', true);
+			await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+			assert.deepEqual(host.fields().map(f => [f.code, f.text, f.noteType]), [
+				[CITATION, '{Updating}', 0],
+				[CITATION, '{Updating}', 1]
+			]);
+			assert.equal(host.text(), 'Text {Updating}[1]');
+			assert.equal(host.doc.customXmlParts.size, 0);
+		});
+
+		it('should restore fields in headers', async function () {
+			const connector = await startServer({ script: [
+				{ command: 'Document.getFields', arguments: [] },
+				responses => ({ command: 'Document.setText', arguments: [responses[0][1].id, '(Smith 2020)'] }),
+				{ command: 'Document.setText', arguments: ['missing', '(Jones 2021)'] }
+			] });
+			const { host, Zotero } = loadDocument(portOf(connector), 1, [
+				'Text ', { field: CITATION, text: '{Updating}' }, { header: ['Header ', { field: CITATION, text: '{Updating}' }] }
+			]);
+			await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+			assert.deepEqual(host.fields().map(f => f.text), ['{Updating}', '{Updating}']);
+			assert.equal(host.text(host.headerFooter('Header')), 'Header {Updating}');
+		});
+
+		it('should restore bookmark codes', async function () {
+			const connector = await startServer({ script: [
+				{ command: 'Document.getFields', arguments: ['Bookmark'] },
+				responses => ({ command: 'Document.setCode', arguments: [responses[0][0].id, `ITEM CSL_CITATION {"abstract":"${'x'.repeat(600)}"}`] }),
+				responses => ({ command: 'Document.delete', arguments: [responses[0][0].id] }),
+				{ command: 'Document.setText', arguments: ['missing', '(Jones 2021)'] }
+			] });
+			const { host, Zotero } = loadDocument(portOf(connector), 1, [
+				'Text ', { bookmark: 'ZOTERO_BREF_a', code: 'ITEM CSL_CITATION {}', text: '{Updating}' }, ' after'
+			]);
+			const bookmarks = JSON.stringify(host.bookmarks());
+			await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+			assert.equal(connector.transactions[0].exchanges[2].response, null);
+			assert.equal(JSON.stringify(host.bookmarks()), bookmarks);
+			assert.deepEqual(Array.from(host.doc.customProperties.keys()), ['ZOTERO_BREF_a_1']);
+			assert.equal(host.text(), 'Text {Updating} after');
+		});
+
+		it('should keep the changes when the user does not restore the document', async function () {
+			const connector = await startServer({ script: FAILING_SCRIPT });
+			const { host, Zotero } = loadDocument(portOf(connector), 0);
+			await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+			assert.equal(alerts(host).length, 1);
+			assert.deepEqual(host.fields().map(f => [f.code, f.text]), [
+				['ADDIN ZOTERO_ITEM CSL_CITATION {"updated":true}', '(Smith 2020)'],
+				[CITATION, '{Updating}']
+			]);
+		});
+
+		it('should not offer to restore after a successful transaction', async function () {
+			const connector = await startServer({ script: FAILING_SCRIPT.slice(0, 3) });
+			const { host, Zotero } = loadDocument(portOf(connector), 1);
+			await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+			assert.equal(host.dialogs.length, 0);
+			assert.equal(host.fields()[0].text, '(Smith 2020)');
+		});
+	});
+});
@@ -0,0 +1,160 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+
+	This file is part of Zotero.
+
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+
+	***** END LICENSE BLOCK *****
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAddin } = require('./support/session');
+const { createConnectorServer } = require('./support/connectorServer');
+const { loadFixture, replay } = require('./support/transactions');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/transactions');
+
+const REFRESH_SCRIPT = [
+	{ command: 'Document.getDocument', arguments: [] },
+	{ command: 'Document.getFields', arguments: [] },
+	responses => ({ command: 'Document.setText', arguments: [responses[1][0].id, '(Smith 2020)'] }),
+	responses => ({ command: 'Document.setCode', arguments: [responses[1][0].id, 'ITEM CSL_CITATION {"updated":true}'] }),
+	responses => ({ command: 'Document.setText', arguments: [responses[1][1].id, 'Jones 2021.'] })
+];
+
+function loadAddinWithConnector(connector, options) {
+	const port = parseInt(new URL(connector.url).port);
+	return loadAddin(Object.assign({ prefs: { 'connector.port': port } }, options));
+}
+
+describe('Connector stand-in', function () {
+	let servers;
+
+	beforeEach(function () {
+		servers = [];
+	});
+
+	afterEach(async function () {
+		await Promise.all(servers.map(server => server.close()));
+	});
+
+	async function startServer(options) {
+		const server = createConnectorServer(options);
+		servers.push(server);
+		await server.listen();
+		return server;
+	}
+
+	it('should run a scripted transaction through execCommand and respond', async function () {
+		const connector = await startServer({ script: REFRESH_SCRIPT });
+		const { host, Zotero } = loadAddinWithConnector(connector);
+		host.append(['Text ', { field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text: '{Updating}' }, { footnote: [{ field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text: '{Updating}' }] }]);
+		let completed = false;
+		const session = new Zotero.Session({ completed: () => completed = true }, 'refresh');
+
+		await session.execCommand('refresh');
+
+		assert.ok(completed);
+		assert.deepEqual(host.fields().map(f => [f.code, f.text]), [
+			['ADDIN ZOTERO_ITEM CSL_CITATION {"updated":true}', '(Smith 2020)'],
+			['ADDIN ZOTERO_ITEM CSL_CITATION {}', 'Jones 2021.']
+		]);
+		const [transaction] = connector.transactions;
+		assert.equal(transaction.command, 'refresh');
+		assert.deepEqual(transaction.exchanges.map(e => e.request.command), [
+			'Document.getDocument', 'Document.getFields', 'Document.setText',
+			'Document.setCode', 'Document.setText', 'Document.complete'
+		]);
+		assert.equal(transaction.exchanges[0].response.documentID, host.doc.url);
+		assert.equal(transaction.exchanges[1].response.length, 2);
+	});
+
+	it('should run Application and Field commands like Zotero sends them', async function () {
+		const connector = await startServer({ script: [
+			{ command: 'Application.getActiveDocument', arguments: [] },
+			{ command: 'Document.getFields', arguments: [] },
+			responses => ({ command: 'Field.setText', arguments: [responses[1][0].id, '(Smith 2020)', false] }),
+			responses => ({ command: 'Field.setCode', arguments: [responses[1][0].id, 'ITEM CSL_CITATION {"updated":true}'] })
+		] });
+		const { host, Zotero } = loadAddinWithConnector(connector);
+		host.append(['Text ', { field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text: '{Updating}' }]);
+
+		await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+		const [transaction] = connector.transactions;
+		assert.deepEqual(transaction.exchanges[0].request.arguments, []);
+		assert.equal(transaction.exchanges[0].response.documentID, host.doc.url);
+		assert.deepEqual(transaction.exchanges.slice(2, 4).map(e => e.response), [null, null]);
+		assert.deepEqual(host.fields().map(f => [f.code, f.text]), [
+			['ADDIN ZOTERO_ITEM CSL_CITATION {"updated":true}', '(Smith 2020)']
+		]);
+	});
+
+	it('should answer 503 while a transaction is in progress', async function () {
+		const connector = await startServer({ script: [] });
+		const { host, Zotero, logs } = loadAddinWithConnector(connector);
+		Zotero.Connector.BUSY_RETRY_DELAYS = [];
+		const response = await fetch(connector.url + 'connector/document/execCommand', {
+			method: 'POST',
+			body: JSON.stringify({ command: 'refresh', docId: 'other' })
+		});
+		assert.equal(response.status, 200);
+
+		const session = new Zotero.Session({ completed: () => {} }, 'refresh');
+		await session.execCommand('refresh');
+		assert.ok(logs.some(args => /status 503/.test(args[0])));
+		assert.match(decodeURIComponent(host.dialogs[0].url), /Zotero is busy/);
+	});
+
+	it('should record a transaction proxied to Zotero that replays to the same responses', async function () {
+		const zotero = await startServer({ script: REFRESH_SCRIPT });
+		const recorder = await startServer({ proxy: zotero.url });
+		const { host, Zotero } = loadAddinWithConnector(recorder);
+		host.append(['Text ', { field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text: 'A' }, ' ', { field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text: 'B' }]);
+		await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+
+		const [fixture] = recorder.transactions;
+		assert.equal(fixture.exchanges.length, 6);
+		assert.deepEqual(fixture.document, ['Text', ' ', { field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text: 'A' }, ' ', { field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text: 'B' }]);
+
+		const { addin, session } = loadFixture(fixture);
+		for (let { expected, actual } of await replay(addin, session, fixture)) {
+			assert.deepEqual(actual, expected);
+		}
+		assert.deepEqual(addin.host.fields().map(f => f.text), ['(Smith 2020)', 'Jones 2021.']);
+	});
+
+	describe('fixtures', function () {
+		for (let file of fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json'))) {
+			it(`should replay ${file}`, async function () {
+				const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+				const { addin, session } = loadFixture(fixture);
+				for (let { request, expected, actual } of await replay(addin, session, fixture)) {
+					assert.deepEqual(actual, expected, `Unexpected response to ${request.command}`);
+				}
+				if (fixture.expectedFields) {
+					assert.deepEqual(addin.host.fields().map(f => [f.code, f.text, f.noteType]), fixture.expectedFields);
+				}
+			});
+		}
+	});
+});
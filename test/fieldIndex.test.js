@@ -0,0 +1,201 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAddin, callOk } = require('./support/session');
+
+const CITATION_A = 'ITEM CSL_CITATION {"citationID":"A"}';
+const CITATION_B = 'ITEM CSL_CITATION {"citationID":"B"}';
+const CITATION_C = 'ITEM CSL_CITATION {"citationID":"C"}';
+
+function citation(code, text) {
+	return { field: `ADDIN ZOTERO_${code}`, text };
+}
+
+describe('Zotero.FieldIndex', function () {
+	let host, Zotero, event;
+
+	beforeEach(function () {
+		({ host, Zotero } = loadAddin());
+		event = { completed: () => {} };
+	});
+
+	const describeFields = fields => fields.map(f => [f.code, f.text, f.noteType, f.adjacent]);
+
+	/**
+	 * Runs a transaction that reads the fields, and returns them with the syncs it took,
+	 * not counting the one at the end of Word.run()
+	 */
+	async function refresh(...operations) {
+		const session = new Zotero.Session(event, 'refresh');
+		const syncCount = host.syncCount;
+		const fields = await callOk(session, 'getFields');
+		const syncs = host.syncCount - syncCount - 1;
+		for (let [method, ...args] of operations) {
+			await callOk(session, method, ...args.map(arg => typeof arg === 'function' ? arg(fields) : arg));
+		}
+		await callOk(session, 'complete');
+		return { fields, syncs };
+	}
+
+	function appendDocument() {
+		host.append([
+			'One ', citation(CITATION_A, '(A)'), citation(CITATION_B, '(B)'),
+			{ footnote: ['See ', citation(CITATION_C, 'C.')] }, '\nTwo ',
+			{ footnote: [citation(CITATION_A, 'A.'), ' and ', citation(CITATION_B, 'B.')] }
+		]);
+	}
+
+	it('should return the fields of an unchanged document in two syncs', async function () {
+		appendDocument();
+		const first = await refresh();
+		assert.ok(first.syncs > 2);
+		const second = await refresh();
+		assert.equal(second.syncs, 2);
+		assert.deepEqual(describeFields(second.fields), describeFields(first.fields));
+		assert.deepEqual(describeFields(second.fields), [
+			[CITATION_A, '(A)', 0, true],
+			[CITATION_B, '(B)', 0, false],
+			[CITATION_C, 'C.', 1, false],
+			[CITATION_A, 'A.', 1, false],
+			[CITATION_B, 'B.', 1, false]
+		]);
+	});
+
+	it('should load the Word objects of indexed fields when they are changed', async function () {
+		appendDocument();
+		await refresh();
+		await refresh(
+			['setText', fields => fields[1].id, '(Changed B)'],
+			['setText', fields => fields[4].id, 'Changed B.'],
+			['setCode', fields => fields[2].id, 'ITEM CSL_CITATION {"citationID":"D"}']
+		);
+		assert.equal(host.text(), 'One (A)(Changed B)[1]\nTwo [2]');
+		assert.deepEqual(host.notes('Footnote'), ['See C.', 'A. and Changed B.']);
+
+		const { fields } = await refresh();
+		assert.deepEqual(fields.map(f => [f.code, f.text]), [
+			[CITATION_A, '(A)'],
+			[CITATION_B, '(Changed B)'],
+			['ITEM CSL_CITATION {"citationID":"D"}', 'C.'],
+			[CITATION_A, 'A.'],
+			[CITATION_B, 'Changed B.']
+		]);
+	});
+
+	it('should read again only the fields of paragraphs changed since the last transaction', async function () {
+		appendDocument();
+		await refresh();
+		const field = host.doc.main.sortedFields()[1];
+		host.doc.main.insert(field.result.end - 1, ' edited');
+		host.comparisonCount = 0;
+
+		const { fields, syncs } = await refresh();
+		assert.ok(syncs <= 2, `${syncs} syncs`);
+		assert.ok(host.comparisonCount <= 1, `${host.comparisonCount} comparisons`);
+		assert.deepEqual(describeFields(fields).slice(0, 2), [
+			[CITATION_A, '(A)', 0, true],
+			[CITATION_B, '(B edited)', 0, false]
+		]);
+	});
+
+	it('should drop the fields of deleted paragraphs', async function () {
+		host.append(['One ', citation(CITATION_A, '(A)'), '\nTwo ', citation(CITATION_B, '(B)'), '\nThree ', citation(CITATION_C, '(C)')]);
+		await refresh();
+		const text = host.doc.main.text;
+		host.doc.main.remove(text.indexOf('\nTwo'), text.indexOf('\nThree'));
+
+		const { fields, syncs } = await refresh();
+		assert.ok(syncs <= 2, `${syncs} syncs`);
+		assert.deepEqual(fields.map(f => f.code), [CITATION_A, CITATION_C]);
+	});
+
+	it('should read all fields when citations appear in paragraphs it does not know', async function () {
+		appendDocument();
+		await refresh();
+		host.append(['\nThree ', citation('ITEM CSL_CITATION {"citationID":"D"}', '(D)')]);
+		const { fields } = await refresh();
+		assert.deepEqual(fields.map(f => f.code), [CITATION_A, CITATION_B, CITATION_C, CITATION_A, CITATION_B,
+			'ITEM CSL_CITATION {"citationID":"D"}']);
+		assert.equal((await refresh()).syncs, 2);
+	});
+
+	it('should read all fields when an edit was not reported as a paragraph event', async function () {
+		appendDocument();
+		await refresh();
+		const emit = host.doc.emit;
+		host.doc.emit = () => {};
+		host.append(['\nThree ', citation('ITEM CSL_CITATION {"citationID":"D"}', '(D)')]);
+		host.doc.emit = emit;
+
+		const { fields } = await refresh(['setText', fields => fields[5].id, '(Changed D)']);
+		assert.deepEqual(fields.map(f => f.code), [CITATION_A, CITATION_B, CITATION_C, CITATION_A, CITATION_B,
+			'ITEM CSL_CITATION {"citationID":"D"}']);
+		assert.equal(host.text(), 'One (A)(B)[1]\nTwo [2]\nThree (Changed D)');
+	});
+
+	for (let story of ['header', 'textBox']) {
+		it(`should read all fields when citations were added to a ${story}`, async function () {
+			appendDocument();
+			await refresh();
+			const emit = host.doc.emit;
+			host.doc.emit = () => {};
+			host.append([' ', { [story]: [citation('ITEM CSL_CITATION {"citationID":"D"}', '(D)')] }]);
+			host.doc.emit = emit;
+
+			const { fields } = await refresh();
+			assert.deepEqual(fields.map(f => f.code).slice(-1), ['ITEM CSL_CITATION {"citationID":"D"}']);
+			assert.equal(fields.length, 6);
+		});
+	}
+
+	it('should keep citations inserted in a transaction', async function () {
+		appendDocument();
+		await refresh();
+		host.select(host.doc.main, host.doc.main.text.length);
+		const session = new Zotero.Session(event, 'addEditCitation');
+		await callOk(session, 'getFields');
+		const inserted = await callOk(session, 'insertField', 'Field', 1);
+		await callOk(session, 'setCode', inserted.id, 'ITEM CSL_CITATION {"citationID":"D"}');
+		await callOk(session, 'getFields');
+		await callOk(session, 'setText', inserted.id, 'D.');
+		await callOk(session, 'complete');
+
+		const { fields } = await refresh();
+		assert.deepEqual(fields.map(f => [f.code, f.text, f.noteType]).slice(-2), [
+			[CITATION_B, 'B.', 1],
+			['ITEM CSL_CITATION {"citationID":"D"}', 'D.', 1]
+		]);
+		assert.equal((await refresh()).syncs, 2);
+	});
+
+	it('should not be used on hosts without paragraph events', async function () {
+		host.Office.context.requirements.isSetSupported = (name, version) => name !== 'WordApi' || parseFloat(version) < 1.6;
+		appendDocument();
+		await refresh();
+		assert.ok((await refresh()).syncs > 0);
+	});
+});
@@ -0,0 +1,154 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAddin, callOk } = require('./support/session');
+const { createConnectorServer } = require('./support/connectorServer');
+
+const CITATION_A = 'ITEM CSL_CITATION {"citationID":"A"}';
+const CITATION_B = 'ITEM CSL_CITATION {"citationID":"B"}';
+
+function citation(code, text) {
+	return { field: `ADDIN ZOTERO_${code}`, text };
+}
+
+// As exported, which also moves the trace out of the add-in realm for deepEqual
+function toJSON(trace) {
+	return JSON.parse(JSON.stringify(trace));
+}
+
+describe('Zotero.PerformanceTrace', function () {
+	let host, Zotero, event;
+
+	beforeEach(function () {
+		({ host, Zotero } = loadAddin());
+		event = { completed: () => {} };
+		host.append([
+			'One ', citation(CITATION_A, '(A)'), { footnote: [citation(CITATION_B, 'B.')] },
+			' two ', { endnote: [citation(CITATION_A, 'A.')] }, ' three ', citation(CITATION_B, '(B)')
+		]);
+	});
+
+	it('should count the syncs of each integration method', async function () {
+		const session = new Zotero.Session(event, 'refresh');
+		const syncCount = host.syncCount;
+		const fields = await callOk(session, 'getFields');
+		// Not counting the sync at the end of Word.run()
+		const getFieldsSyncs = host.syncCount - syncCount - 1;
+		await callOk(session, 'setText', fields[0].id, '(A2)', false);
+		await callOk(session, 'setText', fields[3].id, '(B2)', false);
+		const setTextSyncs = host.syncCount - syncCount - getFieldsSyncs - 3;
+		session.trace.finish();
+
+		const trace = toJSON(session.trace);
+		assert.deepEqual(trace.methods.map(entry => [entry.method, entry.calls, entry.syncs]), [
+			['getFields', 1, getFieldsSyncs],
+			['setText', 2, setTextSyncs]
+		]);
+		assert.equal(trace.syncs, getFieldsSyncs + setTextSyncs);
+		assert.equal(trace.fields, 4);
+		assert.equal(trace.notes, 2);
+		assert.ok(trace.wordRunTime >= trace.syncTime);
+		assert.ok(trace.duration >= trace.wordRunTime);
+	});
+
+	it('should record passes of sorting notes into fields', async function () {
+		const session = new Zotero.Session(event, 'refresh');
+		await callOk(session, 'getFields');
+		const { sorts } = toJSON(session.trace);
+		assert.deepEqual(sorts.map(sort => [sort.fields, sort.notes]), [[2, 1], [3, 1]]);
+		assert.ok(sorts.every(sort => sort.syncs > 0 && sort.time >= 0));
+	});
+
+	it('should count notes of fields read from the field index', async function () {
+		for (let i = 0; i < 2; i++) {
+			const session = new Zotero.Session(event, 'refresh');
+			await callOk(session, 'getFields');
+			await callOk(session, 'complete');
+			const trace = toJSON(session.trace);
+			assert.deepEqual([trace.fields, trace.notes], [4, 2]);
+		}
+	});
+
+	it('should keep the traces of the last transactions', function () {
+		Zotero.PerformanceTrace.MAX_TRACES = 3;
+		for (let command of ['addEditCitation', 'refresh', 'addNote', 'refresh']) {
+			const trace = new Zotero.PerformanceTrace(command);
+			trace.startMethod('getDocument');
+			trace.finish();
+			Zotero.PerformanceTrace.save(trace);
+		}
+		const { traces } = JSON.parse(Zotero.PerformanceTrace.export());
+		assert.deepEqual(traces.map(trace => trace.command), ['refresh', 'addNote', 'refresh']);
+		assert.deepEqual(traces[0].methods, [
+			{ method: 'getDocument', calls: 1, syncs: 0, syncTime: 0, wordRunTime: 0, respondTime: 0 }
+		]);
+	});
+
+	it('should send the traces to the report dialog', async function () {
+		const trace = new Zotero.PerformanceTrace('refresh');
+		trace.finish();
+		Zotero.PerformanceTrace.save(trace);
+		const messages = [{ action: 'ready' }, { action: 'clear' }, { action: 'close' }];
+		host.options.dialogResponse = () => JSON.stringify(messages.shift());
+
+		await Zotero.PerformanceTrace.openReport();
+
+		const [dialog] = host.dialogs;
+		assert.match(dialog.url, /\/performance\.html$/);
+		assert.ok(dialog.closed);
+		assert.deepEqual(dialog.childMessages.map(message => JSON.parse(message).traces.length), [1, 0]);
+	});
+
+	describe('transactions', function () {
+		let connector;
+
+		afterEach(async function () {
+			await connector.close();
+		});
+
+		it('should time the respond requests of a transaction', async function () {
+			connector = createConnectorServer({ script: [
+				{ command: 'Document.getDocument', arguments: [] },
+				{ command: 'Document.getFields', arguments: [] },
+				responses => ({ command: 'Document.setText', arguments: [responses[1][0].id, '(A2)'] })
+			] });
+			await connector.listen();
+			({ host, Zotero } = loadAddin({ prefs: { 'connector.port': parseInt(new URL(connector.url).port) } }));
+			host.append(['One ', citation(CITATION_A, '(A)')]);
+
+			await new Zotero.Session(event, 'refresh').execCommand('refresh');
+
+			const [trace] = toJSON(Zotero.PerformanceTrace.traces);
+			assert.equal(trace.command, 'refresh');
+			assert.deepEqual(trace.methods.map(entry => entry.method), ['getDocument', 'getFields', 'setText', 'complete']);
+			assert.ok(trace.methods.slice(0, 3).every(entry => entry.respondTime > 0));
+			assert.equal(trace.methods[3].respondTime, 0);
+			assert.ok(trace.execCommandTime > 0);
+			assert.equal(trace.fields, 1);
+		});
+	});
+});
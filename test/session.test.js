@@ -0,0 +1,1364 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+
+	This file is part of Zotero.
+
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+
+	***** END LICENSE BLOCK *****
+*/
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAddin, call, callOk } = require('./support/session');
+
+const CITATION_A = 'ITEM CSL_CITATION {"citationID":"A"}';
+const CITATION_B = 'ITEM CSL_CITATION {"citationID":"B"}';
+const CITATION_C = 'ITEM CSL_CITATION {"citationID":"C"}';
+const BIBLIOGRAPHY = 'BIBL {"uncited":[],"omitted":[],"custom":[]} CSL_BIBLIOGRAPHY';
+
+function citation(code, text) {
+	return { field: `ADDIN ZOTERO_${code}`, text };
+}
+
+describe('Zotero.Session', function () {
+	let host, Zotero, session, event;
+
+	beforeEach(function () {
+		({ host, Zotero } = loadAddin());
+		event = { completed: () => event.completedCount++, completedCount: 0 };
+		session = new Zotero.Session(event, 'refresh');
+	});
+
+	function setLegacyDocumentData(data) {
+		for (let i = 1; data.length; i++) {
+			const key = `ZOTERO_PREF_${i}`;
+			host.doc.customProperties.set(key, { doc: host.doc, key, value: data.slice(0, 255), type: 'String' });
+			data = data.slice(255);
+		}
+	}
+
+	describe('#getDocument()', function () {
+		it('should describe the document and its capabilities', async function () {
+			const doc = await callOk(session, 'getDocument');
+			assert.equal(doc.documentID, host.doc.url);
+			assert.equal(doc.primaryFieldType, 'Field');
+			assert.equal(doc.outputFormat, 'html');
+			assert.deepEqual(doc.supportedNotes, ['footnotes', 'endnotes']);
+		});
+	});
+
+	describe('#getActiveDocument()', function () {
+		it('should return the same description as getDocument', async function () {
+			assert.deepEqual(await callOk(session, 'getActiveDocument'), await callOk(session, 'getDocument'));
+		});
+	});
+
+	describe('#getDocumentData()', function () {
+		it('should return nothing for a document without preferences', async function () {
+			host.append('Some text');
+			assert.equal(await callOk(session, 'getDocumentData'), null);
+		});
+
+		it('should return the export marker for transfer documents', async function () {
+			host.append('ZOTERO_TRANSFER_DOCUMENT\n\nInstructions\n\nText');
+			assert.equal(await callOk(session, 'getDocumentData'), 'ZOTERO_TRANSFER_DOCUMENT');
+		});
+
+		it('should migrate legacy chunked custom properties in numeric order', async function () {
+			const data = '<data>' + 'x'.repeat(2600) + '</data>';
+			setLegacyDocumentData(data);
+			assert.equal(host.doc.customProperties.size, 11);
+
+			assert.equal(await callOk(session, 'getDocumentData'), data);
+			assert.equal(host.doc.customProperties.size, 0);
+			assert.equal(host.doc.customXmlParts.size, 1);
+			assert.equal(await callOk(session, 'getDocumentData'), data);
+		});
+
+		it('should report legacy preferences with missing chunks', async function () {
+			setLegacyDocumentData('<data>' + 'x'.repeat(600) + '</data>');
+			host.doc.customProperties.delete('ZOTERO_PREF_2');
+			host.options.dialogResponse = () => 0;
+
+			const result = await call(session, 'getDocumentData');
+			assert.equal(result.error, 'DocumentData');
+			assert.match(result.message, /ZOTERO_PREF_2 is missing/);
+			assert.equal(host.doc.customProperties.size, 2);
+		});
+
+		it('should ignore chunks left over from longer legacy preferences', async function () {
+			const data = '<data>' + 'y'.repeat(287) + '</data>';
+			setLegacyDocumentData('<data>' + 'x'.repeat(587) + '</data>');
+			// Earlier versions overwrote the first chunks and left the third behind
+			setLegacyDocumentData(data);
+			assert.equal(host.doc.customProperties.size, 3);
+
+			assert.equal(await callOk(session, 'getDocumentData'), data);
+			assert.equal(host.dialogs.length, 0);
+			assert.equal(host.doc.customProperties.size, 0);
+			assert.equal(await callOk(session, 'getDocumentData'), data);
+		});
+
+		it('should report chunks left over after legacy preferences that filled their last chunk', async function () {
+			setLegacyDocumentData('<data>' + 'x'.repeat(587) + '</data>');
+			setLegacyDocumentData('<data>' + 'y'.repeat(510 - '<data></data>'.length) + '</data>');
+			assert.equal(host.doc.customProperties.size, 3);
+			host.options.dialogResponse = () => 0;
+
+			const result = await call(session, 'getDocumentData');
+			assert.equal(result.error, 'DocumentData');
+			assert.match(result.message, /ZOTERO_PREF_3 and later are left over/);
+			assert.equal(host.doc.customProperties.size, 3);
+		});
+
+		it('should remove leftover legacy chunks on hosts without custom XML parts', async function () {
+			host.Office.context.requirements.isSetSupported = (name, version) => name !== 'WordApi' || parseFloat(version) < 1.4;
+			const data = '<data>' + 'y'.repeat(287) + '</data>';
+			setLegacyDocumentData('<data>' + 'x'.repeat(587) + '</data>');
+			setLegacyDocumentData(data);
+
+			assert.equal(await callOk(session, 'getDocumentData'), data);
+			assert.equal(host.dialogs.length, 0);
+			assert.deepEqual(Array.from(host.doc.customProperties.keys()), ['ZOTERO_PREF_1', 'ZOTERO_PREF_2']);
+			assert.equal(await callOk(session, 'getDocumentData'), data);
+		});
+
+		it('should offer to reset preferences whose checksum does not match', async function () {
+			await callOk(session, 'setDocumentData', '<data style="apa"/>');
+			const [part] = host.doc.customXmlParts.values();
+			part.xml = part.xml.replace('apa', 'mla');
+			host.options.dialogResponse = () => 1;
+
+			assert.equal(await callOk(session, 'getDocumentData'), null);
+			assert.match(decodeURIComponent(host.dialogs[0].url), /checksum does not match/);
+			assert.equal(await callOk(session, 'getDocumentData'), null);
+			assert.equal(host.dialogs.length, 1);
+		});
+	});
+
+	describe('#setDocumentData()', function () {
+		it('should store data in a custom XML part that getDocumentData reads', async function () {
+			const data = '<data>' + 'x'.repeat(600) + '</data>';
+			await callOk(session, 'setDocumentData', data);
+			assert.equal(host.doc.customProperties.size, 0);
+			const [part] = host.doc.customXmlParts.values();
+			assert.match(part.xml, /^<documentPreferences xmlns="[^"]+" version="1" checksum="[0-9a-f]{8}">&lt;data&gt;x+&lt;\/data&gt;<\/documentPreferences>$/);
+			assert.equal(await callOk(session, 'getDocumentData'), data);
+
+			await callOk(session, 'setDocumentData', '<data/>');
+			assert.equal(host.doc.customXmlParts.size, 1);
+			assert.equal(await callOk(session, 'getDocumentData'), '<data/>');
+		});
+
+		it('should fall back to custom properties without stale chunks on hosts without custom XML parts', async function () {
+			host.Office.context.requirements.isSetSupported = (name, version) => name !== 'WordApi' || parseFloat(version) < 1.4;
+			await callOk(session, 'setDocumentData', '<data>' + 'x'.repeat(600) + '</data>');
+			assert.equal(host.doc.customProperties.size, 3);
+
+			await callOk(session, 'setDocumentData', '<data/>');
+			assert.deepEqual(Array.from(host.doc.customProperties.keys()), ['ZOTERO_PREF_1']);
+			assert.equal(host.doc.customXmlParts.size, 0);
+			assert.equal(await callOk(session, 'getDocumentData'), '<data/>');
+		});
+	});
+
+	describe('#activate()', function () {
+		it('should complete without error', async function () {
+			assert.equal(await callOk(session, 'activate', true), null);
+		});
+	});
+
+	describe('#cleanup()', function () {
+		it('should complete without error', async function () {
+			assert.equal(await callOk(session, 'cleanup'), null);
+		});
+	});
+
+	describe('#complete()', function () {
+		it('should not respond to the connector', async function () {
+			session.respond = () => assert.fail('respond() called after complete');
+			await session.callFunction({ command: 'Document.complete', arguments: ['doc'] });
+		});
+	});
+
+	describe('#displayAlert()', function () {
+		it('should show a dialog and return the clicked button', async function () {
+			host.options.dialogResponse = () => 1;
+			const result = await callOk(session, 'displayAlert', 'Are you sure?', 0, 1);
+			assert.equal(result, 1);
+			assert.equal(host.dialogs.length, 1);
+			assert.match(host.dialogs[0].url, /text=Are%20you%20sure%3F/);
+			assert.ok(host.dialogs[0].closed);
+		});
+	});
+
+	describe('#getFields()', function () {
+		it('should return Zotero fields in document order with notes sorted in', async function () {
+			host.append([
+				'Start ', citation(CITATION_A, '(A)'),
+				' text', { footnote: ['Note ', citation(CITATION_B, 'B.')] },
+				' more ', { field: 'ADDIN EN.CITE', text: 'Not Zotero' },
+				' ', citation(BIBLIOGRAPHY, 'Bibliography')
+			]);
+			const fields = await callOk(session, 'getFields');
+			assert.deepEqual(fields.map(f => [f.code, f.text, f.noteType]), [
+				[CITATION_A, '(A)', 0],
+				[CITATION_B, 'B.', 1],
+				[BIBLIOGRAPHY, 'Bibliography', 0]
+			]);
+			assert.equal(new Set(fields.map(f => f.id)).size, 3);
+		});
+
+		it('should sort footnotes and endnotes between main body fields', async function () {
+			host.append([
+				{ endnote: [citation(CITATION_A, 'A')] },
+				' ', citation(CITATION_B, '(B)'),
+				' ', { footnote: [citation(CITATION_C, 'C')] },
+				' ', citation(BIBLIOGRAPHY, 'Bibliography')
+			]);
+			const fields = await callOk(session, 'getFields');
+			assert.deepEqual(fields.map(f => [f.code, f.noteType]), [
+				[CITATION_A, 2],
+				[CITATION_B, 0],
+				[CITATION_C, 1],
+				[BIBLIOGRAPHY, 0]
+			]);
+		});
+
+		it('should mark fields directly followed by another field as adjacent', async function () {
+			host.append([citation(CITATION_A, '(A)'), citation(CITATION_B, '(B)'), ' ', citation(CITATION_C, '(C)')]);
+			const fields = await callOk(session, 'getFields');
+			assert.deepEqual(fields.map(f => f.adjacent), [true, false, false]);
+		});
+
+		it('should return the same ids on subsequent calls', async function () {
+			host.append([citation(CITATION_A, '(A)'), ' ', citation(CITATION_B, '(B)')]);
+			const first = await callOk(session, 'getFields');
+			const second = await callOk(session, 'getFields');
+			assert.deepEqual(second.map(f => f.id), first.map(f => f.id));
+		});
+	});
+
+	describe('#_sortNotesIntoFields()', function () {
+		it('should insert many notes into their positions among fields', async function () {
+			const content = [];
+			for (let i = 0; i < 7; i++) {
+				content.push(citation(`ITEM CSL_CITATION {"i":${i}}`, `(${i})`), ' ');
+				if (i % 2) content.push({ footnote: [citation(`ITEM CSL_CITATION {"n":${i}}`, `${i}.`)] }, ' ');
+			}
+			host.append(content);
+			const fields = await callOk(session, 'getFields');
+			assert.deepEqual(fields.map(f => f.code), host.fields().map(f => f.code.substr('ADDIN ZOTERO_'.length)));
+		});
+	});
+
+	describe('headers, footers and text boxes', function () {
+		it('should read text boxes at their anchors, then headers and footers section by section', async function () {
+			host.append([
+				{ header: [citation('ITEM CSL_CITATION {"h":1}', '(H1)')] },
+				{ footer: [citation('ITEM CSL_CITATION {"f":1}', '(F1)')] },
+				{ header: [citation('ITEM CSL_CITATION {"h":0}', '(H0)')], type: 'FirstPage' },
+				citation(CITATION_A, '(A)'),
+				' ', { textBox: ['Box ', citation('ITEM CSL_CITATION {"t":1}', '(T1)')] },
+				'text', { footnote: [citation(CITATION_B, 'B.')] },
+				' ', citation(CITATION_C, '(C)'), { textBox: [citation('ITEM CSL_CITATION {"t":2}', '(T2)')] }
+			]);
+			host.addSection(true);
+			host.addSection();
+			host.append([{ footer: [citation('ITEM CSL_CITATION {"f":2}', '(F2)')] }]);
+
+			const fields = await callOk(session, 'getFields');
+			const expected = [CITATION_A, 'ITEM CSL_CITATION {"t":1}', CITATION_B, CITATION_C, 'ITEM CSL_CITATION {"t":2}',
+				'ITEM CSL_CITATION {"h":0}', 'ITEM CSL_CITATION {"h":1}', 'ITEM CSL_CITATION {"f":1}', 'ITEM CSL_CITATION {"f":2}'];
+			assert.deepEqual(fields.map(f => f.code), expected);
+			assert.deepEqual(fields.map(f => f.code), host.fields().map(f => f.code.substr('ADDIN ZOTERO_'.length)));
+			assert.deepEqual(fields.map(f => f.noteType), [0, 0, 1, 0, 0, 0, 0, 0, 0]);
+
+			// Hosts without shapes in Word JS
+			host.Office.context.requirements.isSetSupported = name => name !== 'WordApiDesktop';
+			session = new Zotero.Session(event, 'refresh');
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => f.code), expected.filter(code => !code.includes('"t"')));
+		});
+
+		it('should insert citations inline in headers even with a note style', async function () {
+			host.append(['Text', { footnote: ['Note'] }, { header: ['Page ', { selection: true }] }]);
+			assert.equal(await callOk(session, 'canInsertField', 'Field'), true);
+			assert.equal(await callOk(session, 'canInsertField', 'Bookmark'), null);
+			const field = await callOk(session, 'insertField', 'Field', 1);
+			assert.equal(field.noteType, 0);
+			await callOk(session, 'setCode', field.id, CITATION_A);
+			await callOk(session, 'setText', field.id, '(A)');
+			assert.equal(host.headerFooter('Header').text, 'Page (A)');
+			assert.equal(host.doc.notes.length, 1);
+		});
+
+		it('should keep citations in headers and text boxes inline when converting to notes', async function () {
+			host.append([
+				{ header: [citation(CITATION_A, '(A)')] },
+				'One ', citation(CITATION_B, '(B)'), ' two', { textBox: [citation(CITATION_C, '(C)')] }
+			]);
+			const fields = await callOk(session, 'getFields');
+			await callOk(session, 'convert', fields.map(f => f.id), 'Field', fields.map(() => 1));
+			assert.equal(host.text(), 'One [1] two');
+			assert.deepEqual(host.fields().map(f => [f.code, f.noteType]), [
+				['ADDIN ZOTERO_' + CITATION_B, 1],
+				['ADDIN ZOTERO_' + CITATION_C, 0],
+				['ADDIN ZOTERO_' + CITATION_A, 0]
+			]);
+			const reread = await callOk(new Zotero.Session(event, 'refresh'), 'getFields');
+			assert.deepEqual(reread.map(f => f.noteType), [1, 0, 0]);
+		});
+
+		it('should read content controls in text boxes and footers', async function () {
+			host.append([{ footer: [{ selection: true }] }]);
+			const footer = await callOk(session, 'insertField', 'ContentControl', 0);
+			await callOk(session, 'setCode', footer.id, CITATION_B);
+			host.append(['Text ', { textBox: [{ selection: true }] }]);
+			const box = await callOk(session, 'insertField', 'ContentControl', 0);
+			await callOk(session, 'setCode', box.id, CITATION_A);
+			await callOk(session, 'complete');
+
+			const fields = await callOk(new Zotero.Session(event, 'refresh'), 'getFields', 'ContentControl');
+			assert.deepEqual(fields.map(f => [f.code, f.noteType]), [[CITATION_A, 0], [CITATION_B, 0]]);
+		});
+
+		it('should delete citations in headers', async function () {
+			host.append(['Text', { header: ['Page ', citation(CITATION_A, '(A)')] }]);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'delete', field.id);
+			assert.equal(host.headerFooter('Header').text, 'Page ');
+			assert.deepEqual(host.fields(), []);
+		});
+	});
+
+	describe('#setBibliographyStyle()', function () {
+		it('should set the paragraph format of the Bibliography style', async function () {
+			await callOk(session, 'setBibliographyStyle', -720, 720, 240, 240, [], 0);
+			const format = host.doc.styles.get('Bibliography').paragraphFormat;
+			assert.deepEqual(format, { firstLineIndent: 0, leftIndent: 36, lineSpacing: 12, spaceAfter: 12 });
+		});
+
+		it('should create the Bibliography style when the host does not have one', async function () {
+			({ host, Zotero } = loadAddin({ builtInStyles: ['Normal'] }));
+			session = new Zotero.Session(event, 'refresh');
+			await callOk(session, 'setBibliographyStyle', 0, 0, 240, 0, [], 0);
+			const style = host.doc.styles.get('Bibliography');
+			assert.equal(style.builtIn, false);
+			assert.equal(style.paragraphFormat.lineSpacing, 12);
+		});
+
+		it('should apply tab stops and paragraph format to bibliography paragraphs in later transactions', async function () {
+			host.append(['Text\n', citation(BIBLIOGRAPHY, '{Updating}')]);
+			await callOk(session, 'setBibliographyStyle', -720, 720, 240, 120, [360, 720], 1);
+			session = new Zotero.Session(event, 'refresh');
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'setText', field.id, '<div class="csl-entry">[1]\tSmith, J.</div><div class="csl-entry">[2]\tJones, K.</div>');
+
+			assert.equal(host.doc.main.fields[0].result.text, '[1]\tSmith, J.\n[2]\tJones, K.');
+			const pPr = '<w:pPr><w:tabs><w:tab w:val="left" w:pos="360"/></w:tabs>'
+				+ '<w:spacing w:after="120" w:line="240" w:lineRule="auto"/><w:ind w:left="720" w:hanging="720"/></w:pPr>';
+			assert.deepEqual(host.paragraphFormats(), [
+				{ text: '[1]\tSmith, J.', pPr },
+				{ text: '[2]\tJones, K.', pPr }
+			]);
+			assert.equal(host.doc.main.styles.at(-1).name, 'Bibliography');
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => f.code), [BIBLIOGRAPHY]);
+		});
+
+		it('should not add paragraph properties to empty paragraphs', function () {
+			const { global } = loadAddin();
+			const format = { tabStops: [], bodyIndent: 0, firstLineIndent: 0, lineSpacing: 240, entrySpacing: 0 };
+			const ooxml = global.applyParagraphFormat('<w:body><w:p/><w:p w:rsidR="1"/><w:p w:rsidR="2"><w:r/></w:p></w:body>', format);
+			assert.match(ooxml, /^<w:body><w:p\/><w:p w:rsidR="1"\/><w:p w:rsidR="2"><w:pPr>.*<\/w:pPr><w:r\/><\/w:p><\/w:body>$/);
+		});
+
+		it('should keep bookmark bibliographies when applying the paragraph format', async function () {
+			host.append(['Text\n', { bookmark: 'ZOTERO_BREF_bibl', code: BIBLIOGRAPHY, text: '{Updating}' }]);
+			await callOk(session, 'setBibliographyStyle', 0, 0, 240, 0, [720], 1);
+			const [field] = await callOk(session, 'getFields', 'Bookmark');
+			await callOk(session, 'setText', field.id, '<div class="csl-entry">[1]\tSmith, J.</div>');
+			assert.deepEqual(host.bookmarks().map(b => b.text), ['[1]\tSmith, J.']);
+			assert.match(host.paragraphFormats()[0].pPr, /<w:tab w:val="left" w:pos="720"\/>.*<w:ind w:left="0" w:firstLine="0"\/>/);
+		});
+	});
+
+	describe('#canInsertField()', function () {
+		it('should allow fields in the main body and in notes', async function () {
+			host.append(['Text', { footnote: ['Note'] }]);
+			assert.equal(await callOk(session, 'canInsertField', 'Field'), true);
+			host.select(host.doc.notes[0].story, 2);
+			assert.equal(await callOk(session, 'canInsertField', 'Field'), true);
+			// Falsy results are sent to the connector as null
+			assert.equal(await callOk(session, 'canInsertField', 'Bookmark'), null);
+		});
+	});
+
+	describe('#cursorInField()', function () {
+		it('should return the field the cursor is in', async function () {
+			host.append(['Before ', citation(CITATION_A, '(Smith 2020)'), ' after']);
+			host.select(host.doc.main, 'Before (Sm'.length);
+			const field = await callOk(session, 'cursorInField', 'Field');
+			assert.equal(field.code, CITATION_A);
+			assert.equal(field.text, '(Smith 2020)');
+			assert.equal(field.noteType, 0);
+		});
+
+		it('should return a field selected in a footnote', async function () {
+			host.append(['Text', { footnote: ['See ', citation(CITATION_B, 'Jones')] }]);
+			host.select(host.doc.notes[0].story, 4, 9);
+			const field = await callOk(session, 'cursorInField', 'Field');
+			assert.equal(field.code, CITATION_B);
+			assert.equal(field.noteType, 1);
+		});
+
+		it('should return null when the cursor is outside fields', async function () {
+			host.append(['Before ', citation(CITATION_A, '(A)'), ' after']);
+			host.select(host.doc.main, 3);
+			assert.equal(await callOk(session, 'cursorInField', 'Field'), null);
+		});
+	});
+
+	describe('#insertField()', function () {
+		it('should insert a placeholder field at the cursor', async function () {
+			host.append(['Some text', { selection: true }, ' here']);
+			const field = await callOk(session, 'insertField', 'Field', 0);
+			assert.equal(field.code, 'TEMP');
+			assert.equal(field.text, '{Updating}');
+			assert.equal(host.text(), 'Some text{Updating} here');
+		});
+
+		it('should insert a footnote when a note style is used', async function () {
+			host.append(['Some text', { selection: true }]);
+			const field = await callOk(session, 'insertField', 'Field', 1);
+			assert.equal(field.noteType, 1);
+			assert.equal(host.text(), 'Some text[1]');
+			assert.deepEqual(host.notes('Footnote'), ['{Updating}']);
+		});
+
+		it('should map the inserted field to the field returned by getFields', async function () {
+			host.append([citation(CITATION_A, '(A)'), ' ', { selection: true }, ' ', citation(CITATION_B, '(B)')]);
+			const inserted = await callOk(session, 'insertField', 'Field', 0);
+			await callOk(session, 'setCode', inserted.id, CITATION_C);
+			const fields = await callOk(session, 'getFields');
+			assert.deepEqual(fields.map(f => f.code), [CITATION_A, CITATION_C, CITATION_B]);
+			assert.equal(fields[1].id, inserted.id);
+		});
+	});
+
+	describe('orphan fields', function () {
+		function appendCitations(count, noteEvery=0) {
+			const content = [];
+			for (let i = 0; i < count; i++) {
+				content.push(citation(`ITEM CSL_CITATION {"i":${i}}`, `(${i})`), ' ');
+				if (noteEvery && i % noteEvery === 0) {
+					content.push({ footnote: [citation(`ITEM CSL_CITATION {"n":${i}}`, `${i}.`), ' ', citation(`ITEM CSL_CITATION {"m":${i}}`, `${i}b.`)] }, ' ');
+				}
+			}
+			host.append(content);
+		}
+
+		it('should add fields inserted after getFields at their position with a logarithmic number of comparisons', async function () {
+			appendCitations(64);
+			await callOk(session, 'getFields');
+			const field = host.doc.main.sortedFields()[40];
+			host.select(host.doc.main, field.result.end + 1);
+			const inserted = await callOk(session, 'insertField', 'Field', 0);
+			host.comparisonCount = 0;
+
+			const fields = await callOk(session, 'getFields');
+			assert.ok(host.comparisonCount <= 10, `${host.comparisonCount} comparisons`);
+			assert.equal(fields.length, 65);
+			assert.equal(fields[41].id, inserted.id);
+			assert.deepEqual(fields.map(f => f.code), host.fields().map(f => f.code.substr('ADDIN ZOTERO_'.length)));
+			// The inserted field directly precedes the next one
+			assert.deepEqual(fields.slice(40, 43).map(f => f.adjacent), [false, true, false]);
+		});
+
+		it('should match the field at the cursor in a note to the one read by getFields', async function () {
+			appendCitations(20, 3);
+			const note = host.doc.notes[4];
+			host.select(note.story, note.story.text.length - 2);
+			const selected = await callOk(session, 'cursorInField', 'Field');
+			assert.equal(selected.code, 'ITEM CSL_CITATION {"m":12}');
+			await callOk(session, 'getFields');
+			await callOk(session, 'setText', selected.id, 'Changed.');
+			assert.deepEqual(note.story.sortedFields().map(f => f.result.text), ['12.', 'Changed.']);
+
+			const fields = await callOk(session, 'getFields');
+			assert.equal(fields.filter(f => f.id === selected.id).length, 1);
+			assert.equal(new Set(fields.map(f => f.id)).size, fields.length);
+		});
+
+		it('should add fields inserted into notes after getFields', async function () {
+			appendCitations(20, 3);
+			const fields = await callOk(session, 'getFields');
+			const note = host.doc.notes[2];
+			host.select(note.story, note.story.text.indexOf(' '));
+			const inserted = await callOk(session, 'insertField', 'Field', 1);
+			const updated = await callOk(session, 'getFields');
+			assert.equal(updated.length, fields.length + 1);
+			assert.equal(updated.find(f => f.id === inserted.id).noteType, 1);
+			assert.deepEqual(updated.map(f => f.code), host.fields().map(f => f.code.substr('ADDIN ZOTERO_'.length)));
+		});
+	});
+
+	describe('#insertText()', function () {
+		it('should insert html at the cursor', async function () {
+			host.append(['Text ', { selection: true }]);
+			await callOk(session, 'insertText', '<i>inserted</i>');
+			assert.equal(host.text(), 'Text inserted');
+		});
+	});
+
+	describe('#convertPlaceholdersToFields()', function () {
+		it('should replace placeholder links with fields', async function () {
+			host.append([
+				'Text ', { hyperlink: 'https://www.zotero.org/?ABC123', text: '{Citation}' },
+				' and ', { hyperlink: 'https://example.com/other', text: 'a link' }
+			]);
+			const fields = await callOk(session, 'convertPlaceholdersToFields', ['ABC123'], 0);
+			assert.equal(fields.length, 1);
+			assert.equal(fields[0].code, 'TEMP');
+			assert.equal(host.text(), 'Text {Updating} and a link');
+			assert.equal(host.doc.main.hyperlinks.length, 1);
+		});
+	});
+
+	describe('#convert()', function () {
+		it('should move inline citations into footnotes', async function () {
+			host.append(['One ', citation(CITATION_A, '(A)'), ' two ', citation(CITATION_B, '(B)')]);
+			const fields = await callOk(session, 'getFields');
+			await callOk(session, 'convert', fields.map(f => f.id), 'Field', [1, 1]);
+			assert.equal(host.text(), 'One [1] two [2]');
+			assert.deepEqual(host.notes('Footnote'), ['(A)', '(B)']);
+			const converted = await callOk(session, 'getFields');
+			assert.deepEqual(converted.map(f => [f.code, f.noteType]), [[CITATION_A, 1], [CITATION_B, 1]]);
+		});
+
+		it('should move citations from notes inline', async function () {
+			host.append(['One', { footnote: [citation(CITATION_A, 'A.')] }, ' two', { endnote: [citation(CITATION_B, 'B.')] }]);
+			const fields = await callOk(session, 'getFields');
+			await callOk(session, 'convert', fields.map(f => f.id), 'Field', [0, 0]);
+			assert.equal(host.text(), 'OneA. twoB.');
+			assert.equal(host.doc.notes.length, 0);
+			assert.deepEqual(host.fields().map(f => [f.code, f.noteType]), [
+				['ADDIN ZOTERO_' + CITATION_A, 0],
+				['ADDIN ZOTERO_' + CITATION_B, 0]
+			]);
+		});
+
+		it('should move citations inline and keep notes with additional text', async function () {
+			host.append([
+				'One', { footnote: [citation(CITATION_A, 'A;'), ' ', citation(CITATION_B, 'B.')] },
+				' two', { footnote: ['Compare ', citation(CITATION_C, 'C.'), ' for more.'] }
+			]);
+			const fields = await callOk(session, 'getFields');
+			await callOk(session, 'convert', fields.map(f => f.id), 'Field', [0, 0, 0]);
+			assert.equal(host.text(), 'OneA;B. two[1]C.');
+			assert.deepEqual(host.notes('Footnote'), ['Compare  for more.']);
+			assert.deepEqual(host.fields().map(f => [f.code, f.noteType]), [
+				['ADDIN ZOTERO_' + CITATION_A, 0],
+				['ADDIN ZOTERO_' + CITATION_B, 0],
+				['ADDIN ZOTERO_' + CITATION_C, 0]
+			]);
+			// Reported when the transaction ends
+			assert.equal(host.dialogs.length, 0);
+			assert.deepEqual(Array.from(session.keptNotes), ['footnote 1']);
+		});
+
+		it('should move citations between footnotes and endnotes and keep notes with other text', async function () {
+			host.append([
+				'One', { footnote: ['See ', citation(CITATION_A, 'A,'), ' and ', citation(CITATION_B, 'B.')] },
+				' two', { footnote: [citation(CITATION_C, 'C.')] },
+				' three', { footnote: ['Not a citation'] }
+			]);
+			const fields = await callOk(session, 'getFields');
+			await callOk(session, 'convert', fields.map(f => f.id), 'Field', [2, 2, 2]);
+			assert.equal(host.text(), 'One[1][e1] two[e2] three[2]');
+			assert.deepEqual(host.notes('Endnote'), ['A,B.', 'C.']);
+			assert.deepEqual(host.notes('Footnote'), ['See  and ', 'Not a citation']);
+			const converted = await callOk(session, 'getFields');
+			assert.deepEqual(converted.map(f => [f.code, f.noteType]), [[CITATION_A, 2], [CITATION_B, 2], [CITATION_C, 2]]);
+			assert.equal(host.dialogs.length, 0);
+			assert.deepEqual(Array.from(session.keptNotes), ['footnote 1']);
+		});
+
+		it('should move only the requested citations out of a note', async function () {
+			host.append(['One', { footnote: ['See ', citation(CITATION_A, 'A;'), ' ', citation(CITATION_B, 'B.')] }]);
+			const fields = await callOk(session, 'getFields');
+			await callOk(session, 'convert', [fields[0].id], 'Field', [2]);
+			assert.equal(host.text(), 'One[1][e1]');
+			assert.deepEqual(host.notes('Footnote'), ['See  B.']);
+			assert.deepEqual(host.notes('Endnote'), ['A;']);
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => [f.code, f.noteType]), [[CITATION_B, 1], [CITATION_A, 2]]);
+			assert.deepEqual(Array.from(session.keptNotes), ['footnote 1']);
+		});
+
+		it('should move content controls between notes', async function () {
+			host.append(['One', { footnote: [] }]);
+			host.select(host.doc.notes[0].story, 0);
+			const inserted = await callOk(session, 'insertField', 'ContentControl', 0);
+			await callOk(session, 'setCode', inserted.id, CITATION_A);
+			await callOk(session, 'setText', inserted.id, 'A.');
+			await callOk(session, 'complete');
+			session = new Zotero.Session(event, 'refresh');
+			const fields = await callOk(session, 'getFields', 'ContentControl');
+			await callOk(session, 'convert', fields.map(f => f.id), 'ContentControl', [2]);
+			assert.equal(host.text(), 'One[e1]');
+			assert.deepEqual((await callOk(session, 'getFields', 'ContentControl')).map(f => [f.code, f.text, f.noteType]), [
+				[CITATION_A, 'A.', 2]
+			]);
+		});
+
+		it('should move fields into content controls, keeping note placement', async function () {
+			host.append(['One ', citation(CITATION_A, '(A)'), ' two', { footnote: ['See ', citation(CITATION_B, 'B.')] }]);
+			const fields = await callOk(session, 'getFields');
+			await callOk(session, 'convert', fields.map(f => f.id), 'ContentControl', [0, 1]);
+			assert.equal(host.doc.main.fields.length + host.doc.notes[0].story.fields.length, 0);
+			assert.equal(host.text(), 'One (A) two[1]');
+			assert.deepEqual(host.notes('Footnote'), ['See B.']);
+			const converted = await callOk(session, 'getFields', 'ContentControl');
+			assert.deepEqual(converted.map(f => [f.code, f.text, f.noteType]), [[CITATION_A, '(A)', 0], [CITATION_B, 'B.', 1]]);
+		});
+
+		it('should give converted citations the citation style and keep bibliography paragraphs', async function () {
+			host.append(['One ', citation(CITATION_A, '(A)'), ' two', { footnote: ['See ', citation(CITATION_B, 'B.')] },
+				'\n', citation(BIBLIOGRAPHY, 'Jones, K. Other work.\nSmith, J. A study.')]);
+			const fields = await callOk(session, 'getFields');
+			await callOk(session, 'convert', fields.map(f => f.id), 'ContentControl', [0, 1, 0]);
+
+			const styled = (story, name) => story.styles.filter(style => style.name === name).map(style => style.range.text);
+			assert.deepEqual(styled(host.doc.main, 'Zotero Citation'), ['(A)']);
+			assert.deepEqual(styled(host.doc.notes[0].story, 'Zotero Citation'), ['B.']);
+			assert.deepEqual(styled(host.doc.main, 'Bibliography'), ['Jones, K. Other work.\nSmith, J. A study.']);
+			assert.deepEqual((await callOk(session, 'getFields', 'ContentControl')).map(f => f.text), [
+				'(A)', 'B.', 'Jones, K. Other work.\nSmith, J. A study.'
+			]);
+		});
+
+		it('should move content controls into bookmarks and back into fields in notes', async function () {
+			host.append(['One ', citation(CITATION_A, '(A)'), ' two ', citation(CITATION_B, '(B)')]);
+			await callOk(session, 'convert', (await callOk(session, 'getFields')).map(f => f.id), 'ContentControl', [0, 0]);
+			session = new Zotero.Session(event, 'refresh');
+			let fields = await callOk(session, 'getFields', 'ContentControl');
+			await callOk(session, 'convert', fields.map(f => f.id), 'Bookmark', [0, 0]);
+			assert.deepEqual(host.contentControls(), []);
+			assert.deepEqual(host.bookmarks().map(b => [b.text, b.code]), [['(A)', 'ZOTERO_' + CITATION_A], ['(B)', 'ZOTERO_' + CITATION_B]]);
+			await callOk(session, 'complete');
+			assert.equal(host.doc.customXmlParts.size, 0);
+
+			session = new Zotero.Session(event, 'refresh');
+			fields = await callOk(session, 'getFields', 'Bookmark');
+			await callOk(session, 'convert', fields.map(f => f.id), 'Field', [1, 2]);
+			assert.deepEqual(host.bookmarks(), []);
+			assert.equal(host.doc.customProperties.size, 0);
+			assert.equal(host.text(), 'One [1] two [e1]');
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => [f.code, f.text, f.noteType]), [
+				[CITATION_A, '(A)', 1],
+				[CITATION_B, '(B)', 2]
+			]);
+		});
+
+		it('should not place bookmark fields in notes', async function () {
+			host.append(['One ', citation(CITATION_A, '(A)')]);
+			const fields = await callOk(session, 'getFields');
+			const result = await call(session, 'convert', fields.map(f => f.id), 'Bookmark', [1]);
+			assert.match(result.message, /cannot be placed in notes/);
+			assert.equal(host.fields().length, 1);
+		});
+	});
+
+	describe('#exportDocument() and #importDocument()', function () {
+		it('should round-trip fields and document data through the transfer format', async function () {
+			host.append(['Text ', citation(CITATION_A, '(A)'), ' more', { footnote: [citation(CITATION_B, 'B.')] }]);
+			await callOk(session, 'setDocumentData', '<data prefs="1"/>');
+			await callOk(session, 'exportDocument', 'Field', 'Import instructions');
+
+			assert.equal(host.doc.main.fields.length, 0);
+			assert.ok(host.text().startsWith('ZOTERO_TRANSFER_DOCUMENT\n\nImport instructions\n\n'));
+			assert.equal(await callOk(session, 'getDocumentData'), 'ZOTERO_TRANSFER_DOCUMENT');
+
+			host.doc.customXmlParts.clear();
+			session = new Zotero.Session(event, 'refresh');
+			assert.equal(await callOk(session, 'importDocument', 'Field'), true);
+			assert.equal(await callOk(session, 'getDocumentData'), '<data prefs="1"/>');
+			assert.ok(host.text().startsWith('Text {Updating} more[1]'));
+			assert.deepEqual(host.fields().map(f => [f.code, f.noteType]), [
+				['ADDIN ZOTERO_' + CITATION_A, 0],
+				['ADDIN ZOTERO_' + CITATION_B, 1]
+			]);
+		});
+
+		it('should return false for documents without transfer data', async function () {
+			host.append('Just text');
+			assert.equal(await callOk(session, 'importDocument', 'Field'), null);
+			assert.equal(host.text(), 'Just text');
+		});
+	});
+
+	describe('#setText()', function () {
+		it('should replace the field text with html', async function () {
+			host.append(['Text ', citation(CITATION_A, '{Updating}'), ' after']);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'setText', field.id, '(<i>Smith</i> 2020)');
+			assert.equal(host.text(), 'Text (Smith 2020) after');
+			assert.equal(host.doc.main.fields[0].result.text, '(Smith 2020)');
+		});
+
+		it('should insert the exact formatting of the citation style as runs', async function () {
+			host.append(['Text ', citation(CITATION_A, '{Updating}'), ' after']);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'setText', field.id,
+				'<span style="font-variant:small-caps;">Smith</span>, <i>Title <span style="font-style:normal;">Word</span></i>&#160;2<sup>nd</sup> &amp; 3');
+			assert.equal(host.doc.main.fields[0].result.text, 'Smith, Title Word\u00a02nd & 3');
+			assert.deepEqual(host.runFormats(), [
+				{ text: 'Smith', rPr: '<w:rPr><w:smallCaps/></w:rPr>' },
+				{ text: 'Title ', rPr: '<w:rPr><w:i/></w:rPr>' },
+				{ text: 'nd', rPr: '<w:rPr><w:vertAlign w:val="superscript"/></w:rPr>' }
+			]);
+		});
+
+		it('should separate second-field-align bibliography entries with tabs and keep links', async function () {
+			host.append(['Text\n', citation(BIBLIOGRAPHY, '{Updating}')]);
+			await callOk(session, 'setBibliographyStyle', -720, 720, 240, 0, [720], 1);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'setText', field.id, '<div class="csl-bib-body">\n'
+				+ '  <div class="csl-entry">\n    <div class="csl-left-margin">[1]</div><div class="csl-right-inline">Smith, <b>J.</b> '
+				+ '<a href="https://example.com/?a=1&amp;b=2">https://example.com/?a=1&amp;b=2</a></div>\n  </div>\n'
+				+ '  <div class="csl-entry">\n    <div class="csl-left-margin">[2]</div><div class="csl-right-inline">Jones, K.</div>\n  </div>\n'
+				+ '</div>');
+			assert.equal(host.doc.main.fields[0].result.text, '[1]\tSmith, J. https://example.com/?a=1&b=2\n[2]\tJones, K.');
+			assert.deepEqual(host.runFormats(), [{ text: 'J.', rPr: '<w:rPr><w:b/></w:rPr>' }]);
+			assert.deepEqual(host.doc.main.hyperlinks.map(link => [link.range.text, link.url]), [
+				['https://example.com/?a=1&b=2', 'https://example.com/?a=1&b=2']
+			]);
+			assert.equal(host.paragraphFormats().length, 2);
+		});
+
+		it('should apply the Bibliography style to bibliographies', async function () {
+			host.append(['Text\n', citation(BIBLIOGRAPHY, '{Updating}')]);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'setText', field.id, '<div class="csl-entry">Smith, J. (2020).</div>');
+			assert.equal(host.doc.main.styles.at(-1).name, 'Bibliography');
+		});
+
+		it('should apply the citation character style to citations, adding it once if missing', async function () {
+			({ host, Zotero } = loadAddin({ builtInStyles: ['Normal'] }));
+			host.append(['Text ', citation(CITATION_A, '{Updating}'), { footnote: [citation(CITATION_B, '{Updating}')] }]);
+			for (let text of ['(Smith 2020)', '(Jones 2021)']) {
+				session = new Zotero.Session(event, 'refresh');
+				const fields = await callOk(session, 'getFields');
+				await callOk(session, 'batch', fields.map(field => ({ command: 'setText', arguments: [field.id, text] })));
+			}
+			const style = host.doc.styles.get('Zotero Citation');
+			assert.equal(style.type, 'Character');
+			assert.equal(style.builtIn, false);
+			const styled = story => story.styles.filter(style => style.name === 'Zotero Citation').map(style => style.range.text);
+			assert.deepEqual(styled(host.doc.main), ['(Jones 2021)']);
+			assert.deepEqual(styled(host.doc.notes[0].story), ['(Jones 2021)']);
+		});
+
+		it('should fail for bibliographies when the Bibliography style is missing', async function () {
+			({ host, Zotero } = loadAddin({ builtInStyles: ['Normal'] }));
+			session = new Zotero.Session(event, 'refresh');
+			host.append(citation(BIBLIOGRAPHY, '{Updating}'));
+			const [field] = await callOk(session, 'getFields');
+			const result = await call(session, 'setText', field.id, 'Bibliography');
+			assert.match(result.message, /Bibliography style not set/);
+		});
+	});
+
+	describe('citation links', function () {
+		const SMITH = { id: 1, uris: ['http://zotero.org/users/1/items/SMITH'],
+			itemData: { title: 'A study of things', author: [{ family: 'Smith', given: 'J.' }], issued: { 'date-parts': [[2020]] } } };
+		const JONES = { id: 2, uris: ['http://zotero.org/users/1/items/JONES'],
+			itemData: { title: 'Other work', author: [{ family: 'Jones', given: 'K.' }], issued: { 'date-parts': [[2021]] } } };
+		const citationOf = (id, ...items) => `ITEM CSL_CITATION ${JSON.stringify({ citationID: id, citationItems: items })}`;
+
+		async function refresh(texts) {
+			session = new Zotero.Session(event, 'refresh');
+			const fields = await callOk(session, 'getFields');
+			const operations = fields.map((field, idx) => ({ command: 'setText', arguments: [field.id, texts[idx]] }))
+				.filter(operation => operation.arguments[1]);
+			await callOk(session, 'batch', operations);
+			await callOk(session, 'complete');
+		}
+
+		const links = () => host.doc.main.hyperlinks
+			.sort((a, b) => a.range.start - b.range.start)
+			.map(link => [link.range.text, host.doc.bookmarks.get(link.url.substring(1)).text]);
+
+		it('should link citations to bookmarked bibliography entries', async function () {
+			Zotero.Prefs.set('linkCitations', true);
+			host.append(['See ', citation(citationOf('A', SMITH), '{Updating}'), ' and ',
+				citation(citationOf('B', JONES, SMITH), '{Updating}'), '.\n', citation(BIBLIOGRAPHY, '{Updating}')]);
+			await refresh(['(Smith 2020)', '(Jones 2021; Smith 2020)',
+				'<div class="csl-entry">Jones, K. (2021). Other work.</div><div class="csl-entry">Smith, J. (2020). A study of things.</div>']);
+
+			assert.deepEqual(links(), [
+				['(Smith 2020)', 'Smith, J. (2020). A study of things.'],
+				['Jones 2021', 'Jones, K. (2021). Other work.'],
+				['Smith 2020', 'Smith, J. (2020). A study of things.']
+			]);
+			assert.ok(Array.from(host.doc.bookmarks.keys()).every(name => name.startsWith('_ZOTERO_BIB_')));
+			// Hidden bookmarks are not read as bookmark fields
+			assert.deepEqual(await callOk(session, 'getFields', 'Bookmark'), []);
+		});
+
+		it('should keep links of unchanged citations valid when the bibliography is rewritten', async function () {
+			Zotero.Prefs.set('linkCitations', true);
+			host.append(['See ', citation(citationOf('A', SMITH, JONES), '{Updating}'), '.\n', citation(BIBLIOGRAPHY, '{Updating}')]);
+			await refresh(['[1, 2]', '<div class="csl-entry">[1]\tSmith, J. A study of things.</div><div class="csl-entry">[2]\tJones, K. Other work.</div>']);
+			await refresh([null, '<div class="csl-entry">[1]\tSmith, J. A study of things, 2020.</div><div class="csl-entry">[2]\tJones, K. Other work, 2021.</div>']);
+
+			assert.deepEqual(links(), [
+				['1', '[1]\tSmith, J. A study of things, 2020.'],
+				['2', '[2]\tJones, K. Other work, 2021.']
+			]);
+		});
+
+		it('should find labels that are not part of longer numbers, and names with punctuation', function () {
+			const { global } = loadAddin();
+			const segments = (text, links) => JSON.parse(JSON.stringify(global.citationSegments(text, links)));
+			assert.deepEqual(segments('[12, 2]', [{ name: 'a', label: '2', item: {} }, { name: 'b', label: '12', item: {} }]), [
+				{ name: 'b', text: '12', occurrence: 0 },
+				{ name: 'a', text: '2', occurrence: 1 }
+			]);
+			const item = { itemData: { author: [{ family: 'Smith (Jr.)' }] } };
+			assert.deepEqual(segments('(Smith (Jr.) 2020)', [{ name: 'a', label: null, item }]), [
+				{ name: 'a', text: 'Smith (Jr.) 2020', occurrence: 0 }
+			]);
+		});
+
+		it('should not link citations with the pref disabled', async function () {
+			host.append(['See ', citation(citationOf('A', SMITH), '{Updating}'), '.\n', citation(BIBLIOGRAPHY, '{Updating}')]);
+			await refresh(['(Smith 2020)', '<div class="csl-entry">Smith, J. (2020). A study of things.</div>']);
+			assert.deepEqual(links(), []);
+			assert.equal(host.doc.bookmarks.size, 0);
+		});
+	});
+
+	describe('#setCode()', function () {
+		it('should update the field code', async function () {
+			host.append(citation(CITATION_A, '(A)'));
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'setCode', field.id, CITATION_B);
+			assert.equal(host.doc.main.fields[0].code, 'ADDIN ZOTERO_' + CITATION_B);
+		});
+	});
+
+	describe('citation store', function () {
+		const LARGE_CITATION = `ITEM CSL_CITATION {"citationID":"L","abstract":"${'x'.repeat(2000)}"}`;
+
+		function storedCitations() {
+			return Array.from(host.doc.customXmlParts.values()).filter(part => /^<citation /.test(part.xml));
+		}
+
+		beforeEach(function () {
+			Zotero.Prefs.set('citationStore', true);
+		});
+
+		it('should keep large codes in a custom XML part that the field code references', async function () {
+			host.append(['Text ', citation(CITATION_A, '(A)'), ' ', citation(CITATION_B, '(B)')]);
+			const [a, b] = await callOk(session, 'getFields');
+			await callOk(session, 'setCode', a.id, LARGE_CITATION);
+			await callOk(session, 'setCode', b.id, CITATION_C);
+
+			assert.match(host.doc.main.fields[0].code, /^ADDIN ZOTERO_REF \w{12}$/);
+			assert.equal(host.doc.main.fields[1].code, 'ADDIN ZOTERO_' + CITATION_C);
+			assert.equal(storedCitations().length, 1);
+			session = new Zotero.Session(event, 'refresh');
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => f.code), [LARGE_CITATION, CITATION_C]);
+		});
+
+		it('should read stored codes with the pref disabled and write new codes to the field', async function () {
+			host.append(citation(CITATION_A, '(A)'));
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'setCode', field.id, LARGE_CITATION);
+			Zotero.Prefs.set('citationStore', false);
+
+			session = new Zotero.Session(event, 'refresh');
+			const [stored] = await callOk(session, 'getFields');
+			assert.equal(stored.code, LARGE_CITATION);
+			await callOk(session, 'setCode', stored.id, LARGE_CITATION);
+			assert.equal(host.doc.main.fields[0].code, 'ADDIN ZOTERO_' + LARGE_CITATION);
+			await callOk(session, 'complete');
+			assert.equal(storedCitations().length, 0);
+		});
+
+		it('should remove stored codes that are no longer referenced when the transaction completes', async function () {
+			host.append(['Text ', citation(CITATION_A, '(A)'), ' ', citation(CITATION_B, '(B)')]);
+			const [a, b] = await callOk(session, 'getFields');
+			await callOk(session, 'setCode', a.id, LARGE_CITATION);
+			await callOk(session, 'setCode', b.id, LARGE_CITATION);
+			await callOk(session, 'setCode', a.id, LARGE_CITATION.replace('"L"', '"M"'));
+			await callOk(session, 'delete', b.id);
+			assert.equal(storedCitations().length, 3);
+
+			await callOk(session, 'complete');
+			assert.equal(storedCitations().length, 1);
+			session = new Zotero.Session(event, 'refresh');
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => f.code), [LARGE_CITATION.replace('"L"', '"M"')]);
+		});
+
+		it('should remove stored codes replaced before a conversion', async function () {
+			host.append(['Text ', citation(CITATION_A, '(A)')]);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'setCode', field.id, LARGE_CITATION);
+			await callOk(session, 'setCode', field.id, LARGE_CITATION.replace('"L"', '"M"'));
+			await callOk(session, 'convert', [field.id], 'Field', [1]);
+			assert.equal(storedCitations().length, 2);
+
+			await callOk(session, 'complete');
+			assert.equal(storedCitations().length, 1);
+			session = new Zotero.Session(event, 'refresh');
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => [f.code, f.noteType]), [
+				[LARGE_CITATION.replace('"L"', '"M"'), 1]
+			]);
+		});
+
+		it('should report fields whose stored code is missing instead of passing the reference to Zotero', async function () {
+			// Pasted from another document, without its custom XML parts
+			host.append(['Text ', citation('REF abcdefghijkl', '(Smith 2020)'), ' ', citation(CITATION_A, '(A)')]);
+			const result = await call(session, 'getFields');
+			assert.equal(result.error, 'Connector Error');
+			assert.match(result.message, /citation data of "\(Smith 2020\)" is missing from this document/);
+		});
+
+		it('should export full codes and store them again on import', async function () {
+			host.append(['Text ', citation(CITATION_A, '(A)'), { footnote: [citation(CITATION_B, 'B.')] }]);
+			const [a] = await callOk(session, 'getFields');
+			await callOk(session, 'setCode', a.id, LARGE_CITATION);
+			session = new Zotero.Session(event, 'refresh');
+			await callOk(session, 'exportDocument', 'Field', 'Import instructions');
+			assert.ok(host.text().includes(LARGE_CITATION));
+
+			session = new Zotero.Session(event, 'refresh');
+			assert.equal(await callOk(session, 'importDocument', 'Field'), true);
+			assert.match(host.doc.main.fields[0].code, /^ADDIN ZOTERO_REF /);
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => [f.code, f.noteType]), [
+				[LARGE_CITATION, 0],
+				[CITATION_B, 1]
+			]);
+		});
+	});
+
+	describe('content controls', function () {
+		async function insertCitations(...codes) {
+			for (let code of codes) {
+				const field = await callOk(session, 'insertField', 'ContentControl', 0);
+				await callOk(session, 'setCode', field.id, code);
+				await callOk(session, 'setText', field.id, `(${code.split('"')[3]})`);
+			}
+			await callOk(session, 'complete');
+			session = new Zotero.Session(event, 'refresh');
+		}
+
+		it('should be offered as a field type, and as the primary one on hosts without fields', async function () {
+			assert.deepEqual((await callOk(session, 'getDocument')).fieldTypes, ['Field', 'ContentControl', 'Bookmark']);
+			host.Office.context.requirements.isSetSupported = (name, version) => name !== 'WordApi' || parseFloat(version) < 1.5;
+			const doc = await callOk(session, 'getDocument');
+			assert.equal(doc.primaryFieldType, 'ContentControl');
+			assert.deepEqual(doc.fieldTypes, ['ContentControl', 'Bookmark']);
+		});
+
+		it('should insert a tagged content control and keep its code in the citation store', async function () {
+			host.append(['Some text', { selection: true }, ' here']);
+			const field = await callOk(session, 'insertField', 'ContentControl', 0);
+			assert.equal(field.code, 'TEMP');
+			assert.deepEqual(host.contentControls(), [{ tag: 'ZOTERO_TEMP', title: 'Zotero', text: '{Updating}', noteType: 0 }]);
+
+			await callOk(session, 'setCode', field.id, CITATION_A);
+			await callOk(session, 'setText', field.id, '(A)');
+			const [control] = host.contentControls();
+			assert.match(control.tag, /^ZOTERO_ITEM \w{12}$/);
+			assert.equal(control.title, 'Zotero Citation');
+			assert.equal(host.text(), 'Some text(A) here');
+			assert.equal(host.doc.main.fields.length, 0);
+		});
+
+		it('should return content control fields in document order with notes sorted in', async function () {
+			host.append(['Text ', { selection: true }]);
+			await insertCitations(CITATION_A);
+			host.append([{ footnote: [] }, ' ']);
+			host.select(host.doc.notes[0].story, 0);
+			session.insertTextIntoNote = 0;
+			await insertCitations(CITATION_B);
+			host.append([' ', citation(CITATION_C, '(C)')]);
+
+			const fields = await callOk(session, 'getFields', 'ContentControl');
+			assert.deepEqual(fields.map(f => [f.code, f.text, f.noteType]), [
+				[CITATION_A, '(A)', 0],
+				[CITATION_B, '(B)', 1]
+			]);
+			assert.deepEqual((await callOk(session, 'getFields', 'Field')).map(f => f.code), [CITATION_C]);
+		});
+
+		it('should map inserted content controls by id', async function () {
+			host.append(['A ', { selection: true }, ' B']);
+			await insertCitations(CITATION_A);
+			host.select(host.doc.main, 1);
+			const inserted = await callOk(session, 'insertField', 'ContentControl', 0);
+			const fields = await callOk(session, 'getFields', 'ContentControl');
+			assert.deepEqual(fields.map(f => f.code), ['TEMP', CITATION_A]);
+			assert.equal(fields[0].id, inserted.id);
+		});
+
+		it('should return the content control the cursor is in', async function () {
+			host.append(['Before ', { selection: true }, ' after']);
+			await insertCitations(CITATION_A);
+			host.select(host.doc.main, 'Before ('.length);
+			const field = await callOk(session, 'cursorInField', 'ContentControl');
+			assert.equal(field.code, CITATION_A);
+			assert.equal(field.text, '(A)');
+			host.select(host.doc.main, 2);
+			assert.equal(await callOk(session, 'cursorInField', 'ContentControl'), null);
+		});
+
+		it('should select, delete and remove the code of content controls', async function () {
+			host.append(['Text ', { selection: true }, ' and ']);
+			await insertCitations(CITATION_A);
+			host.select(host.doc.main, host.text().length);
+			await insertCitations(CITATION_B);
+			const [a, b] = await callOk(session, 'getFields', 'ContentControl');
+
+			await callOk(session, 'select', a.id);
+			assert.equal(host.doc.selection.text, '(A)');
+			await callOk(session, 'delete', a.id);
+			await callOk(session, 'removeCode', b.id);
+			assert.equal(host.text(), 'Text  and (B)');
+			assert.deepEqual(host.contentControls(), []);
+			await callOk(session, 'complete');
+			assert.equal(Array.from(host.doc.customXmlParts.values()).filter(part => /^<citation /.test(part.xml)).length, 0);
+		});
+	});
+
+	describe('bookmarks', function () {
+		function bookmark(name, code, text) {
+			return { bookmark: `ZOTERO_BREF_${name}`, code, text };
+		}
+
+		it('should return bookmark fields in document order with codes from custom properties', async function () {
+			const longCitation = `ITEM CSL_CITATION {"citationID":"L","note":"${'x'.repeat(600)}"}`;
+			host.append(['Text ', bookmark('b', longCitation, '(L)'), ' and ', bookmark('a', CITATION_A, '(A)'),
+				' ', { bookmark: 'Other', text: 'other' }, bookmark('c', BIBLIOGRAPHY, 'Bibliography')]);
+			const fields = await callOk(session, 'getFields', 'Bookmark');
+			assert.deepEqual(fields.map(f => [f.code, f.text, f.noteType]), [
+				[longCitation, '(L)', 0],
+				[CITATION_A, '(A)', 0],
+				[BIBLIOGRAPHY, 'Bibliography', 0]
+			]);
+			assert.deepEqual(await callOk(session, 'getFields', 'Field'), []);
+		});
+
+		it('should sort many bookmarks in O(n log n) comparisons', async function () {
+			const names = Array.from({ length: 200 }, (_, idx) => `n${String(idx).padStart(3, '0')}`);
+			// Alphabetical order, which Word returns, is not document order
+			const shuffled = names.map((name, idx) => names[(idx * 77) % names.length]);
+			host.append([].concat(...shuffled.map(name => [bookmark(name, `ITEM CSL_CITATION {"citationID":"${name}"}`, name), ' '])));
+			host.comparisonCount = 0;
+			const fields = await callOk(session, 'getFields', 'Bookmark');
+			assert.deepEqual(fields.map(f => f.text), shuffled);
+			assert.ok(host.comparisonCount < 200 * Math.log2(200) * 2, `${host.comparisonCount} comparisons`);
+		});
+
+		it('should not be read or offered on hosts without bookmark ranges', async function () {
+			host.append(['Text ', bookmark('a', CITATION_A, '(A)')]);
+			host.Office.context.requirements.isSetSupported = (name, version) => name !== 'WordApi' || parseFloat(version) < 1.4;
+			const doc = await callOk(session, 'getDocument');
+			assert.equal(doc.secondaryFieldType, null);
+			assert.ok(!doc.fieldTypes.includes('Bookmark'));
+			assert.deepEqual(await callOk(session, 'getFields', 'Bookmark'), []);
+		});
+
+		it('should insert a bookmark and map it to the field returned by getFields', async function () {
+			host.append([bookmark('a', CITATION_A, '(A)'), ' ', { selection: true }, ' after']);
+			const inserted = await callOk(session, 'insertField', 'Bookmark', 0);
+			assert.equal(inserted.code, 'TEMP');
+			assert.equal(host.text(), '(A) {Updating} after');
+			await callOk(session, 'setCode', inserted.id, CITATION_B);
+			await callOk(session, 'setText', inserted.id, '(B)');
+
+			const fields = await callOk(session, 'getFields', 'Bookmark');
+			assert.deepEqual(fields.map(f => f.code), [CITATION_A, CITATION_B]);
+			assert.equal(fields[1].id, inserted.id);
+			const [, added] = host.bookmarks();
+			assert.match(added.name, /^ZOTERO_BREF_\w{12}$/);
+			assert.deepEqual([added.text, added.code], ['(B)', 'ZOTERO_' + CITATION_B]);
+		});
+
+		it('should replace code properties and keep the bookmark when the text changes', async function () {
+			const longCitation = `ITEM CSL_CITATION {"citationID":"L","note":"${'x'.repeat(600)}"}`;
+			host.append(['Text ', bookmark('a', longCitation, '(L)'), ' after']);
+			const [field] = await callOk(session, 'getFields', 'Bookmark');
+			await callOk(session, 'setCode', field.id, CITATION_A);
+			await callOk(session, 'setText', field.id, '<i>(A)</i>');
+			await callOk(session, 'setText', field.id, '(Smith)');
+			assert.deepEqual(Array.from(host.doc.customProperties.keys()), ['ZOTERO_BREF_a_1']);
+			assert.deepEqual(host.bookmarks(), [{ name: 'ZOTERO_BREF_a', text: '(Smith)', code: 'ZOTERO_' + CITATION_A }]);
+			assert.equal(host.text(), 'Text (Smith) after');
+		});
+
+		it('should return the bookmark the cursor is in', async function () {
+			host.append(['Before ', bookmark('a', CITATION_A, '(Smith 2020)'), ' after']);
+			host.select(host.doc.main, 'Before (Sm'.length);
+			const field = await callOk(session, 'cursorInField', 'Bookmark');
+			assert.equal(field.code, CITATION_A);
+			assert.equal(field.text, '(Smith 2020)');
+			host.select(host.doc.main, 3);
+			assert.equal(await callOk(session, 'cursorInField', 'Bookmark'), null);
+		});
+
+		it('should delete bookmark fields and remove their codes', async function () {
+			host.append(['Text ', bookmark('a', CITATION_A, '(A)'), ' and ', bookmark('b', CITATION_B, '(B)')]);
+			const [a, b] = await callOk(session, 'getFields', 'Bookmark');
+			await callOk(session, 'delete', a.id);
+			await callOk(session, 'removeCode', b.id);
+			assert.equal(host.text(), 'Text  and (B)');
+			assert.deepEqual(host.bookmarks(), []);
+			assert.equal(host.doc.customProperties.size, 0);
+		});
+	});
+
+	describe('#delete()', function () {
+		it('should remove inline fields', async function () {
+			host.append(['Text ', citation(CITATION_A, '(A)'), ' after']);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'delete', field.id);
+			assert.equal(host.text(), 'Text  after');
+			assert.equal(host.doc.main.fields.length, 0);
+			assert.deepEqual(await callOk(session, 'getFields'), []);
+		});
+
+		it('should remove notes that only contain the field', async function () {
+			host.append(['Text', { footnote: [citation(CITATION_A, 'A.')] }, ' after']);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'delete', field.id);
+			assert.equal(host.text(), 'Text after');
+			assert.equal(session.insertTextIntoNote, 1);
+		});
+
+		it('should keep notes with other text', async function () {
+			host.append(['Text', { footnote: ['See ', citation(CITATION_A, 'A.')] }]);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'delete', field.id);
+			assert.deepEqual(host.notes('Footnote'), ['See ']);
+		});
+	});
+
+	describe('#removeCode()', function () {
+		it('should remove the field', async function () {
+			host.append(['Text ', citation(CITATION_A, '(A)')]);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'removeCode', field.id);
+			assert.equal(host.doc.main.fields.length, 0);
+		});
+	});
+
+	describe('#select()', function () {
+		it('should select the field result', async function () {
+			host.append(['Text ', citation(CITATION_A, '(A)'), ' after']);
+			const [field] = await callOk(session, 'getFields');
+			await callOk(session, 'select', field.id);
+			assert.equal(host.doc.selection.text, '(A)');
+		});
+	});
+
+	describe('#batch()', function () {
+		it('should apply field operations with one sync for loads and one for changes', async function () {
+			host.append(['Text ', citation(CITATION_A, '{A}'), ' ', citation(CITATION_B, '{B}'), ' ', citation(CITATION_C, '(C)')]);
+			const [a, b, c] = await callOk(session, 'getFields');
+			const syncs = host.syncCount;
+
+			const results = await callOk(session, 'batch', [
+				{ command: 'setText', arguments: [a.id, '(Smith 2020)'] },
+				{ command: 'setCode', arguments: [a.id, CITATION_B] },
+				{ command: 'setText', arguments: [b.id, '(<i>Jones</i> 2021)', true] },
+				{ command: 'delete', arguments: [c.id] }
+			]);
+
+			assert.deepEqual(results, [null, null, null, null]);
+			// And two to snapshot the paragraph of the fields before changing it, and the sync at the end of Word.run()
+			assert.equal(host.syncCount - syncs, 5);
+			assert.equal(host.text(), 'Text (Smith 2020) (Jones 2021) ');
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => f.code), [CITATION_B, CITATION_B]);
+		});
+
+		it('should report failing operations without failing the others', async function () {
+			host.append(['Text ', citation(CITATION_A, '{A}'), ' ', citation(CITATION_B, '{B}')]);
+			const [a, b] = await callOk(session, 'getFields');
+
+			const results = await callOk(session, 'batch', [
+				{ command: 'setText', arguments: ['missing', 'Text'] },
+				{ command: 'setText', arguments: [a.id, '(A)'] },
+				{ command: 'setCode', arguments: [b.id] },
+				{ command: 'select', arguments: [b.id] },
+				{ command: 'setText', arguments: [b.id, '(B)'] }
+			]);
+
+			assert.equal(results[0].error, 'Connector Error');
+			assert.equal(results[0].message, 'Field missing not found');
+			assert.equal(results[1], null);
+			assert.equal(results[2].error, 'BadArguments');
+			assert.equal(results[3].error, 'UnsupportedCommand');
+			assert.equal(results[4], null);
+			assert.equal(host.text(), 'Text (A) (B)');
+		});
+
+		it('should retry operations one by one when a chunk fails to sync', async function () {
+			host.append(['Text ', citation(CITATION_A, '{A}'), ' ', citation(CITATION_B, '{B}'), ' ', citation(CITATION_C, '{C}')]);
+			const [a, b, c] = await callOk(session, 'getFields');
+			// Removed by the user while Zotero was processing
+			host.doc.main.fields[1].delete();
+
+			const results = await callOk(session, 'batch', [a, b, c].map(field => ({ command: 'setCode', arguments: [field.id, BIBLIOGRAPHY] })));
+
+			assert.equal(results[0], null);
+			assert.equal(results[1].error, 'Connector Error');
+			assert.match(results[1].message, /has been deleted/);
+			assert.equal(results[2], null);
+			assert.deepEqual(host.fields().map(f => f.code), ['ADDIN ZOTERO_' + BIBLIOGRAPHY, 'ADDIN ZOTERO_' + BIBLIOGRAPHY]);
+		});
+
+		it('should not repeat operations that were applied before a chunk failed to sync', async function () {
+			Zotero.Prefs.set('citationStore', true);
+			const largeCitation = `ITEM CSL_CITATION {"citationID":"L","abstract":"${'x'.repeat(2000)}"}`;
+			host.append(['Text ', citation(CITATION_A, '{A}'), ' ', citation(CITATION_B, '{B}'), ' ', citation(CITATION_C, '{C}')]);
+			const [a, b, c] = await callOk(session, 'getFields');
+			// Removed by the user while Zotero was processing, which fails the sync after the
+			// operations on the other fields were applied
+			host.doc.main.fields[2].delete();
+
+			const results = await callOk(session, 'batch', [
+				{ command: 'setCode', arguments: [a.id, largeCitation] },
+				{ command: 'delete', arguments: [b.id] },
+				{ command: 'setCode', arguments: [c.id, CITATION_A] }
+			]);
+
+			assert.equal(results[0], null);
+			assert.equal(results[1], null);
+			assert.match(results[2].message, /has been deleted/);
+			assert.equal(host.text(), 'Text {A}  ');
+			assert.equal(Array.from(host.doc.customXmlParts.values()).filter(part => /^<citation /.test(part.xml)).length, 1);
+			assert.deepEqual((await callOk(session, 'getFields')).map(f => f.id), [a.id, c.id]);
+		});
+
+		it('should split large payloads into chunks', async function () {
+			host.append(['Text ', citation(CITATION_A, '{A}'), ' ', citation(CITATION_B, '{B}')]);
+			const [a, b] = await callOk(session, 'getFields');
+			const syncs = host.syncCount;
+			const text = 'x'.repeat(600000);
+
+			const results = await callOk(session, 'batch', [
+				{ command: 'setText', arguments: [a.id, text] },
+				{ command: 'setText', arguments: [b.id, text] }
+			]);
+
+			assert.deepEqual(results, [null, null]);
+			// Two per chunk, one to look up the citation style, two to snapshot the paragraph of the fields
+			// and one to find that the field of the second chunk is in the same paragraph
+			assert.equal(host.syncCount - syncs, 7);
+			assert.equal(host.text().length, 'Text  '.length + 2 * text.length);
+		});
+
+		it('should count the OOXML of short citation texts towards the chunk size', async function () {
+			host.append(Array.from({ length: 1200 }, (_, idx) => citation(CITATION_A, `{${idx}}`)));
+			const fields = await callOk(session, 'getFields');
+			const syncs = host.syncCount;
+
+			const results = await callOk(session, 'batch', fields.map((field, idx) => ({ command: 'setText', arguments: [field.id, `(Smith ${idx})`] })));
+
+			assert.ok(results.every(result => result === null));
+			// Two chunks, as for large payloads above, where counting only the HTML makes one
+			assert.equal(host.syncCount - syncs, 7);
+			assert.equal(host.fields()[1199].text, '(Smith 1199)');
+		});
+	});
+
+	describe('#callFunction()', function () {
+		it('should respond with an error when an integration method throws', async function () {
+			const result = await call(session, 'setCode', 'missing-id', CITATION_A);
+			assert.equal(result.error, 'Connector Error');
+			assert.ok(result.message);
+		});
+
+		it('should reuse the request context of tracked objects across calls', async function () {
+			host.append(citation(CITATION_A, '(A)'));
+			await callOk(session, 'getFields');
+			const runs = host.runCount;
+			await callOk(session, 'getFields');
+			assert.equal(host.runCount, runs + 1);
+			assert.ok(session.trackedObjects.every(o => o.context === session.trackedObjects[0].context));
+		});
+
+		it('should reject commands that are not integration methods', async function () {
+			host.append(citation(CITATION_A, '(A)'));
+			await callOk(session, 'getFields');
+			const tracked = session.trackedObjects.length;
+			for (let method of ['_untrackAll', '_track', 'execCommand', 'callFunction', 'constructor', 'inlineToNotes', 'toString', 'missing']) {
+				const result = await call(session, method);
+				assert.equal(result.error, 'UnsupportedCommand', method);
+				assert.equal(result.message, `Document.${method} is not a supported integration command`);
+			}
+			assert.equal(session.trackedObjects.length, tracked);
+			let response;
+			session.respond = async (result) => response = JSON.parse(result);
+			for (let command of ['Field.getFields', 'Field.constructor', 'Application.setText', 'Window.getDocument', 'getDocument']) {
+				await session.callFunction({ command, arguments: ['doc'] });
+				assert.equal(response.error, 'UnsupportedCommand', command);
+			}
+		});
+
+		it('should accept the Application and Field methods Zotero calls', async function () {
+			host.append(citation(CITATION_A, '(A)'));
+			const [field] = await callOk(session, 'getFields');
+			let response;
+			session.respond = async (result) => response = JSON.parse(result);
+
+			await session.callFunction({ command: 'Application.getActiveDocument', arguments: [] });
+			assert.equal(response.documentID, host.doc.url);
+			await session.callFunction({ command: 'Field.setText', arguments: ['doc', field.id, '(A2)', false] });
+			assert.equal(response, null);
+			await session.callFunction({ command: 'Field.setCode', arguments: ['doc', field.id, CITATION_B] });
+			assert.equal(response, null);
+			assert.deepEqual(host.fields().map(f => [f.code, f.text]), [[`ADDIN ZOTERO_${CITATION_B}`, '(A2)']]);
+		});
+
+		it('should reject arguments that do not match the command schema', async function () {
+			host.append(citation(CITATION_A, '(A)'));
+			const [field] = await callOk(session, 'getFields');
+
+			let result = await call(session, 'setText', field.id);
+			assert.equal(result.error, 'BadArguments');
+			assert.equal(result.message, 'Bad arguments for Document.setText: missing argument text');
+			result = await call(session, 'setText', 1, 'Text');
+			assert.equal(result.message, 'Bad arguments for Document.setText: argument fieldID must be of type string');
+			result = await call(session, 'convert', [field.id], 'Field', ['1']);
+			assert.equal(result.message, 'Bad arguments for Document.convert: argument fieldNoteTypes must be of type number[]');
+			assert.equal(host.fields()[0].text, '(A)');
+		});
+
+		it('should accept omitted optional arguments and drop extra ones', async function () {
+			host.append(['Text', { selection: true }]);
+			assert.equal(await callOk(session, 'activate'), null);
+			const field = await callOk(session, 'insertField', 'Field', 0, { internal: true });
+			assert.equal(field.noteType, 0);
+		});
+	});
+});
@@ -0,0 +1,114 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAddin } = require('./support/session');
+const { createConnectorServer } = require('./support/connectorServer');
+
+describe('Zotero.SessionManager', function () {
+	let connector, host, Zotero, global, release, responded;
+
+	beforeEach(async function () {
+		let waiting;
+		responded = new Promise(resolve => waiting = resolve);
+		connector = createConnectorServer({ script: [
+			{ command: 'Document.getFields', arguments: [] },
+			// Zotero waits for the user
+			() => {
+				waiting();
+				return new Promise(resolve => release = resolve);
+			}
+		] });
+		await connector.listen();
+		({ host, Zotero, global } = loadAddin({ prefs: { 'connector.port': parseInt(new URL(connector.url).port) } }));
+		host.append(['Text ', { field: 'ADDIN ZOTERO_ITEM CSL_CITATION {}', text: '(A)' }]);
+	});
+
+	afterEach(async function () {
+		if (release) release({ command: 'Document.complete', arguments: [] });
+		await connector.close();
+	});
+
+	async function waitFor(condition) {
+		for (let i = 0; i < 100 && !condition(); i++) {
+			await Zotero.Promise.delay(10);
+		}
+		assert.ok(condition());
+	}
+
+	function click(button) {
+		const event = { completed: () => event.completedCount++, completedCount: 0 };
+		event.promise = global[button](event);
+		return event;
+	}
+
+	it('should refuse clicks while a transaction is in progress', async function () {
+		const first = click('refresh');
+		await responded;
+		const session = Zotero.SessionManager.getActive();
+
+		const second = click('addEditCitation');
+		await second.promise;
+
+		assert.equal(second.completedCount, 1);
+		assert.equal(host.dialogs.length, 1);
+		assert.match(new URL(host.dialogs[0].url).searchParams.get('text'), /Another Zotero operation is in progress/);
+		assert.equal(first.completedCount, 0);
+		assert.equal(Zotero.SessionManager.getActive(), session);
+		assert.equal(connector.negotiations.length, 1);
+
+		release({ command: 'Document.complete', arguments: [] });
+		await first.promise;
+		assert.equal(first.completedCount, 1);
+		assert.equal(Zotero.SessionManager.getActive(), null);
+	});
+
+	it('should cancel sessions that stay idle past the timeout', async function () {
+		const first = click('refresh');
+		await responded;
+		Zotero.SessionManager.IDLE_TIMEOUT = 50;
+		Zotero.SessionManager.touch(Zotero.SessionManager.getActive());
+		await first.promise;
+
+		assert.equal(first.completedCount, 1);
+		assert.equal(Zotero.SessionManager.getActive(), null);
+		await waitFor(() => connector.cancellations.length === 1);
+		assert.equal(connector.cancellations[0].command, 'refresh');
+	});
+
+	it('should accept new clicks after a session is cancelled', async function () {
+		click('refresh');
+		await responded;
+		await Zotero.SessionManager.cancel();
+
+		Zotero.SessionManager.IDLE_TIMEOUT = 50;
+		const next = click('addNote');
+		await next.promise;
+		assert.equal(host.dialogs.length, 0);
+		await waitFor(() => connector.cancellations.length === 2);
+		assert.equal(connector.cancellations[1].command, 'addNote');
+	});
+});
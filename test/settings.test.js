@@ -0,0 +1,142 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+	
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+	
+	This file is part of Zotero.
+	
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+	
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+	
+	***** END LICENSE BLOCK *****
+*/
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAddin } = require('./support/session');
+const { createConnectorServer } = require('./support/connectorServer');
+
+describe('Connector settings', function () {
+	let connector;
+
+	beforeEach(async function () {
+		connector = createConnectorServer({ script: [{ command: 'Document.getDocument', arguments: [] }] });
+		await connector.listen();
+	});
+
+	afterEach(async function () {
+		await connector.close();
+	});
+
+	function connectorPort() {
+		return parseInt(new URL(connector.url).port);
+	}
+
+	function storedPrefs(global) {
+		const prefs = {};
+		for (let name of ['connector.host', 'connector.port', 'citationStore', 'linkCitations']) {
+			const value = global.localStorage.getItem(`zotero.${name}`);
+			if (value !== null) prefs[name] = JSON.parse(value);
+		}
+		return prefs;
+	}
+
+	describe('Zotero.Prefs', function () {
+		it('should return defaults for unset prefs', function () {
+			const { Zotero } = loadAddin();
+			assert.equal(Zotero.Prefs.get('connector.host'), '127.0.0.1');
+			assert.equal(Zotero.Prefs.get('connector.port'), 23119);
+		});
+
+		it('should store prefs in localStorage', function () {
+			const { global, Zotero } = loadAddin();
+			Zotero.Prefs.set('connector.port', 23120);
+			assert.equal(Zotero.Prefs.get('connector.port'), 23120);
+			assert.equal(global.localStorage.getItem('zotero.connector.port'), '23120');
+
+			Zotero.Prefs.clear('connector.port');
+			assert.equal(Zotero.Prefs.get('connector.port'), 23119);
+			assert.equal(global.localStorage.getItem('zotero.connector.port'), null);
+		});
+	});
+
+	describe('Zotero.Connector', function () {
+		it('should build URLs from the configured endpoint', function () {
+			const { Zotero } = loadAddin({ prefs: { 'connector.host': 'zotero.local', 'connector.port': 8080 } });
+			assert.equal(Zotero.Connector.getURL('connector/ping'), 'http://zotero.local:8080/connector/ping');
+			assert.equal(Zotero.Connector.getURL('', { host: '::1', port: 23119 }), 'http://[::1]:23119/');
+		});
+
+		it('should reject invalid hosts and ports', function () {
+			const { Zotero } = loadAddin();
+			const validate = (host, port) => Object.assign({}, Zotero.Connector.validateEndpoint(host, port));
+			assert.deepEqual(validate(' localhost ', '23120'), { host: 'localhost', port: 23120 });
+			assert.deepEqual(validate('[::1]', 23119), { host: '[::1]', port: 23119 });
+			assert.throws(() => Zotero.Connector.validateEndpoint('', 23119), /not a valid host/);
+			assert.throws(() => Zotero.Connector.validateEndpoint('http://localhost/', 23119), /not a valid host/);
+			assert.throws(() => Zotero.Connector.validateEndpoint('localhost', '70000'), /not a valid port/);
+			assert.throws(() => Zotero.Connector.validateEndpoint('localhost', '80a'), /not a valid port/);
+		});
+
+		it('should send integration requests to the configured endpoint', async function () {
+			const { Zotero } = loadAddin({ prefs: { 'connector.port': connectorPort() } });
+			await new Zotero.Session({ completed: () => {} }, 'refresh').execCommand('refresh');
+			assert.equal(connector.transactions.length, 1);
+		});
+	});
+
+	describe('settings dialog', function () {
+		it('should save an endpoint that responds to a ping', async function () {
+			const { host, global, Zotero } = loadAddin({
+				dialogResponse: () => JSON.stringify({ action: 'save', host: '127.0.0.1', port: String(connectorPort()), citationStore: true, linkCitations: true })
+			});
+
+			assert.equal(await Zotero.Connector.openSettings(), true);
+			const [dialog] = host.dialogs;
+			assert.match(dialog.url, /\/settings\.html\?host=127\.0\.0\.1&port=23119&/);
+			assert.ok(dialog.closed);
+			assert.deepEqual(storedPrefs(global), { 'connector.host': '127.0.0.1', 'connector.port': connectorPort(), 'citationStore': true, 'linkCitations': true });
+			assert.equal(Zotero.Connector.getURL(), connector.url);
+		});
+
+		it('should report endpoint errors to the dialog, keep it open and save the other settings', async function () {
+			const port = connectorPort();
+			await connector.close();
+			const responses = [
+				{ action: 'save', host: '127.0.0.1', port: 'abc' },
+				{ action: 'save', host: '127.0.0.1', port: String(port), citationStore: true, linkCitations: false },
+				{ action: 'cancel' }
+			];
+			const { host, global, Zotero } = loadAddin({ dialogResponse: () => JSON.stringify(responses.shift()) });
+
+			assert.equal(await Zotero.Connector.openSettings(), false);
+			const [dialog] = host.dialogs;
+			assert.equal(dialog.childMessages.length, 2);
+			assert.match(JSON.parse(dialog.childMessages[0]).error, /not a valid port/);
+			assert.match(JSON.parse(dialog.childMessages[1]).error, /Could not connect to Zotero/);
+			assert.ok(dialog.closed);
+			assert.deepEqual(storedPrefs(global), { 'citationStore': true, 'linkCitations': false });
+			// Restart for afterEach
+			connector = createConnectorServer({ script: [] });
+			await connector.listen();
+		});
+
+		it('should not save when the dialog is closed', async function () {
+			const { global, Zotero } = loadAddin({ dialogResponse: () => undefined });
+			assert.equal(await Zotero.Connector.openSettings(), false);
+			assert.deepEqual(storedPrefs(global), {});
+		});
+	});
+});
@@ -0,0 +1,317 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+
+	This file is part of Zotero.
+
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+
+	***** END LICENSE BLOCK *****
+*/
+
+/**
+ * A local stand-in for the integration endpoints of the Zotero connector server.
+ *
+ * Scripted mode answers execCommand and respond with a fixed sequence of integration
+ * requests and records what the add-in responds with. Proxy mode forwards everything to a
+ * running Zotero and records the transaction, so real sessions can be saved as fixtures.
+ *
+ * Usage:
+ * 	node test/support/connectorServer.js record <fixture.json> [--port 23120] [--zotero http://127.0.0.1:23119/]
+ * 	node test/support/connectorServer.js serve <fixture.json> [--port 23120]
+ *
+ * Set the connector port in the add-in settings to the server port, click a button and the transaction is recorded to,
+ * or played from, the fixture.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { IdMap, documentFromFields } = require('./transactions');
+
+const DEFAULT_PORT = 23120;
+const DEFAULT_ZOTERO_URL = 'http://127.0.0.1:23119/';
+const EXEC_COMMAND_PATH = '/connector/document/execCommand';
+const RESPOND_PATH = '/connector/document/respond';
+const PING_PATH = '/connector/ping';
+const NEGOTIATE_PATH = '/connector/document/negotiate';
+const CANCEL_PATH = '/connector/document/cancel';
+const CORS_HEADERS = {
+	'Access-Control-Allow-Origin': '*',
+	'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+	'Access-Control-Allow-Headers': 'Content-Type, X-Zotero-Connector-API-Version, X-Zotero-Version',
+	'Access-Control-Expose-Headers': 'X-Zotero-Version'
+};
+const DEFAULT_ZOTERO_VERSION = '7.0.0';
+const DEFAULT_PROTOCOL = {
+	protocolVersion: 1,
+	minProtocolVersion: 0,
+	features: ['footnotes', 'endnotes', 'importExport', 'textInsertion', 'citationMerging', 'outputFormat.html', 'batch', 'contentControls']
+};
+
+function readBody(request) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		request.on('data', chunk => chunks.push(chunk));
+		request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+		request.on('error', reject);
+	});
+}
+
+function send(response, status, body) {
+	response.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+	response.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Scripted transactions. Each step is a request object, or a function receiving the responses
+ * so far and returning the request or a promise for it, e.g.
+ * 	[
+ * 		{ command: 'Document.getDocument', arguments: [] },
+ * 		{ command: 'Document.getFields', arguments: [] },
+ * 		responses => ({ command: 'Document.setText', arguments: [responses[1][0].id, 'Text'] })
+ * 	]
+ * The document ID is prepended to the arguments of Document and Field commands, as Zotero does,
+ * and Document.complete ends every script.
+ * Passing a fixture instead replays its requests, mapping recorded field IDs to actual ones.
+ */
+class ScriptedTransaction {
+	constructor(steps, docID) {
+		this.idMap = new IdMap();
+		this.fixture = Array.isArray(steps) ? null : steps;
+		this.steps = this.fixture ? this.fixture.exchanges.map(exchange => exchange.request) : steps;
+		this.docID = docID;
+		this.responses = [];
+		this.exchanges = [];
+	}
+
+	async next(response) {
+		const idx = this.exchanges.length;
+		if (idx) {
+			this.exchanges[idx - 1].response = response;
+			this.responses.push(response);
+			if (this.fixture) {
+				this.idMap.learn(this.fixture.exchanges[idx - 1].response, response);
+			}
+		}
+		let step = this.steps[idx] || { command: 'Document.complete', arguments: [] };
+		if (typeof step === 'function') {
+			step = await step(this.responses);
+		}
+		step = this.idMap.rewrite(step);
+		let args = step.arguments || [];
+		const withDocID = !step.command.startsWith('Application.');
+		if (this.fixture && withDocID) args = args.slice(1);
+		const request = { command: step.command, arguments: withDocID ? [this.docID].concat(args) : args };
+		this.exchanges.push({ request });
+		return request;
+	}
+
+	get complete() {
+		const last = this.exchanges[this.exchanges.length - 1];
+		return !!last && last.request.command === 'Document.complete';
+	}
+}
+
+/**
+ * @param {Object} options
+ * @param {Array|Object} [options.script] Steps or a fixture to serve
+ * @param {String} [options.proxy] Zotero connector URL to forward requests to instead
+ * @param {Number} [options.port] Defaults to a free port
+ * @param {String} [options.zoteroVersion] Version reported in the X-Zotero-Version header
+ * @param {Boolean} [options.busy] Answer every execCommand with 503
+ * @param {Object|Boolean} [options.protocol] Negotiation response, or false to answer 404 like
+ * 		Zotero versions without negotiation
+ * @param {Function} [options.onTransaction] Called with the fixture of each finished transaction
+ */
+function createConnectorServer(options={}) {
+	let transaction = null;
+	let recording = null;
+	const transactions = [];
+	const negotiations = [];
+	const cancellations = [];
+
+	const finish = () => {
+		const fixture = transaction
+			? { command: transaction.command, exchanges: transaction.exchanges }
+			: recording;
+		const getFields = fixture.exchanges.find(e => e.request.command === 'Document.getFields' && Array.isArray(e.response));
+		if (getFields) {
+			fixture.document = documentFromFields(getFields.response);
+		}
+		const getDocumentData = fixture.exchanges.find(e => e.request.command === 'Document.getDocumentData');
+		if (getDocumentData && typeof getDocumentData.response === 'string') {
+			fixture.documentData = getDocumentData.response;
+		}
+		transactions.push(fixture);
+		transaction = recording = null;
+		if (options.onTransaction) options.onTransaction(fixture);
+	};
+
+	const forward = async (path, body) => {
+		const response = await fetch(new URL(path.substring(1), options.proxy), {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body
+		});
+		return { status: response.status, body: await response.text() };
+	};
+
+	const handleScripted = async (path, body) => {
+		if (path === NEGOTIATE_PATH) {
+			if (options.protocol === false) {
+				return { status: 404, body: { error: `No endpoint found for ${path}` } };
+			}
+			const { features } = JSON.parse(body);
+			negotiations.push(JSON.parse(body));
+			const protocol = Object.assign({}, DEFAULT_PROTOCOL, options.protocol);
+			return { status: 200, body: Object.assign(protocol, { features: protocol.features.filter(f => features.includes(f)) }) };
+		}
+		if (path === CANCEL_PATH) {
+			cancellations.push(JSON.parse(body));
+			transaction = null;
+			return { status: 200, body: {} };
+		}
+		if (path === EXEC_COMMAND_PATH) {
+			if (transaction || options.busy) {
+				return { status: 503, body: { error: 'Integration transaction already in progress' } };
+			}
+			const { command, docId } = JSON.parse(body);
+			transaction = new ScriptedTransaction(options.script, docId);
+			transaction.command = command;
+			return { status: 200, body: await transaction.next() };
+		}
+		if (!transaction) {
+			return { status: 400, body: { error: 'No integration transaction in progress' } };
+		}
+		const current = transaction;
+		const request = await current.next(JSON.parse(body));
+		if (current !== transaction) {
+			return { status: 400, body: { error: 'Integration transaction was cancelled' } };
+		}
+		if (transaction.complete) finish();
+		return { status: 200, body: request };
+	};
+
+	const handleProxied = async (path, body) => {
+		if (path === NEGOTIATE_PATH) {
+			negotiations.push(JSON.parse(body));
+			return forward(path, body);
+		}
+		if (path === CANCEL_PATH) {
+			cancellations.push(JSON.parse(body));
+			recording = null;
+			return forward(path, body);
+		}
+		if (path === EXEC_COMMAND_PATH) {
+			recording = { command: JSON.parse(body).command, exchanges: [] };
+		}
+		else if (recording && recording.exchanges.length) {
+			recording.exchanges[recording.exchanges.length - 1].response = JSON.parse(body);
+		}
+		const response = await forward(path, body);
+		if (recording && response.status === 200) {
+			const request = JSON.parse(response.body);
+			recording.exchanges.push({ request });
+			if (request.command === 'Document.complete') finish();
+		}
+		return response;
+	};
+
+	const server = http.createServer(async (request, response) => {
+		try {
+			if (request.method === 'OPTIONS') {
+				return send(response, 204, '');
+			}
+			const path = new URL(request.url, 'http://localhost').pathname;
+			if (request.method === 'GET' && path === PING_PATH) {
+				if (options.proxy) {
+					const ping = await fetch(new URL(PING_PATH.substring(1), options.proxy));
+					const headers = { 'Content-Type': 'text/html' };
+					if (ping.headers.has('X-Zotero-Version')) headers['X-Zotero-Version'] = ping.headers.get('X-Zotero-Version');
+					response.writeHead(ping.status, Object.assign(headers, CORS_HEADERS));
+					return response.end(await ping.text());
+				}
+				const version = options.zoteroVersion || DEFAULT_ZOTERO_VERSION;
+				response.writeHead(200, Object.assign({ 'Content-Type': 'text/html', 'X-Zotero-Version': version }, CORS_HEADERS));
+				return response.end('<!DOCTYPE html><html><body>Zotero is running</body></html>');
+			}
+			if (request.method !== 'POST' || ![NEGOTIATE_PATH, EXEC_COMMAND_PATH, RESPOND_PATH, CANCEL_PATH].includes(path)) {
+				return send(response, 404, { error: `No endpoint found for ${path}` });
+			}
+			const body = await readBody(request);
+			const result = options.proxy ? await handleProxied(path, body) : await handleScripted(path, body);
+			send(response, result.status, result.body);
+		}
+		catch (e) {
+			send(response, 500, { error: e.message });
+		}
+	});
+
+	return {
+		server,
+		transactions,
+		negotiations,
+		cancellations,
+		get url() {
+			return `http://127.0.0.1:${server.address().port}/`;
+		},
+		listen() {
+			return new Promise(resolve => server.listen(options.port || 0, '127.0.0.1', resolve));
+		},
+		close() {
+			return new Promise((resolve) => {
+				server.close(resolve);
+				// Don't wait for idle keep-alive connections of aborted requests
+				server.closeAllConnections();
+			});
+		}
+	};
+}
+
+async function main(argv) {
+	const [mode, file] = argv;
+	const option = (name, fallback) => {
+		const idx = argv.indexOf(`--${name}`);
+		return idx === -1 ? fallback : argv[idx + 1];
+	};
+	if (!['record', 'serve'].includes(mode) || !file) {
+		console.error('Usage: connectorServer.js record|serve <fixture.json> [--port 23120] [--zotero URL]');
+		process.exit(1);
+	}
+	const connector = createConnectorServer({
+		port: parseInt(option('port', DEFAULT_PORT)),
+		proxy: mode === 'record' ? option('zotero', DEFAULT_ZOTERO_URL) : null,
+		script: mode === 'serve' ? JSON.parse(fs.readFileSync(file, 'utf8')) : null,
+		onTransaction: (fixture) => {
+			if (mode === 'record') {
+				fs.writeFileSync(file, JSON.stringify(fixture, null, '\t') + '\n');
+				console.log(`Recorded ${fixture.exchanges.length} requests of ${fixture.command} to ${file}`);
+			}
+			else {
+				console.log(`Served ${fixture.exchanges.length} requests of ${fixture.command}`);
+			}
+		}
+	});
+	await connector.listen();
+	console.log(`Connector stand-in listening on ${connector.url}`);
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2));
+}
+
+module.exports = { createConnectorServer, ScriptedTransaction };
@@ -0,0 +1,119 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+
+	This file is part of Zotero.
+
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+
+	***** END LICENSE BLOCK *****
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createWordHost } = require('./wordApi');
+
+const COMMANDS_DIR = path.join(__dirname, '../../src/commands');
+const DOC_ID = 'test-document';
+
+/**
+ * @returns {String[]} The add-in scripts in the order commands.html loads them
+ */
+function getScripts() {
+	const html = fs.readFileSync(path.join(COMMANDS_DIR, 'commands.html'), 'utf8');
+	const scripts = [];
+	const re = /<script[^>]*src="([^"]+)"/g;
+	let match;
+	while ((match = re.exec(html))) {
+		if (!/^https?:/.test(match[1])) scripts.push(match[1]);
+	}
+	return scripts;
+}
+
+/**
+ * Loads the add-in command scripts into a fresh global scope backed by a fake Word host.
+ *
+ * @param {Object} [options] Options passed to createWordHost()
+ * @param {Object} [options.prefs] Prefs stored in localStorage before the add-in loads
+ * @returns {{ host, Zotero, global, logs }}
+ */
+function loadAddin(options={}) {
+	const host = options.host || createWordHost(options);
+	const logs = [];
+	const storage = new Map(Object.entries(options.prefs || {})
+		.map(([name, value]) => [`zotero.${name}`, JSON.stringify(value)]));
+	const sandbox = {
+		Word: host.Word,
+		Office: host.Office,
+		OfficeExtension: host.OfficeExtension,
+		fetch,
+		AbortController,
+		TextDecoder,
+		console: { log: (...args) => logs.push(args), error: (...args) => logs.push(args) },
+		performance,
+		setTimeout,
+		clearTimeout,
+		setInterval,
+		clearInterval,
+		location: { origin: 'https://localhost:3000' },
+		localStorage: {
+			getItem: key => storage.has(key) ? storage.get(key) : null,
+			setItem: (key, value) => storage.set(key, String(value)),
+			removeItem: key => storage.delete(key)
+		},
+		focus: () => {}
+	};
+	sandbox.window = sandbox;
+	const global = vm.createContext(sandbox);
+	for (let script of getScripts()) {
+		const filename = path.join(COMMANDS_DIR, script);
+		vm.runInContext(fs.readFileSync(filename, 'utf8'), global, { filename });
+	}
+	return { host, Zotero: global.Zotero, global, logs };
+}
+
+/**
+ * Runs an integration method the way the connector would invoke it, and returns
+ * the result that would have been sent back in the respond call.
+ */
+async function call(session, method, ...args) {
+	let response;
+	session.respond = async (result) => {
+		response = JSON.parse(result);
+	};
+	const result = await session.callFunction({
+		command: `Document.${method}`,
+		arguments: [DOC_ID, ...args]
+	});
+	return method === 'complete' ? result : response;
+}
+
+/**
+ * Like call(), but throws if the integration method returned an error
+ */
+async function callOk(session, method, ...args) {
+	const result = await call(session, method, ...args);
+	if (result && result.error) {
+		const e = new Error(`${method} failed: ${result.error}: ${result.message}`);
+		e.stack += `\n${result.stack}`;
+		throw e;
+	}
+	return result;
+}
+
+module.exports = { loadAddin, call, callOk, DOC_ID };
@@ -0,0 +1,183 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+
+	This file is part of Zotero.
+
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+
+	***** END LICENSE BLOCK *****
+*/
+
+/**
+ * Integration transaction fixtures.
+ *
+ * A fixture is the JSON record of one button click:
+ * 	{
+ * 		command: "refresh",
+ * 		document: [...],  // Initial document content in the format of host.append()
+ * 		documentData: "<data ...>",  // Optional initial document preferences
+ * 		exchanges: [
+ * 			{ request: { command: "Document.getFields", arguments: [docID] }, response: [...] },
+ * 			...
+ * 			{ request: { command: "Document.complete", arguments: [docID] } }
+ * 		]
+ * 	}
+ *
+ * Field IDs are random, so they differ between a recording and a replay. Replays map the
+ * recorded IDs to the ones the add-in returns and rewrite subsequent requests to use them.
+ */
+
+const { loadAddin, DOC_ID } = require('./session');
+
+const FIELD_PREFIX = 'ADDIN ZOTERO_';
+const PREF_PREFIX = 'ZOTERO_PREF';
+const PREF_LENGTH = 255;
+// Serialized Word proxies and error debug info differ between hosts and runs,
+// so they are not part of the comparison
+const IGNORED_KEYS = ['wordField', 'wordNote', 'stack', 'errorLocation', 'fullStatements', 'surroundingStatements'];
+
+class IdMap {
+	constructor() {
+		this.ids = new Map();
+	}
+
+	/**
+	 * Records the mapping of IDs between a recorded response and the actual one
+	 */
+	learn(recorded, actual) {
+		if (Array.isArray(recorded) && Array.isArray(actual)) {
+			recorded.forEach((value, idx) => this.learn(value, actual[idx]));
+		}
+		else if (recorded && actual && typeof recorded === 'object' && typeof actual === 'object') {
+			if (typeof recorded.id === 'string' && typeof actual.id === 'string') {
+				this.ids.set(recorded.id, actual.id);
+			}
+			for (let key in recorded) {
+				if (key !== 'id' && !IGNORED_KEYS.includes(key)) this.learn(recorded[key], actual[key]);
+			}
+		}
+	}
+
+	/**
+	 * @returns A copy of value with recorded IDs replaced by actual IDs
+	 */
+	rewrite(value) {
+		if (typeof value === 'string') {
+			return this.ids.has(value) ? this.ids.get(value) : value;
+		}
+		if (Array.isArray(value)) {
+			return value.map(v => this.rewrite(v));
+		}
+		if (value && typeof value === 'object') {
+			const copy = {};
+			for (let key in value) copy[key] = this.rewrite(value[key]);
+			return copy;
+		}
+		return value;
+	}
+}
+
+/**
+ * Strips serialized Word objects from a response so responses from different hosts compare equal
+ */
+function normalizeResponse(value) {
+	if (Array.isArray(value)) {
+		return value.map(normalizeResponse);
+	}
+	if (value && typeof value === 'object') {
+		const copy = {};
+		for (let key in value) {
+			if (!IGNORED_KEYS.includes(key)) copy[key] = normalizeResponse(value[key]);
+		}
+		return copy;
+	}
+	return value;
+}
+
+/**
+ * Reconstructs document content for host.append() from a getFields response, so transactions
+ * recorded against a real document can be replayed without it
+ */
+function documentFromFields(fields) {
+	const content = ['Text'];
+	for (let field of fields) {
+		const wordField = { field: FIELD_PREFIX + field.code, text: field.text };
+		if (field.noteType === 1) content.push({ footnote: [wordField] });
+		else if (field.noteType === 2) content.push({ endnote: [wordField] });
+		else content.push(' ', wordField);
+	}
+	return content;
+}
+
+/**
+ * Loads the add-in with the initial document of a fixture and creates a session for its command
+ *
+ * @returns {{ addin: Object, session: Zotero.Session }}
+ */
+function loadFixture(fixture) {
+	const addin = loadAddin(fixture.url ? { url: fixture.url } : {});
+	addin.host.append(fixture.document || []);
+	let data = fixture.documentData || '';
+	for (let i = 1; data.length; i++) {
+		const key = `${PREF_PREFIX}_${i}`;
+		addin.host.doc.customProperties.set(key, { doc: addin.host.doc, key, value: data.slice(0, PREF_LENGTH), type: 'String' });
+		data = data.slice(PREF_LENGTH);
+	}
+	const session = new addin.Zotero.Session({ completed: () => {} }, fixture.command);
+	return { addin, session };
+}
+
+/**
+ * Feeds the requests of a recorded transaction into session.callFunction() and collects
+ * what the add-in would have responded with.
+ *
+ * @param {Object} addin Result of loadAddin()
+ * @param {Zotero.Session} session
+ * @param {Object} fixture
+ * @returns {Promise<Object[]>} Exchanges with the request sent, the recorded (expected)
+ * 		and the actual response, both normalized
+ */
+async function replay({ host }, session, fixture) {
+	const idMap = new IdMap();
+	const results = [];
+	for (let exchange of fixture.exchanges) {
+		const request = idMap.rewrite(exchange.request);
+		if (!request.command.startsWith('Application.')) {
+			request.arguments = [DOC_ID].concat(request.arguments.slice(1));
+		}
+		const method = request.command.split('.')[1];
+		if (method === 'displayAlert') {
+			host.options.dialogResponse = () => exchange.response;
+		}
+		let response;
+		session.respond = async (result) => {
+			response = JSON.parse(result);
+		};
+		await session.callFunction(request);
+		if (method === 'complete') break;
+		idMap.learn(exchange.response, response);
+		results.push({
+			request,
+			expected: normalizeResponse(idMap.rewrite(exchange.response)),
+			actual: normalizeResponse(response)
+		});
+	}
+	return results;
+}
+
+module.exports = { IdMap, normalizeResponse, documentFromFields, loadFixture, replay };
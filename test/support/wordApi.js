@@ -0,0 +1,2273 @@
+/*
+	***** BEGIN LICENSE BLOCK *****
+
+	Copyright © 2023 Corporation for Digital Scholarship
+                     Vienna, Virginia, USA
+					http://zotero.org
+
+	This file is part of Zotero.
+
+	Zotero is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Affero General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Zotero is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Affero General Public License for more details.
+
+	You should have received a copy of the GNU Affero General Public License
+	along with Zotero.  If not, see <http://www.gnu.org/licenses/>.
+
+	***** END LICENSE BLOCK *****
+*/
+
+/**
+ * An in-memory stand-in for the parts of the Word JS and Office APIs used by Zotero.Session.
+ *
+ * The double keeps the proxy semantics of office-js that matter for the integration code:
+ * - Method calls and property writes are queued and only applied on context.sync()
+ * - Properties must be loaded and synced before they can be read
+ * - Ranges are live and move when text is inserted or removed before them
+ * - Navigation properties (field.result, note.body) return the same proxy on every access
+ *
+ * Documents are plain strings per story (main body, each footnote, each endnote), with
+ * fields, content controls, bookmarks, hyperlinks and styles stored as live ranges over that text. Paragraphs are
+ * separated by "\n" and note references are a single NOTE_REFERENCE character in the main story.
+ * Direct formatting set through OOXML is kept as the <w:pPr> XML of paragraphs and <w:rPr> XML of runs.
+ */
+
+const NOTE_REFERENCE = '\u0002';
+const BLOCK_TAGS = ['p', 'div', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const BUILT_IN_STYLES = ['Normal', 'Heading 1', 'Heading 2', 'Hyperlink', 'Footnote Text', 'Endnote Text', 'Bibliography'];
+const OOXML_PACKAGE_NAMESPACE = 'http://schemas.microsoft.com/office/2006/xmlPackage';
+// Package part of range OOXML holding the content that is not written as WordprocessingML
+const RANGE_PART_NAME = '/zotero/range.json';
+const WORDPROCESSINGML_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const BOOKMARK_NAME_REGEXP = /^[A-Za-z_]\w{0,39}$/;
+// Bookmark code properties written by host.append(), like the LibreOffice integration does
+const BOOKMARK_CODE_PREFIX = 'ZOTERO_';
+const PROPERTY_LENGTH = 255;
+
+class WordApiError extends Error {
+	constructor(code, message) {
+		super(message);
+		this.name = 'RichApi.Error';
+		this.code = code;
+		this.debugInfo = { code, message, errorLocation: '' };
+	}
+}
+
+function propertyNotLoaded(name) {
+	return new WordApiError('PropertyNotLoaded', `The property '${name}' is not available. Before reading the property's value, call the load method on the containing object and call "context.sync()" on the associated request context.`);
+}
+
+function htmlToText(html) {
+	let blockClose = new RegExp(`</(${BLOCK_TAGS.join('|')})>`, 'gi');
+	return html
+		.replace(/<br\s*\/?>/gi, '\n')
+		.replace(blockClose, '\n')
+		.replace(/<[^>]*>/g, '')
+		.replace(/\n+$/, '')
+		.replace(/&nbsp;/g, ' ')
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;/g, "'")
+		.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+		.replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+		.replace(/&amp;/g, '&');
+}
+
+function textToHtml(text) {
+	return text
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/\n/g, '<br>');
+}
+
+// ----------------------------------------------------------------------------
+// Document model
+// ----------------------------------------------------------------------------
+
+class RangeModel {
+	constructor(story, start, end) {
+		this.story = story;
+		this.start = start;
+		this.end = end;
+	}
+
+	get text() {
+		return this.story.text.substring(this.start, this.end);
+	}
+
+	get isEmpty() {
+		return this.start === this.end;
+	}
+
+	// The result range of a field goes with the field
+	get deleted() {
+		return !!(this.field && this.field.deleted);
+	}
+
+	clone(start=this.start, end=this.end) {
+		return this.story.createRange(start, end);
+	}
+
+	contains(other) {
+		return this.story === other.story && this.start <= other.start && other.end <= this.end;
+	}
+
+	overlaps(other) {
+		return this.story === other.story && this.start < other.end && other.start < this.end;
+	}
+}
+
+class Story {
+	constructor(doc, type, note=null) {
+		this.doc = doc;
+		this.type = type;
+		this.note = note;
+		this.text = '';
+		this.ranges = [];
+		this.fields = [];
+		this.hyperlinks = [];
+		this.styles = [];
+		this.paragraphFormats = [];
+		this.runFormats = [];
+		this.contentControls = [];
+		this.paragraphIds = [doc.newParagraphId()];
+	}
+
+	/**
+	 * @returns {Number} Index of the paragraph at a position
+	 */
+	paragraphIndex(pos) {
+		return this.text.substring(0, pos).split('\n').length - 1;
+	}
+
+	/**
+	 * @returns {ParagraphModel[]} Paragraphs overlapping a range of this story
+	 */
+	paragraphsIn(range) {
+		const first = this.paragraphIndex(range.start);
+		const last = this.paragraphIndex(Math.max(range.start, range.end - 1));
+		return this.paragraphIds.slice(first, last + 1).map(id => new ParagraphModel(this, id));
+	}
+
+	createRange(start, end=start) {
+		const range = new RangeModel(this, start, end);
+		this.ranges.push(range);
+		return range;
+	}
+
+	/**
+	 * Inserts text at a position, moving every live range that starts at or after it.
+	 * Ranges ending exactly at the position are not extended, and shape anchors stay with
+	 * the text before them.
+	 */
+	insert(pos, str) {
+		if (!str.length) return;
+		const idx = this.paragraphIndex(pos);
+		const added = str.split('\n').slice(1).map(() => this.doc.newParagraphId());
+		this.paragraphIds.splice(idx + 1, 0, ...added);
+		this.text = this.text.substring(0, pos) + str + this.text.substring(pos);
+		for (let range of this.ranges) {
+			if (range.start > pos || (range.start === pos && !range.shape)) range.start += str.length;
+			if (range.end > pos || range.end < range.start) range.end += str.length;
+		}
+		this.doc.emit('ParagraphChanged', [this.paragraphIds[idx]]);
+		this.doc.emit('ParagraphAdded', added);
+	}
+
+	/**
+	 * Removes text, collapsing live ranges inside the removed region and dropping fields,
+	 * content controls, bookmarks, hyperlinks and notes that were fully contained in it.
+	 */
+	remove(start, end, keep=null) {
+		if (start >= end) return;
+		const length = end - start;
+		const first = this.paragraphIndex(start);
+		const removedIds = this.paragraphIds.splice(first + 1, this.paragraphIndex(end) - first);
+		const contained = (range) => start <= range.start && range.end <= end
+			&& (range.start < range.end || (start < range.start && range.start < end));
+		for (let field of this.fields) {
+			if (field !== keep && contained(field.result)) {
+				field.deleted = true;
+			}
+		}
+		for (let control of this.contentControls) {
+			if (control !== keep && contained(control.range)) {
+				control.deleted = true;
+			}
+		}
+		for (let note of this.doc.notes) {
+			if (note.reference.story === this && contained(note.reference)) {
+				note.deleted = true;
+			}
+		}
+		for (let [name, range] of this.doc.bookmarks) {
+			if (range.story === this && contained(range)) {
+				this.doc.bookmarks.delete(name);
+			}
+		}
+		this.text = this.text.substring(0, start) + this.text.substring(end);
+		const adjust = pos => pos >= end ? pos - length : (pos > start ? start : pos);
+		for (let range of this.ranges) {
+			range.start = adjust(range.start);
+			range.end = adjust(range.end);
+		}
+		this.fields = this.fields.filter(field => !field.deleted);
+		this.contentControls = this.contentControls.filter(control => !control.deleted);
+		this.hyperlinks = this.hyperlinks.filter(link => !link.range.isEmpty);
+		this.styles = this.styles.filter(style => !style.range.isEmpty);
+		this.paragraphFormats = this.paragraphFormats.filter(format => !format.range.isEmpty);
+		this.runFormats = this.runFormats.filter(format => !format.range.isEmpty);
+		const deletedNotes = this.doc.notes.filter(note => note.deleted);
+		this.doc.notes = this.doc.notes.filter(note => !note.deleted);
+		this.doc.emit('ParagraphChanged', [this.paragraphIds[first]]);
+		this.doc.emit('ParagraphDeleted', removedIds.concat(...deletedNotes.map(note => note.story.paragraphIds)));
+	}
+
+	sortedFields() {
+		return this.fields.slice().sort((a, b) => a.result.start - b.result.start);
+	}
+
+	sortedContentControls() {
+		return this.contentControls.slice().sort((a, b) => a.range.start - b.range.start);
+	}
+
+	/**
+	 * @returns {Array} [name, range] of the bookmarks in this story
+	 */
+	bookmarks() {
+		return Array.from(this.doc.bookmarks).filter(([_, range]) => range.story === this);
+	}
+
+	get body() {
+		return this;
+	}
+}
+
+let paragraphCount = 0;
+
+/**
+ * A paragraph of a story, identified by an ID that stays the same while the paragraph exists
+ */
+class ParagraphModel {
+	constructor(story, id) {
+		this.story = story;
+		this.id = id;
+	}
+
+	get deleted() {
+		return !this.story.paragraphIds.includes(this.id);
+	}
+
+	range() {
+		const idx = this.story.paragraphIds.indexOf(this.id);
+		const paragraphs = this.story.text.split('\n');
+		const start = paragraphs.slice(0, idx).reduce((pos, text) => pos + text.length + 1, 0);
+		return this.story.createRange(start, start + paragraphs[idx].length);
+	}
+}
+
+class FieldModel {
+	constructor(story, pos, code='', type='Addin') {
+		this.story = story;
+		this.code = code;
+		this.type = type;
+		this.result = story.createRange(pos);
+		this.result.field = this;
+		this.deleted = false;
+		story.fields.push(this);
+	}
+
+	delete() {
+		this.story.remove(this.result.start, this.result.end);
+		this.deleted = true;
+		this.story.fields = this.story.fields.filter(field => field !== this);
+	}
+}
+
+let contentControlCount = 0;
+
+class ContentControlModel {
+	constructor(story, start, end, tag='', title='') {
+		this.story = story;
+		this.id = ++contentControlCount;
+		this.tag = tag;
+		this.title = title;
+		this.range = story.createRange(start, end);
+		this.range.contentControl = this;
+		this.deleted = false;
+		story.contentControls.push(this);
+	}
+
+	delete(keepContent) {
+		if (!keepContent) {
+			this.story.remove(this.range.start, this.range.end);
+		}
+		this.deleted = true;
+		this.story.contentControls = this.story.contentControls.filter(control => control !== this);
+	}
+}
+
+class NoteModel {
+	constructor(doc, type, reference) {
+		this.doc = doc;
+		this.type = type;
+		this.reference = reference;
+		this.story = new Story(doc, type, this);
+		this.deleted = false;
+	}
+
+	get body() {
+		return this.story;
+	}
+
+	delete() {
+		const { story, start, end } = this.reference;
+		this.deleted = true;
+		story.remove(start, end);
+	}
+}
+
+/**
+ * A virtual body spanning all footnotes or all endnotes, as returned by
+ * document.getFootnoteBody() and document.getEndnoteBody()
+ */
+class AggregateStory {
+	constructor(doc, type) {
+		this.doc = doc;
+		this.type = type;
+		this.aggregate = true;
+	}
+
+	get stories() {
+		return this.doc.notesOfType(this.type).map(note => note.story);
+	}
+
+	get text() {
+		return this.stories.map(story => story.text).join('\n');
+	}
+}
+
+let shapeCount = 0;
+
+/**
+ * A text box anchored at a position in the main body
+ */
+class ShapeModel {
+	constructor(doc, anchor) {
+		this.doc = doc;
+		this.id = ++shapeCount;
+		this.type = 'TextBox';
+		this.anchor = anchor;
+		this.anchor.shape = this;
+		this.story = new Story(doc, 'Shape');
+	}
+}
+
+/**
+ * A section with headers and footers, created when first requested. The headers and footers
+ * of a section linked to the previous one are those of the previous section.
+ */
+class SectionModel {
+	constructor(doc, previous=null) {
+		this.doc = doc;
+		this.previous = previous;
+		this.stories = new Map();
+	}
+
+	story(kind, type) {
+		if (this.previous) return this.previous.story(kind, type);
+		const key = `${kind}:${type}`;
+		if (!this.stories.has(key)) {
+			this.stories.set(key, new Story(this.doc, kind));
+		}
+		return this.stories.get(key);
+	}
+}
+
+class DocumentModel {
+	constructor(options) {
+		this.url = options.url;
+		// Paragraph event handlers by event type
+		this.listeners = { ParagraphAdded: [], ParagraphChanged: [], ParagraphDeleted: [] };
+		this.main = new Story(this, 'MainDoc');
+		this.notes = [];
+		this.sections = [new SectionModel(this)];
+		this.shapes = [];
+		this.selection = this.main.createRange(0);
+		this.customProperties = new Map();
+		this.customXmlParts = new Map();
+		this.bookmarks = new Map();
+		this.styles = new Map();
+		for (let name of options.builtInStyles) {
+			this.styles.set(name, { doc: this, name, builtIn: true, type: 'Paragraph', paragraphFormat: {}, font: {} });
+		}
+	}
+
+	newParagraphId() {
+		return `{${String(++paragraphCount).padStart(8, '0')}-0000-0000-0000-000000000000}`;
+	}
+
+	emit(type, uniqueLocalIds) {
+		if (!uniqueLocalIds.length) return;
+		for (let handler of this.listeners[type]) {
+			handler({ type, uniqueLocalIds: uniqueLocalIds.slice(), source: 'Local' });
+		}
+	}
+
+	/**
+	 * @returns {Story[]} Every story of the document that has paragraphs
+	 */
+	stories() {
+		const sections = [].concat(...this.sections.map(section => Array.from(section.stories.values())));
+		return [this.main].concat(this.notes.map(note => note.story), this.shapes.map(shape => shape.story), sections);
+	}
+
+	findParagraph(id) {
+		const story = this.stories().find(story => story.paragraphIds.includes(id));
+		return story ? new ParagraphModel(story, id) : null;
+	}
+
+	shapesIn(range) {
+		return this.shapes
+			.filter(shape => shape.anchor.story === range.story && range.start <= shape.anchor.start && shape.anchor.start < range.end)
+			.sort((a, b) => a.anchor.start - b.anchor.start);
+	}
+
+	notesOfType(type) {
+		return this.notes
+			.filter(note => note.type === type)
+			.sort((a, b) => a.reference.start - b.reference.start);
+	}
+
+	insertNote(type, range, text='') {
+		if (range.story !== this.main) {
+			throw new WordApiError('InvalidArgument', `Cannot insert a ${type.toLowerCase()} into a ${range.story.type}`);
+		}
+		const pos = range.end;
+		this.main.insert(pos, NOTE_REFERENCE);
+		const note = new NoteModel(this, type, this.main.createRange(pos, pos + 1));
+		note.story.insert(0, text);
+		this.notes.push(note);
+		this.emit('ParagraphAdded', note.story.paragraphIds);
+		return note;
+	}
+}
+
+// ----------------------------------------------------------------------------
+// Range operations shared by the proxies
+// ----------------------------------------------------------------------------
+
+function requireStory(range) {
+	if (range.story.aggregate) {
+		throw new WordApiError('NotImplemented', 'Operation is not supported on a combined note body range');
+	}
+	return range.story;
+}
+
+/**
+ * Inserts text relative to a range and returns the range of the inserted text.
+ * Replace/Start/End extend the target range to cover the insertion, Before/After leave it alone.
+ */
+function insertTextAt(range, text, location='Replace') {
+	const story = requireStory(range);
+	const { start, end } = range;
+	let pos;
+	let enclosing = [];
+	switch (location) {
+	case 'Replace':
+		// Like in Word, ranges around the replaced text keep the text that replaces it
+		if (start < end) {
+			enclosing = story.ranges.filter(other => other !== range && other.start <= start && end <= other.end)
+				.map(other => ({ other, start: other.start, after: other.end - end }));
+		}
+		story.remove(start, end, range.field || range.contentControl);
+		pos = start;
+		break;
+	case 'Start':
+	case 'Before':
+		pos = start;
+		break;
+	case 'End':
+	case 'After':
+		pos = end;
+		break;
+	default:
+		throw new WordApiError('InvalidArgument', `Invalid insert location ${location}`);
+	}
+	story.insert(pos, text);
+	enclosing.forEach(({ other, start, after }) => {
+		other.start = start;
+		other.end = pos + text.length + after;
+	});
+	if (location === 'Replace') {
+		range.start = pos;
+		range.end = pos + text.length;
+		// Emptying a field result removes the field, like deleting a selected field in Word does
+		if (range.field && !text.length) {
+			range.field.delete();
+		}
+	}
+	else if (location === 'Start') {
+		range.start = pos;
+	}
+	else if (location === 'End' || location === 'After') {
+		range.start = start;
+		range.end = location === 'End' ? pos + text.length : end;
+	}
+	return story.createRange(pos, pos + text.length);
+}
+
+/**
+ * OOXML of a story. Instead of WordprocessingML the package holds the story model as JSON,
+ * which is enough to restore the story with insertOoxml()
+ */
+function storyToOoxml(story) {
+	const json = JSON.stringify(serializeStory(requireStory({ story })))
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+	return `<pkg:package xmlns:pkg="${OOXML_PACKAGE_NAMESPACE}"><pkg:part pkg:name="/word/document.xml">${json}</pkg:part></pkg:package>`;
+}
+
+/**
+ * WordprocessingML of part of a story: one <w:p> per paragraph with its direct formatting and runs
+ * split where run formatting and hyperlinks start and end. Fields, content controls, bookmarks and
+ * notes are not written as WordprocessingML, but kept as JSON in a part of their own, which
+ * insertOoxmlParagraphs() restores them from.
+ */
+function rangeToOoxml(range) {
+	const story = requireStory(range);
+	const links = [];
+	const containing = (items, start, end) => items.slice().reverse()
+		.find(item => item.range.start <= start && end <= item.range.end);
+	let pos = range.start;
+	const paragraphs = range.text.split('\n').map((text) => {
+		const paragraph = story.createRange(pos, pos + text.length);
+		pos += text.length + 1;
+		const format = containing(story.paragraphFormats, paragraph.start, paragraph.end);
+		const style = containing(story.styles.filter(style => story.doc.styles.get(style.name).type !== 'Character'),
+			paragraph.start, paragraph.end);
+		let pPr = format ? format.pPr : '';
+		if (style) {
+			pPr = `<w:pPr><w:pStyle w:val="${escapeXml(style.name)}"/>${pPr.replace(/^<w:pPr>|<\/w:pPr>$/g, '')}</w:pPr>`;
+		}
+		const bounds = new Set([paragraph.start, paragraph.end]);
+		for (let item of story.runFormats.concat(story.hyperlinks)) {
+			for (let bound of [item.range.start, item.range.end]) {
+				if (paragraph.start < bound && bound < paragraph.end) bounds.add(bound);
+			}
+		}
+		const sorted = Array.from(bounds).sort((a, b) => a - b);
+		let xml = '';
+		for (let i = 0; i < sorted.length - 1; i++) {
+			const [start, end] = [sorted[i], sorted[i + 1]];
+			const runFormat = containing(story.runFormats, start, end);
+			const link = story.hyperlinks.find(link => link.range.start <= start && end <= link.range.end);
+			const content = story.text.substring(start, end).split('\t')
+				.map(text => `<w:t xml:space="preserve">${escapeXml(text)}</w:t>`)
+				.join('<w:tab/>');
+			const run = `<w:r>${runFormat ? runFormat.rPr : ''}${content}</w:r>`;
+			if (link) {
+				links.push(link.url);
+				xml += `<w:hyperlink r:id="rId${links.length}">${run}</w:hyperlink>`;
+			}
+			else {
+				xml += run;
+			}
+		}
+		return `<w:p>${pPr}${xml}</w:p>`;
+	});
+	const relationships = links.map((url, idx) => `<Relationship Id="rId${idx + 1}" Target="${escapeXml(url)}" TargetMode="External"/>`);
+	return `<pkg:package xmlns:pkg="${OOXML_PACKAGE_NAMESPACE}">`
+		+ `<pkg:part pkg:name="/word/_rels/document.xml.rels"><pkg:xmlData><Relationships>${relationships.join('')}</Relationships></pkg:xmlData></pkg:part>`
+		+ `<pkg:part pkg:name="/word/document.xml"><pkg:xmlData>`
+		+ `<w:document xmlns:w="${WORDPROCESSINGML_NAMESPACE}"><w:body>${paragraphs.join('')}</w:body></w:document>`
+		+ `</pkg:xmlData></pkg:part>`
+		+ `<pkg:part pkg:name="${RANGE_PART_NAME}">${escapeXml(JSON.stringify(serializeRange(range)))}</pkg:part>`
+		+ `</pkg:package>`;
+}
+
+/**
+ * Inserts the paragraphs of WordprocessingML produced by rangeToOoxml() or the add-in, keeping their
+ * <w:pPr>, paragraph style, <w:rPr> and external hyperlinks. Line breaks become paragraph breaks.
+ * Fields, content controls, bookmarks and notes of a range package are restored if its text was not changed.
+ * @returns {RangeModel} The inserted range
+ */
+function insertOoxmlParagraphs(range, ooxml, location) {
+	const relationships = new Map();
+	const relationshipRegexp = /<Relationship\b[^>]*\bId="([^"]*)"[^>]*\bTarget="([^"]*)"/g;
+	let match;
+	while ((match = relationshipRegexp.exec(ooxml))) {
+		relationships.set(match[1], unescapeXml(match[2]));
+	}
+	let text = '';
+	const paragraphs = [];
+	const runFormats = [];
+	const links = [];
+	const paragraphRegexp = /<w:p(?:\s[^>]*)?>([\s\S]*?)<\/w:p>/g;
+	while ((match = paragraphRegexp.exec(ooxml))) {
+		let pPr = /^<w:pPr>[\s\S]*?<\/w:pPr>/.exec(match[1]);
+		pPr = pPr ? pPr[0] : '';
+		const style = /<w:pStyle w:val="([^"]*)"\/>/.exec(pPr);
+		pPr = pPr.replace(/<w:pStyle [^>]*\/>/, '');
+		if (paragraphs.length) text += '\n';
+		const start = text.length;
+		const tokenRegexp = /<w:hyperlink\b[^>]*\br:id="([^"]*)"[^>]*>|<\/w:hyperlink>|<w:r>([\s\S]*?)<\/w:r>/g;
+		let token;
+		let link = null;
+		while ((token = tokenRegexp.exec(match[1]))) {
+			if (token[1] !== undefined) {
+				link = { url: relationships.get(token[1]) || '', start: text.length };
+			}
+			else if (token[2] === undefined) {
+				link.end = text.length;
+				links.push(link);
+				link = null;
+			}
+			else {
+				const rPr = /^<w:rPr>[\s\S]*?<\/w:rPr>/.exec(token[2]);
+				const runStart = text.length;
+				text += token[2].replace(/^<w:rPr>[\s\S]*?<\/w:rPr>/, '')
+					.replace(/<w:tab\/>/g, '\t')
+					.replace(/<w:br\/>/g, '\n')
+					.replace(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g, (_, text) => unescapeXml(text))
+					.replace(/<[^>]*>/g, '');
+				if (rPr) runFormats.push({ rPr: rPr[0], start: runStart, end: text.length });
+			}
+		}
+		paragraphs.push({ pPr: pPr === '<w:pPr></w:pPr>' ? '' : pPr, style: style && unescapeXml(style[1]), start, end: text.length });
+	}
+	if (!paragraphs.length) {
+		throw new WordApiError('InvalidArgument', 'Unsupported OOXML package');
+	}
+	const story = range.story;
+	const inserted = insertTextAt(range, text, location);
+	const at = item => story.createRange(inserted.start + item.start, inserted.start + item.end);
+	for (let paragraph of paragraphs) {
+		if (paragraph.pPr) {
+			story.paragraphFormats.push({ pPr: paragraph.pPr, range: at(paragraph) });
+		}
+		if (paragraph.style) {
+			story.styles.push({ name: paragraph.style, range: at(paragraph) });
+		}
+	}
+	for (let format of runFormats) {
+		story.runFormats.push({ rPr: format.rPr, range: at(format) });
+	}
+	for (let link of links) {
+		story.hyperlinks.push({ url: link.url, range: at(link) });
+	}
+	const content = rangeFromOoxml(ooxml);
+	if (content && content.text === text) {
+		restoreContent(story, inserted.start, content, true);
+	}
+	return inserted;
+}
+
+/**
+ * @returns {Object|null} The serialized range of a package produced by rangeToOoxml()
+ */
+function rangeFromOoxml(ooxml) {
+	const match = new RegExp(`<pkg:part pkg:name="${RANGE_PART_NAME}">([^<]*)</pkg:part>`).exec(ooxml);
+	return match && JSON.parse(unescapeXml(match[1]));
+}
+
+function escapeXml(text) {
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(text) {
+	return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+function ooxmlToStory(ooxml) {
+	const match = /<pkg:part pkg:name="\/word\/document.xml">([^<]*)<\/pkg:part>/.exec(ooxml);
+	if (!match) {
+		throw new WordApiError('InvalidArgument', 'Unsupported OOXML package');
+	}
+	return JSON.parse(match[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+}
+
+function serializeStory(story) {
+	return serializeRange(story.createRange(0, story.text.length));
+}
+
+/**
+ * Serializes the text of a range with the fields, content controls, bookmarks, notes and formatting
+ * inside it, at offsets from the start of the range. The field or content control a range belongs
+ * to is not part of its content.
+ */
+function serializeRange(range) {
+	const story = requireStory(range);
+	const inside = other => range.start <= other.start && other.end <= range.end;
+	const offsets = other => [other.start - range.start, other.end - range.start];
+	const within = (items, getRange) => items.filter(item => inside(getRange(item)));
+	return {
+		text: range.text,
+		fields: within(story.fields, field => field.result).filter(field => field !== range.field)
+			.map(field => ({ code: field.code, type: field.type, range: offsets(field.result) })),
+		hyperlinks: within(story.hyperlinks, link => link.range).map(link => ({ url: link.url, range: offsets(link.range) })),
+		styles: within(story.styles, style => style.range).map(style => ({ name: style.name, range: offsets(style.range) })),
+		paragraphFormats: within(story.paragraphFormats, format => format.range)
+			.map(format => ({ pPr: format.pPr, range: offsets(format.range) })),
+		runFormats: within(story.runFormats, format => format.range).map(format => ({ rPr: format.rPr, range: offsets(format.range) })),
+		contentControls: within(story.contentControls, control => control.range).filter(control => control !== range.contentControl)
+			.map(control => ({ tag: control.tag, title: control.title, range: offsets(control.range) })),
+		bookmarks: story.bookmarks().filter(([_, bookmark]) => inside(bookmark))
+			.map(([name, bookmark]) => ({ name, range: offsets(bookmark) })),
+		notes: story.doc.notes.filter(note => note.reference.story === story && inside(note.reference))
+			.map(note => ({ type: note.type, range: offsets(note.reference), story: serializeStory(note.story) }))
+	};
+}
+
+/**
+ * Replaces the content of a story with serialized content. Fields and notes of the
+ * replaced content are deleted, like they are when Word replaces a body.
+ */
+function restoreStory(story, data) {
+	story.remove(0, story.text.length);
+	for (let field of story.fields) field.deleted = true;
+	for (let control of story.contentControls) control.deleted = true;
+	for (let note of story.doc.notes) {
+		if (note.reference.story === story) note.deleted = true;
+	}
+	story.doc.notes = story.doc.notes.filter(note => !note.deleted);
+	for (let [name] of story.bookmarks()) story.doc.bookmarks.delete(name);
+	story.fields = [];
+	story.contentControls = [];
+	story.hyperlinks = [];
+	story.styles = [];
+	story.paragraphFormats = [];
+	story.runFormats = [];
+	story.insert(0, data.text);
+	restoreContent(story, 0, data);
+	return story.createRange(0, story.text.length);
+}
+
+/**
+ * Adds serialized fields, content controls, bookmarks, notes and, unless only the structure
+ * is restored, formatting to text of a story that starts at an offset
+ */
+function restoreContent(story, offset, data, structureOnly=false) {
+	const range = ([start, end]) => story.createRange(offset + start, offset + end);
+	for (let field of data.fields) {
+		const model = new FieldModel(story, offset + field.range[0], field.code, field.type);
+		model.result.end = offset + field.range[1];
+	}
+	for (let control of data.contentControls) {
+		new ContentControlModel(story, offset + control.range[0], offset + control.range[1], control.tag, control.title);
+	}
+	for (let bookmark of data.bookmarks) {
+		story.doc.bookmarks.set(bookmark.name, range(bookmark.range));
+	}
+	if (!structureOnly) {
+		story.hyperlinks.push(...data.hyperlinks.map(link => ({ url: link.url, range: range(link.range) })));
+		story.styles.push(...data.styles.map(style => ({ name: style.name, range: range(style.range) })));
+		story.paragraphFormats.push(...data.paragraphFormats.map(format => ({ pPr: format.pPr, range: range(format.range) })));
+		story.runFormats.push(...data.runFormats.map(format => ({ rPr: format.rPr, range: range(format.range) })));
+	}
+	for (let note of data.notes) {
+		const model = new NoteModel(story.doc, note.type, range(note.range));
+		restoreStory(model.story, note.story);
+		story.doc.notes.push(model);
+	}
+}
+
+function compareLocations(a, b) {
+	if (a.story !== b.story) return 'Unrelated';
+	if (a.start === b.start && a.end === b.end) return 'Equal';
+	if (a.start <= b.start && b.end <= a.end) {
+		if (a.start === b.start) return 'ContainsStart';
+		if (a.end === b.end) return 'ContainsEnd';
+		return 'Contains';
+	}
+	if (b.start <= a.start && a.end <= b.end) {
+		if (a.start === b.start) return 'InsideStart';
+		if (a.end === b.end) return 'InsideEnd';
+		return 'Inside';
+	}
+	if (a.end === b.start) return 'AdjacentBefore';
+	if (a.start === b.end) return 'AdjacentAfter';
+	if (a.end < b.start) return 'Before';
+	if (a.start > b.end) return 'After';
+	return a.start < b.start ? 'OverlapsBefore' : 'OverlapsAfter';
+}
+
+function hyperlinkRanges(range) {
+	const stories = range.story.aggregate ? range.story.stories : [range.story];
+	const ranges = [];
+	for (let story of stories) {
+		const within = range.story.aggregate ? story.createRange(0, story.text.length) : range;
+		story.hyperlinks
+			.filter(link => within.contains(link.range) && !link.range.isEmpty)
+			.sort((a, b) => a.range.start - b.range.start)
+			.forEach(link => ranges.push(link.range.clone()));
+	}
+	return ranges;
+}
+
+function textRanges(range, marks, trimSpacing) {
+	const story = requireStory(range);
+	const text = range.text;
+	const ranges = [];
+	let start = 0;
+	for (let i = 0; i <= text.length; i++) {
+		if (i < text.length && !marks.includes(text[i])) continue;
+		let end = Math.min(i + 1, text.length);
+		let pieceStart = start;
+		let pieceEnd = end;
+		start = end;
+		if (trimSpacing) {
+			while (pieceStart < pieceEnd && /\s/.test(text[pieceStart])) pieceStart++;
+			while (pieceEnd > pieceStart && /\s/.test(text[pieceEnd - 1])) pieceEnd--;
+		}
+		if (pieceStart === pieceEnd) continue;
+		ranges.push(story.createRange(range.start + pieceStart, range.start + pieceEnd));
+	}
+	return ranges;
+}
+
+function searchRange(range, text, options) {
+	if (text.length > 255) {
+		throw new WordApiError('InvalidArgument', 'Search text is too long');
+	}
+	const story = requireStory(range);
+	const haystack = options.matchCase ? range.text : range.text.toLowerCase();
+	const needle = options.matchCase ? text : text.toLowerCase();
+	const ranges = [];
+	for (let pos = haystack.indexOf(needle); needle && pos !== -1; pos = haystack.indexOf(needle, pos + needle.length)) {
+		ranges.push(story.createRange(range.start + pos, range.start + pos + needle.length));
+	}
+	return ranges;
+}
+
+/**
+ * Bookmarks overlapping a range, or containing it if it is collapsed. Like Word's Bookmarks
+ * collection, names are sorted alphabetically rather than by position.
+ */
+function bookmarksInRange(range, includeHidden, includeAdjacent) {
+	if (range.story.aggregate) return [];
+	return range.story.bookmarks()
+		.filter(([name, bookmark]) => {
+			if (!includeHidden && name.startsWith('_')) return false;
+			if (includeAdjacent && (bookmark.end === range.start || bookmark.start === range.end)) return true;
+			if (range.isEmpty) return bookmark.start < range.start && range.start < bookmark.end;
+			return bookmark.overlaps(range);
+		})
+		.map(([name]) => name)
+		.sort();
+}
+
+function insertBookmark(range, name) {
+	if (!BOOKMARK_NAME_REGEXP.test(name)) {
+		throw new WordApiError('InvalidArgument', `Invalid bookmark name ${name}`);
+	}
+	// A bookmark with the same name is moved
+	range.story.doc.bookmarks.set(name, range.clone());
+}
+
+function fieldsInRange(range) {
+	if (range.story.aggregate) return [];
+	const story = range.story;
+	if (range.isEmpty) return [];
+	return story.sortedFields().filter(field => field.result.overlaps(range)
+		|| (field.result.isEmpty && range.start <= field.result.start && field.result.start < range.end));
+}
+
+// ----------------------------------------------------------------------------
+// Proxy objects
+// ----------------------------------------------------------------------------
+
+function parseLoadOptions(options) {
+	let paths = [];
+	let top;
+	const add = (str) => {
+		for (let path of str.split(',')) {
+			path = path.trim();
+			if (path) paths.push(path.split('/'));
+		}
+	};
+	const walk = (obj, prefix) => {
+		for (let key in obj) {
+			if (obj[key] === true) paths.push(prefix.concat(key));
+			else if (obj[key] && typeof obj[key] === 'object') walk(obj[key], prefix.concat(key));
+		}
+	};
+	if (!options) {}
+	else if (typeof options === 'string') add(options);
+	else if (Array.isArray(options)) options.forEach(add);
+	else if ('select' in options || 'top' in options || 'expand' in options || '$all' in options) {
+		if (options.select) add(options.select);
+		if (options.expand) add(options.expand);
+		top = options.top;
+	}
+	else walk(options, []);
+	return { paths, top };
+}
+
+class ClientResult {
+	constructor() {
+		this.value = undefined;
+	}
+}
+
+class ClientObject {
+	constructor(context, resolver) {
+		this.context = context;
+		this._resolver = resolver;
+		this._resolved = false;
+		this._model = undefined;
+		this._values = {};
+		this._nav = {};
+		if (resolver) {
+			context._enqueue(() => this._resolve());
+		}
+	}
+
+	get isNullObject() {
+		if (!('isNullObject' in this._values)) throw propertyNotLoaded('isNullObject');
+		return this._values.isNullObject;
+	}
+
+	_resolve() {
+		if (!this._resolved) {
+			this._model = this._resolver();
+			this._resolved = true;
+			this._values.isNullObject = !this._model;
+		}
+		return this._model;
+	}
+
+	_setModel(model) {
+		this._model = model;
+		this._resolved = true;
+		this._values.isNullObject = !model;
+		return this;
+	}
+
+	_m() {
+		const model = this._resolve();
+		if (!model) {
+			throw new WordApiError('ItemNotFound', `The requested ${this.constructor.name} does not exist`);
+		}
+		if (model.deleted) {
+			throw new WordApiError('InvalidObjectPath', `The ${this.constructor.name} has been deleted`);
+		}
+		return model;
+	}
+
+	_get(name) {
+		if (!(name in this._values)) throw propertyNotLoaded(name);
+		return this._values[name];
+	}
+
+	_set(name, value) {
+		this._values[name] = value;
+		this.context._enqueue(() => this._write(name, value, this._m()));
+	}
+
+	_write(name) {
+		throw new WordApiError('InvalidArgument', `Property ${name} is read-only`);
+	}
+
+	_navigate(name, Type, resolver) {
+		if (!this._nav[name]) {
+			this._nav[name] = new Type(this.context, () => resolver(this._m()));
+		}
+		return this._nav[name];
+	}
+
+	_derive(Type, resolver) {
+		return new Type(this.context, () => resolver(this._m()));
+	}
+
+	_enqueue(fn) {
+		this.context._enqueue(() => fn(this._m()));
+	}
+
+	_snapshot(paths, all=!paths.length) {
+		const model = this._resolve();
+		if (!model) return;
+		// Throws for deleted objects
+		this._m();
+		const scalars = this.constructor.scalars || [];
+		const navigations = {};
+		for (let path of paths) {
+			if (path.length === 1 && scalars.includes(path[0])) {
+				this._values[path[0]] = this._read(path[0], model);
+			}
+			else if (path.length === 1 && path[0] === '$all') {
+				all = true;
+			}
+			else {
+				(navigations[path[0]] = navigations[path[0]] || []).push(path.slice(1));
+			}
+		}
+		if (all) {
+			for (let name of scalars) {
+				this._values[name] = this._read(name, model);
+			}
+		}
+		for (let name in navigations) {
+			const nav = this[name];
+			if (!(nav instanceof ClientObject)) {
+				throw new WordApiError('InvalidArgument', `Cannot load ${name} on ${this.constructor.name}`);
+			}
+			nav._snapshot(navigations[name].filter(path => path.length));
+		}
+	}
+
+	load(options) {
+		const { paths, top } = parseLoadOptions(options);
+		this.context._enqueue(() => this._snapshot(paths, undefined, top));
+		return this;
+	}
+
+	track() {
+		this.context.trackedObjects.add(this);
+		return this;
+	}
+
+	untrack() {
+		this.context.trackedObjects.remove(this);
+		return this;
+	}
+
+	toJSON() {
+		const json = {};
+		for (let name in this._values) {
+			if (name !== 'isNullObject') json[name] = this._values[name];
+		}
+		for (let name in this._nav) {
+			const value = this._nav[name].toJSON();
+			if (value && Object.keys(value).length) json[name] = value;
+		}
+		return json;
+	}
+}
+
+class ClientCollection extends ClientObject {
+	constructor(context, resolver) {
+		super(context, resolver);
+		this._items = null;
+		this._proxies = new Map();
+	}
+
+	get items() {
+		if (!this._items) throw propertyNotLoaded('items');
+		return this._items;
+	}
+
+	_item(model) {
+		if (!this._proxies.has(model)) {
+			this._proxies.set(model, new this.constructor.itemType(this.context, null)._setModel(model));
+		}
+		return this._proxies.get(model);
+	}
+
+	_snapshot(paths, _all, top) {
+		let models = this._list(this._m());
+		if (typeof top === 'number') models = models.slice(0, top);
+		const all = !paths.length || paths.some(path => path.length === 1 && path[0] === 'items');
+		const itemPaths = paths
+			.map(path => path[0] === 'items' ? path.slice(1) : path)
+			.filter(path => path.length);
+		this._items = models.map((model) => {
+			const item = this._item(model);
+			item._snapshot(itemPaths, all);
+			return item;
+		});
+	}
+
+	toJSON() {
+		return this._items ? { items: this._items.map(item => item.toJSON()) } : {};
+	}
+}
+
+function defineScalars(Type, names, writable=[]) {
+	Type.scalars = (Type.scalars || []).concat(names);
+	for (let name of names) {
+		const descriptor = { get() { return this._get(name) }, configurable: true };
+		if (writable.includes(name)) {
+			descriptor.set = function (value) { this._set(name, value) };
+		}
+		Object.defineProperty(Type.prototype, name, descriptor);
+	}
+}
+
+class Range extends ClientObject {
+	_read(name, range) {
+		switch (name) {
+		case 'text': return range.text;
+		case 'isEmpty': return range.isEmpty;
+		case 'hyperlink': {
+			const link = range.story.hyperlinks && range.story.hyperlinks.find(link => link.range.contains(range) && !range.isEmpty);
+			return link ? link.url : '';
+		}
+		case 'style':
+		case 'styleBuiltIn': {
+			const style = range.story.styles && range.story.styles.slice().reverse().find(style => style.range.contains(range));
+			return style ? style.name : 'Normal';
+		}
+		}
+	}
+
+	_write(name, value, range) {
+		const story = requireStory(range);
+		switch (name) {
+		case 'hyperlink':
+			story.hyperlinks = story.hyperlinks.filter(link => !link.range.overlaps(range));
+			if (value) story.hyperlinks.push({ range: range.clone(), url: value });
+			break;
+		case 'style':
+		case 'styleBuiltIn':
+			if (!story.doc.styles.has(value)) {
+				throw new WordApiError('ItemNotFound', `Style ${value} does not exist`);
+			}
+			story.styles.push({ range: range.clone(), name: value });
+			break;
+		default:
+			super._write(name);
+		}
+	}
+
+	get parentBody() {
+		return this._navigate('parentBody', Body, range => range.story);
+	}
+
+	get fields() {
+		return this._navigate('fields', FieldCollection, range => () => fieldsInRange(range));
+	}
+
+	get footnotes() {
+		return this._navigate('footnotes', NoteItemCollection, range => () => range.story.doc.notesOfType('Footnote').filter(note => range.contains(note.reference)));
+	}
+
+	get endnotes() {
+		return this._navigate('endnotes', NoteItemCollection, range => () => range.story.doc.notesOfType('Endnote').filter(note => range.contains(note.reference)));
+	}
+
+	get shapes() {
+		return this._navigate('shapes', ShapeCollection, range => () => range.story.doc.shapesIn(range));
+	}
+
+	get paragraphs() {
+		return this._navigate('paragraphs', ParagraphCollection, range => () => requireStory(range).paragraphsIn(range));
+	}
+
+	getRange(location='Whole') {
+		return this._derive(Range, (range) => {
+			switch (location) {
+			case 'Start':
+			case 'Before':
+				return range.clone(range.start, range.start);
+			case 'End':
+			case 'After':
+				return range.clone(range.end, range.end);
+			case 'Whole':
+			case 'Content':
+				return range.clone();
+			default:
+				throw new WordApiError('InvalidArgument', `Invalid range location ${location}`);
+			}
+		});
+	}
+
+	expandTo(other) {
+		return this._derive(Range, (range) => {
+			const otherRange = other._m();
+			if (otherRange.story !== range.story) {
+				throw new WordApiError('InvalidArgument', 'Cannot expand a range into a different story');
+			}
+			return range.clone(Math.min(range.start, otherRange.start), Math.max(range.end, otherRange.end));
+		});
+	}
+
+	compareLocationWith(other) {
+		const result = new ClientResult();
+		this.context.host.comparisonCount++;
+		this._enqueue((range) => {
+			result.value = compareLocations(range, other._m());
+		});
+		return result;
+	}
+
+	/**
+	 * HTML document of the range text, with a paragraph per line like Word's.
+	 * Formatting other than paragraphs is not modelled.
+	 */
+	getHtml() {
+		const result = new ClientResult();
+		this._enqueue((range) => {
+			const paragraphs = range.text.split('\n').map(line => `<p class=MsoNormal><span lang=EN-US>${textToHtml(line)}</span></p>`);
+			result.value = `<html><head><style><!-- p.MsoNormal {margin:0cm;} --></style></head>`
+				+ `<body lang=EN-US><div class=WordSection1>${paragraphs.join('')}</div></body></html>`;
+		});
+		return result;
+	}
+
+	/**
+	 * OOXML of a range. A range covering a whole story returns the story package of
+	 * Body.getOoxml(), other ranges their paragraphs.
+	 */
+	getOoxml() {
+		const result = new ClientResult();
+		this._enqueue((range) => {
+			const whole = range.start === 0 && range.end === requireStory(range).text.length;
+			result.value = whole ? storyToOoxml(range.story) : rangeToOoxml(range);
+			this.context.host.ooxmlLength += result.value.length;
+		});
+		return result;
+	}
+
+	/**
+	 * Inserts paragraphs, or replaces the range with a story package of getOoxml()
+	 */
+	insertOoxml(ooxml, location='Replace') {
+		return this._derive(Range, (range) => {
+			if (/<w:p[\s>]/.test(ooxml) || location !== 'Replace') {
+				return insertOoxmlParagraphs(range, ooxml, location);
+			}
+			const content = ooxmlToStory(ooxml);
+			const inserted = insertTextAt(range, content.text, 'Replace');
+			restoreContent(range.story, inserted.start, content);
+			return inserted;
+		});
+	}
+
+	getHyperlinkRanges() {
+		return this._derive(RangeCollection, range => () => hyperlinkRanges(range));
+	}
+
+	getTextRanges(marks, trimSpacing=false) {
+		return this._derive(RangeCollection, range => () => textRanges(range, marks, trimSpacing));
+	}
+
+	/**
+	 * Plain text search. Only the matchCase option is supported.
+	 */
+	search(text, options={}) {
+		return this._derive(RangeCollection, range => () => searchRange(range, text, options));
+	}
+
+	insertText(text, location) {
+		return this._derive(Range, range => insertTextAt(range, text, location));
+	}
+
+	insertHtml(html, location) {
+		return this._derive(Range, range => insertTextAt(range, htmlToText(html), location));
+	}
+
+	insertParagraph(text, location) {
+		return this._derive(Range, (range) => {
+			if (location === 'Before' || location === 'Start') {
+				return insertTextAt(range, text + '\n', 'Before');
+			}
+			return insertTextAt(range, '\n' + text, 'After');
+		});
+	}
+
+	insertField(location='Replace', type='Addin', code='') {
+		return this._derive(Field, (range) => {
+			const story = requireStory(range);
+			let pos = location === 'Start' || location === 'Before' ? range.start : range.end;
+			if (location === 'Replace') {
+				story.remove(range.start, range.end);
+				pos = range.start;
+			}
+			return new FieldModel(story, pos, code || '', type);
+		});
+	}
+
+	insertContentControl() {
+		return this._derive(ContentControl, range => new ContentControlModel(requireStory(range), range.start, range.end));
+	}
+
+	insertBookmark(name) {
+		this._enqueue((range) => {
+			requireStory(range);
+			insertBookmark(range, name);
+		});
+	}
+
+	getBookmarks(includeHidden=false, includeAdjacent=false) {
+		const result = new ClientResult();
+		this._enqueue((range) => {
+			result.value = bookmarksInRange(range, includeHidden, includeAdjacent);
+		});
+		return result;
+	}
+
+	get parentContentControlOrNullObject() {
+		return this._navigate('parentContentControlOrNullObject', ContentControl, (range) => {
+			if (range.story.aggregate) return null;
+			const parents = range.story.contentControls
+				.filter(control => control.range.start <= range.start && range.end <= control.range.end)
+				.sort((a, b) => (a.range.end - a.range.start) - (b.range.end - b.range.start));
+			return parents[0] || null;
+		});
+	}
+
+	insertFootnote(text='') {
+		return this._derive(NoteItem, range => range.story.doc.insertNote('Footnote', range, text));
+	}
+
+	insertEndnote(text='') {
+		return this._derive(NoteItem, range => range.story.doc.insertNote('Endnote', range, text));
+	}
+
+	select(selectionMode='Select') {
+		this._enqueue((range) => {
+			const doc = requireStory(range).doc;
+			if (selectionMode === 'Start') doc.selection = range.clone(range.start, range.start);
+			else if (selectionMode === 'End') doc.selection = range.clone(range.end, range.end);
+			else doc.selection = range.clone();
+		});
+	}
+
+	delete() {
+		this._enqueue(range => requireStory(range).remove(range.start, range.end));
+	}
+}
+defineScalars(Range, ['text', 'isEmpty', 'hyperlink', 'style', 'styleBuiltIn'], ['hyperlink', 'style', 'styleBuiltIn']);
+
+class RangeCollection extends ClientCollection {
+	_list(list) {
+		return list();
+	}
+}
+RangeCollection.itemType = Range;
+
+class Body extends ClientObject {
+	_read(name, story) {
+		switch (name) {
+		case 'type': return story.type;
+		case 'text': return story.text;
+		}
+	}
+
+	get contentControls() {
+		return this._navigate('contentControls', ContentControlCollection, story => () => story.aggregate
+			? [].concat(...story.stories.map(story => story.sortedContentControls()))
+			: story.sortedContentControls());
+	}
+
+	get fields() {
+		return this._navigate('fields', FieldCollection, story => () => story.aggregate
+			? [].concat(...story.stories.map(story => story.sortedFields()))
+			: story.sortedFields());
+	}
+
+	get footnotes() {
+		return this._navigate('footnotes', NoteItemCollection, story => () => story.doc.notesOfType('Footnote')
+			.filter(note => note.reference.story === story));
+	}
+
+	get endnotes() {
+		return this._navigate('endnotes', NoteItemCollection, story => () => story.doc.notesOfType('Endnote')
+			.filter(note => note.reference.story === story));
+	}
+
+	get shapes() {
+		return this._navigate('shapes', ShapeCollection, story => () => story.doc.shapesIn(story.createRange(0, story.text.length + 1)));
+	}
+
+	getRange(location='Whole') {
+		return this._derive(Range, (story) => {
+			if (story.aggregate) return { story, start: 0, end: 0, aggregate: true };
+			switch (location) {
+			case 'Start': return story.createRange(0);
+			case 'End': return story.createRange(story.text.length);
+			case 'Whole':
+			case 'Content':
+				return story.createRange(0, story.text.length);
+			default:
+				throw new WordApiError('InvalidArgument', `Invalid range location ${location}`);
+			}
+		});
+	}
+
+	getOoxml() {
+		const result = new ClientResult();
+		this._enqueue((story) => {
+			result.value = storyToOoxml(story);
+			this.context.host.ooxmlLength += result.value.length;
+		});
+		return result;
+	}
+
+	insertOoxml(ooxml, location) {
+		return this._derive(Range, (story) => {
+			if (location !== 'Replace') {
+				throw new WordApiError('NotImplemented', `Inserting OOXML at ${location} is not supported`);
+			}
+			return restoreStory(requireStory({ story }), ooxmlToStory(ooxml));
+		});
+	}
+
+	insertText(text, location) {
+		return this.getRange(location === 'Start' ? 'Start' : 'End').insertText(text, 'Replace');
+	}
+
+	insertParagraph(text, location) {
+		return this.getRange(location === 'Start' ? 'Start' : 'End').insertParagraph(text, location === 'Start' ? 'Before' : 'After');
+	}
+}
+defineScalars(Body, ['type', 'text']);
+
+/**
+ * A rich text content control. Text properties and insertions apply to its content.
+ */
+class ContentControl extends ClientObject {
+	_read(name, control) {
+		switch (name) {
+		case 'id': return control.id;
+		case 'tag': return control.tag;
+		case 'title': return control.title;
+		default: return Range.prototype._read.call(this, name, control.range);
+		}
+	}
+
+	_write(name, value, control) {
+		if (name === 'tag' || name === 'title') {
+			control[name] = value;
+		}
+		else {
+			Range.prototype._write.call(this, name, value, control.range);
+		}
+	}
+
+	get parentBody() {
+		return this._navigate('parentBody', Body, control => control.story);
+	}
+
+	getRange(location='Whole') {
+		return this._derive(Range, (control) => {
+			const range = control.range;
+			switch (location) {
+			case 'Start': return range.clone(range.start, range.start);
+			case 'End': return range.clone(range.end, range.end);
+			case 'Before': return range.clone(range.start, range.start);
+			case 'After': return range.clone(range.end, range.end);
+			case 'Whole':
+			case 'Content':
+				return range;
+			default:
+				throw new WordApiError('InvalidArgument', `Invalid range location ${location}`);
+			}
+		});
+	}
+
+	insertText(text, location='Replace') {
+		return this._derive(Range, control => insertTextAt(control.range, text, location));
+	}
+
+	insertHtml(html, location='Replace') {
+		return this._derive(Range, control => insertTextAt(control.range, htmlToText(html), location));
+	}
+
+	getOoxml() {
+		const result = new ClientResult();
+		this._enqueue((control) => {
+			result.value = rangeToOoxml(control.range);
+			this.context.host.ooxmlLength += result.value.length;
+		});
+		return result;
+	}
+
+	insertOoxml(ooxml, location='Replace') {
+		return this._derive(Range, control => insertOoxmlParagraphs(control.range, ooxml, location));
+	}
+
+	select(selectionMode='Select') {
+		this._enqueue((control) => {
+			const range = control.range;
+			if (selectionMode === 'Start') control.story.doc.selection = range.clone(range.start, range.start);
+			else if (selectionMode === 'End') control.story.doc.selection = range.clone(range.end, range.end);
+			else control.story.doc.selection = range.clone();
+		});
+	}
+
+	delete(keepContent) {
+		this._enqueue(control => control.delete(keepContent));
+	}
+}
+defineScalars(ContentControl, ['id', 'tag', 'title', 'text', 'style', 'styleBuiltIn'], ['tag', 'title', 'style', 'styleBuiltIn']);
+
+class ContentControlCollection extends ClientCollection {
+	_list(list) {
+		return list();
+	}
+}
+ContentControlCollection.itemType = ContentControl;
+
+class Field extends ClientObject {
+	_read(name, field) {
+		switch (name) {
+		case 'code': return field.code;
+		case 'type': return field.type;
+		}
+	}
+
+	_write(name, value, field) {
+		if (name !== 'code') return super._write(name);
+		field.code = value;
+	}
+
+	get result() {
+		return this._navigate('result', Range, field => field.result);
+	}
+
+	get parentBody() {
+		return this._navigate('parentBody', Body, field => field.story);
+	}
+
+	delete() {
+		this._enqueue(field => field.delete());
+	}
+}
+defineScalars(Field, ['code', 'type'], ['code']);
+
+class FieldCollection extends ClientCollection {
+	_list(list) {
+		return list();
+	}
+
+	getByTypes(types) {
+		return this._derive(FieldCollection, list => () => list().filter(field => types.includes(field.type)));
+	}
+}
+FieldCollection.itemType = Field;
+
+class NoteItem extends ClientObject {
+	_read(name, note) {
+		if (name === 'type') return note.type;
+	}
+
+	get body() {
+		return this._navigate('body', Body, note => note.story);
+	}
+
+	get reference() {
+		return this._navigate('reference', Range, note => note.reference);
+	}
+
+	delete() {
+		this._enqueue(note => note.delete());
+	}
+}
+defineScalars(NoteItem, ['type']);
+
+class NoteItemCollection extends ClientCollection {
+	_list(list) {
+		return list();
+	}
+}
+NoteItemCollection.itemType = NoteItem;
+
+class Paragraph extends ClientObject {
+	_read(name, paragraph) {
+		switch (name) {
+		case 'uniqueLocalId': return paragraph.id;
+		case 'text': return paragraph.range().text;
+		}
+	}
+
+	getRange(location='Whole') {
+		return this._derive(Range, (paragraph) => {
+			const range = paragraph.range();
+			switch (location) {
+			case 'Start': return range.clone(range.start, range.start);
+			case 'End': return range.clone(range.end, range.end);
+			case 'Whole':
+			case 'Content':
+				return range;
+			default:
+				throw new WordApiError('InvalidArgument', `Invalid range location ${location}`);
+			}
+		});
+	}
+}
+defineScalars(Paragraph, ['uniqueLocalId', 'text']);
+
+class ParagraphCollection extends ClientCollection {
+	_list(list) {
+		return list();
+	}
+
+	getFirst() {
+		return this._derive(Paragraph, (list) => {
+			const [paragraph] = list();
+			if (!paragraph) throw new WordApiError('ItemNotFound', 'The collection is empty');
+			return paragraph;
+		});
+	}
+
+	getLast() {
+		return this._derive(Paragraph, (list) => {
+			const paragraph = list().pop();
+			if (!paragraph) throw new WordApiError('ItemNotFound', 'The collection is empty');
+			return paragraph;
+		});
+	}
+}
+ParagraphCollection.itemType = Paragraph;
+
+class Shape extends ClientObject {
+	_read(name, shape) {
+		return shape[name];
+	}
+
+	get body() {
+		return this._navigate('body', Body, shape => shape.story);
+	}
+}
+defineScalars(Shape, ['id', 'type']);
+
+class ShapeCollection extends ClientCollection {
+	_list(list) {
+		return list();
+	}
+}
+ShapeCollection.itemType = Shape;
+
+class Section extends ClientObject {
+	getHeader(type) {
+		return this._derive(Body, section => section.story('Header', type));
+	}
+
+	getFooter(type) {
+		return this._derive(Body, section => section.story('Footer', type));
+	}
+}
+
+class SectionCollection extends ClientCollection {
+	_list(doc) {
+		return doc.sections;
+	}
+}
+SectionCollection.itemType = Section;
+
+class ParagraphFormat extends ClientObject {
+	_read(name, format) {
+		return format[name];
+	}
+
+	_write(name, value, format) {
+		format[name] = value;
+	}
+}
+defineScalars(ParagraphFormat, ['firstLineIndent', 'leftIndent', 'lineSpacing', 'spaceAfter', 'spaceBefore', 'alignment'],
+	['firstLineIndent', 'leftIndent', 'lineSpacing', 'spaceAfter', 'spaceBefore', 'alignment']);
+
+class Style extends ClientObject {
+	_read(name, style) {
+		switch (name) {
+		case 'nameLocal': return style.name;
+		case 'builtIn': return style.builtIn;
+		case 'type': return style.type;
+		}
+	}
+
+	get paragraphFormat() {
+		return this._navigate('paragraphFormat', ParagraphFormat, style => style.paragraphFormat);
+	}
+
+	delete() {
+		this._enqueue(style => style.doc.styles.delete(style.name));
+	}
+}
+defineScalars(Style, ['nameLocal', 'builtIn', 'type']);
+
+class StyleCollection extends ClientCollection {
+	_list(doc) {
+		return Array.from(doc.styles.values());
+	}
+
+	getByNameOrNullObject(name) {
+		return this._derive(Style, doc => doc.styles.get(name) || null);
+	}
+}
+StyleCollection.itemType = Style;
+
+class CustomProperty extends ClientObject {
+	_read(name, property) {
+		return property[name];
+	}
+
+	_write(name, value, property) {
+		if (name !== 'value') return super._write(name);
+		property.value = value;
+	}
+
+	delete() {
+		this._enqueue((property) => {
+			property.doc.customProperties.delete(property.key);
+			property.deleted = true;
+		});
+	}
+}
+defineScalars(CustomProperty, ['key', 'value', 'type'], ['value']);
+
+class CustomPropertyCollection extends ClientCollection {
+	_list(doc) {
+		return Array.from(doc.customProperties.values());
+	}
+
+	add(key, value) {
+		return this._derive(CustomProperty, (doc) => {
+			const property = { doc, key, value, type: typeof value === 'number' ? 'Number' : 'String' };
+			doc.customProperties.set(key, property);
+			return property;
+		});
+	}
+
+	getItemOrNullObject(key) {
+		return this._derive(CustomProperty, doc => doc.customProperties.get(key) || null);
+	}
+
+	deleteAll() {
+		this._enqueue(doc => doc.customProperties.clear());
+	}
+}
+CustomPropertyCollection.itemType = CustomProperty;
+
+let customXmlPartCount = 0;
+
+class CustomXmlPart extends ClientObject {
+	_read(name, part) {
+		return part[name];
+	}
+
+	getXml() {
+		const result = new ClientResult();
+		this._enqueue((part) => {
+			result.value = part.xml;
+		});
+		return result;
+	}
+
+	delete() {
+		this._enqueue((part) => {
+			part.doc.customXmlParts.delete(part.id);
+			part.deleted = true;
+		});
+	}
+}
+defineScalars(CustomXmlPart, ['id', 'namespaceUri']);
+
+class CustomXmlPartCollection extends ClientCollection {
+	_list(doc) {
+		return Array.from(doc.customXmlParts.values());
+	}
+
+	add(xml) {
+		return this._derive(CustomXmlPart, (doc) => {
+			const root = /^\s*(?:<\?xml[^>]*\?>\s*)?<([\w:.-]+)([^>]*)>/.exec(xml);
+			if (!root) {
+				throw new WordApiError('InvalidArgument', 'The XML is not well-formed');
+			}
+			const namespace = /\sxmlns="([^"]*)"/.exec(root[2]);
+			const part = { doc, id: `{${++customXmlPartCount}}`, namespaceUri: namespace ? namespace[1] : '', xml };
+			doc.customXmlParts.set(part.id, part);
+			return part;
+		});
+	}
+
+	getByNamespace(namespaceUri) {
+		return this._derive(CustomXmlPartScopedCollection, doc => () => Array.from(doc.customXmlParts.values())
+			.filter(part => part.namespaceUri === namespaceUri));
+	}
+
+	getItemOrNullObject(id) {
+		return this._derive(CustomXmlPart, doc => doc.customXmlParts.get(id) || null);
+	}
+}
+CustomXmlPartCollection.itemType = CustomXmlPart;
+
+class CustomXmlPartScopedCollection extends ClientCollection {
+	_list(list) {
+		return list();
+	}
+}
+CustomXmlPartScopedCollection.itemType = CustomXmlPart;
+
+class DocumentProperties extends ClientObject {
+	get customProperties() {
+		return this._navigate('customProperties', CustomPropertyCollection, doc => doc);
+	}
+}
+
+class Document extends ClientObject {
+	get body() {
+		return this._navigate('body', Body, doc => doc.main);
+	}
+
+	get properties() {
+		return this._navigate('properties', DocumentProperties, doc => doc);
+	}
+
+	get customXmlParts() {
+		return this._navigate('customXmlParts', CustomXmlPartCollection, doc => doc);
+	}
+
+	get sections() {
+		return this._navigate('sections', SectionCollection, doc => doc);
+	}
+
+	get onParagraphAdded() {
+		return this._eventHandlers('ParagraphAdded');
+	}
+
+	get onParagraphChanged() {
+		return this._eventHandlers('ParagraphChanged');
+	}
+
+	get onParagraphDeleted() {
+		return this._eventHandlers('ParagraphDeleted');
+	}
+
+	/**
+	 * Handlers are called synchronously when the document changes, including by the add-in
+	 */
+	_eventHandlers(type) {
+		return {
+			add: (handler) => {
+				this._enqueue(doc => doc.listeners[type].push(handler));
+				return {};
+			}
+		};
+	}
+
+	getParagraphByUniqueLocalId(id) {
+		return this._derive(Paragraph, (doc) => {
+			const paragraph = doc.findParagraph(id);
+			if (!paragraph) throw new WordApiError('ItemNotFound', `Paragraph ${id} does not exist`);
+			return paragraph;
+		});
+	}
+
+	getSelection() {
+		return this._derive(Range, doc => doc.selection.clone());
+	}
+
+	getBookmarkRangeOrNullObject(name) {
+		return this._derive(Range, (doc) => {
+			const range = doc.bookmarks.get(name);
+			return range ? range.clone() : null;
+		});
+	}
+
+	deleteBookmark(name) {
+		this._enqueue(doc => doc.bookmarks.delete(name));
+	}
+
+	getFootnoteBody() {
+		return this._derive(Body, doc => new AggregateStory(doc, 'Footnote'));
+	}
+
+	getEndnoteBody() {
+		return this._derive(Body, doc => new AggregateStory(doc, 'Endnote'));
+	}
+
+	getStyles() {
+		return this._derive(StyleCollection, doc => doc);
+	}
+
+	addStyle(name, type) {
+		return this._derive(Style, (doc) => {
+			if (doc.styles.has(name)) {
+				throw new WordApiError('InvalidArgument', `Style ${name} already exists`);
+			}
+			const style = { doc, name, builtIn: false, type, paragraphFormat: {}, font: {} };
+			doc.styles.set(name, style);
+			return style;
+		});
+	}
+}
+
+class RequestContext {
+	constructor(host) {
+		this.host = host;
+		this.syncCount = 0;
+		this._queue = [];
+		this._tracked = new Set();
+		this.document = new Document(this, null)._setModel(host.doc);
+		this.trackedObjects = {
+			add: (objects) => {
+				for (let object of [].concat(objects)) this._tracked.add(object);
+			},
+			remove: (objects) => {
+				for (let object of [].concat(objects)) this._tracked.delete(object);
+			}
+		};
+	}
+
+	_enqueue(fn) {
+		this._queue.push(fn);
+	}
+
+	async sync() {
+		const queue = this._queue;
+		this._queue = [];
+		this.syncCount++;
+		this.host.syncCount++;
+		// Yield like a real round-trip to the host would
+		await Promise.resolve();
+		for (let op of queue) {
+			try {
+				op();
+			}
+			catch (e) {
+				if (!(e instanceof WordApiError)) {
+					e = Object.assign(new WordApiError('GeneralException', e.message), { innerError: e });
+				}
+				throw e;
+			}
+		}
+	}
+}
+
+// ----------------------------------------------------------------------------
+// Host
+// ----------------------------------------------------------------------------
+
+/**
+ * Creates a fake Word host with Word, Office and OfficeExtension globals bound to one
+ * in-memory document.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.url] Document URL reported by Office.context.document.url
+ * @param {String[]} [options.builtInStyles] Styles that exist in the document. Word Online
+ * 		documents do not have the Bibliography style, so pass a list without it to emulate them
+ * @param {Function} [options.dialogResponse] Called with the dialog URL and dialog when a dialog
+ * 		opens and after each dialog.messageChild(), and returns the message the dialog sends to the
+ * 		add-in, e.g. the index of the alert button to "click". Returning undefined closes the dialog.
+ * @param {Boolean} [options.ribbon] Whether the host supports ribbon updates. Updates are
+ * 		recorded in host.ribbonUpdates
+ */
+function createWordHost(options={}) {
+	options = Object.assign({
+		url: 'https://example.com/document.docx',
+		builtInStyles: BUILT_IN_STYLES,
+		dialogResponse: () => 0
+	}, options);
+
+	const host = {
+		doc: null,
+		syncCount: 0,
+		// Range.compareLocationWith() calls
+		comparisonCount: 0,
+		runCount: 0,
+		// Characters of OOXML read with getOoxml()
+		ooxmlLength: 0,
+		dialogs: [],
+		ribbonUpdates: [],
+		options
+	};
+	host.doc = new DocumentModel(options);
+
+	host.Word = {
+		run: async function (objects, batch) {
+			if (typeof objects === 'function') {
+				batch = objects;
+				objects = null;
+			}
+			let context;
+			if (objects) {
+				const first = Array.isArray(objects) ? objects[0] : objects;
+				context = first.context;
+			}
+			else {
+				context = new RequestContext(host);
+			}
+			host.runCount++;
+			const result = await batch(context);
+			await context.sync();
+			return result;
+		},
+		RequestContext,
+		FieldType: { addin: 'Addin' },
+		BuiltInStyleName: {
+			normal: 'Normal',
+			heading1: 'Heading 1',
+			heading2: 'Heading 2',
+			hyperlink: 'Hyperlink',
+			footnoteText: 'Footnote Text',
+			endnoteText: 'Endnote Text',
+			bibliography: 'Bibliography'
+		},
+		InsertLocation: { replace: 'Replace', start: 'Start', end: 'End', before: 'Before', after: 'After' },
+		LocationRelation: {}
+	};
+
+	host.Office = {
+		onReady: (callback) => {
+			const info = { host: 'Word', platform: 'OfficeOnline' };
+			if (callback) callback(info);
+			return Promise.resolve(info);
+		},
+		EventType: {
+			DialogMessageReceived: 'dialogMessageReceived',
+			DialogEventReceived: 'dialogEventReceived'
+		},
+		AsyncResultStatus: { Succeeded: 'succeeded', Failed: 'failed' },
+		context: {
+			document: { url: options.url },
+			requirements: { isSetSupported: () => true },
+			ui: {
+				displayDialogAsync: (url, dialogOptions, callback) => {
+					const handlers = {};
+					const respond = () => setTimeout(() => {
+						if (dialog.closed) return;
+						const message = options.dialogResponse(url, dialog);
+						if (typeof message === 'undefined') {
+							dialog.closed = true;
+							handlers[host.Office.EventType.DialogEventReceived]({ error: 12006 });
+						}
+						else {
+							handlers[host.Office.EventType.DialogMessageReceived]({ message });
+						}
+					});
+					const dialog = {
+						url,
+						closed: false,
+						childMessages: [],
+						addEventHandler: (type, handler) => { handlers[type] = handler },
+						messageChild: (message) => {
+							dialog.childMessages.push(message);
+							respond();
+						},
+						close: () => { dialog.closed = true }
+					};
+					host.dialogs.push(dialog);
+					callback({ status: 'succeeded', value: dialog });
+					respond();
+				}
+			}
+		}
+	};
+
+	if (options.ribbon) {
+		host.Office.ribbon = {
+			requestUpdate: async (input) => { host.ribbonUpdates.push(input) }
+		};
+	}
+
+	host.OfficeExtension = {
+		config: { extendedErrorLogging: false },
+		Error: WordApiError,
+		ClientResult
+	};
+
+	/**
+	 * Appends content to a story. Content is a list of strings and objects:
+	 * 	{ field: code, text } - a field with a full field code, e.g. "ADDIN ZOTERO_ITEM ..."
+	 * 	{ footnote: [content] } or { endnote: [content] } - a note at this position
+	 * 	{ textBox: [content] } - a text box anchored at this position
+	 * 	{ header: [content], type } or { footer: [content], type } - appends to a header or footer
+	 * 		of the last section, of type "Primary" unless given
+	 * 	{ hyperlink: url, text } - linked text
+	 * 	{ contentControl: tag, text } - a rich text content control
+	 * 	{ bookmark: name, text, code } - a bookmark, with its code in ZOTERO_ custom properties
+	 * 		like bookmark fields of the LibreOffice integration
+	 * 	{ selection: true } - places the cursor here
+	 */
+	host.append = function (content, story=host.doc.main) {
+		let selection = null;
+		appendContent(content, story, (story, pos) => selection = { story, pos });
+		if (selection) {
+			host.select(selection.story, selection.pos);
+		}
+		return host;
+	};
+
+	function appendContent(content, story, setSelection) {
+		for (let item of [].concat(content)) {
+			const pos = story.text.length;
+			if (typeof item === 'string') {
+				story.insert(pos, item);
+			}
+			else if ('field' in item) {
+				const field = new FieldModel(story, pos, item.field);
+				insertTextAt(field.result, item.text || '', 'Replace');
+			}
+			else if (item.footnote || item.endnote) {
+				const type = item.footnote ? 'Footnote' : 'Endnote';
+				const note = host.doc.insertNote(type, story.createRange(pos));
+				appendContent(item.footnote || item.endnote, note.story, setSelection);
+			}
+			else if (item.textBox) {
+				const shape = new ShapeModel(host.doc, story.createRange(pos));
+				host.doc.shapes.push(shape);
+				appendContent(item.textBox, shape.story, setSelection);
+			}
+			else if (item.header || item.footer) {
+				const section = host.doc.sections[host.doc.sections.length - 1];
+				const kind = item.header ? 'Header' : 'Footer';
+				appendContent(item.header || item.footer, section.story(kind, item.type || 'Primary'), setSelection);
+			}
+			else if ('contentControl' in item) {
+				const control = new ContentControlModel(story, pos, pos, item.contentControl, item.title || '');
+				insertTextAt(control.range, item.text || '', 'Replace');
+			}
+			else if ('bookmark' in item) {
+				story.insert(pos, item.text || '');
+				host.doc.bookmarks.set(item.bookmark, story.createRange(pos, pos + (item.text || '').length));
+				let code = item.code ? BOOKMARK_CODE_PREFIX + item.code : '';
+				for (let i = 1; code.length; i++) {
+					const key = `${item.bookmark}_${i}`;
+					host.doc.customProperties.set(key, { doc: host.doc, key, value: code.slice(0, PROPERTY_LENGTH), type: 'String' });
+					code = code.slice(PROPERTY_LENGTH);
+				}
+			}
+			else if ('hyperlink' in item) {
+				story.insert(pos, item.text);
+				story.hyperlinks.push({ range: story.createRange(pos, pos + item.text.length), url: item.hyperlink });
+			}
+			else if (item.selection) {
+				setSelection(story, pos);
+			}
+		}
+	}
+
+	/**
+	 * Starts a new section, with headers and footers linked to the previous section if linked
+	 */
+	host.addSection = function (linked=false) {
+		const sections = host.doc.sections;
+		sections.push(new SectionModel(host.doc, linked ? sections[sections.length - 1] : null));
+		return host;
+	};
+
+	/**
+	 * @returns {Story} A header or footer story of a section
+	 */
+	host.headerFooter = function (kind, type='Primary', section=0) {
+		return host.doc.sections[section].story(kind, type);
+	};
+
+	host.select = function (story, start, end=start) {
+		host.doc.selection = story.createRange(start, end);
+	};
+
+	/**
+	 * @returns {String} Main body text with note references shown as [1], [2]...
+	 */
+	host.text = function (story=host.doc.main) {
+		let text = story.text;
+		const notes = host.doc.notes.filter(note => note.reference.story === story)
+			.sort((a, b) => b.reference.start - a.reference.start);
+		for (let note of notes) {
+			const idx = host.doc.notesOfType(note.type).indexOf(note) + 1;
+			const mark = note.type === 'Footnote' ? `[${idx}]` : `[e${idx}]`;
+			text = text.substring(0, note.reference.start) + mark + text.substring(note.reference.end);
+		}
+		return text;
+	};
+
+	/**
+	 * @returns {Object[]} All fields in reading order, with notes and text boxes sorted into
+	 * 		the main body, followed by the headers and footers of each section
+	 */
+	host.fields = function () {
+		const fields = [];
+		const main = host.doc.main;
+		const describe = (field, noteType=0) => ({ code: field.code, text: field.result.text, noteType });
+		const entries = main.sortedFields().map(field => ({ pos: field.result.start, field }))
+			.concat(host.doc.notes.map(note => ({ pos: note.reference.start, note })))
+			.concat(host.doc.shapes.map(shape => ({ pos: shape.anchor.start, shape })))
+			// Text boxes come before what follows their anchor
+			.sort((a, b) => a.pos - b.pos || !!b.shape - !!a.shape);
+		for (let entry of entries) {
+			if (entry.field) {
+				fields.push(describe(entry.field));
+			}
+			else if (entry.shape) {
+				fields.push(...entry.shape.story.sortedFields().map(field => describe(field)));
+			}
+			else {
+				const noteType = entry.note.type === 'Footnote' ? 1 : 2;
+				fields.push(...entry.note.story.sortedFields().map(field => describe(field, noteType)));
+			}
+		}
+		for (let section of host.doc.sections.filter(section => !section.previous)) {
+			for (let kind of ['Header', 'Footer']) {
+				for (let type of ['FirstPage', 'Primary', 'EvenPages']) {
+					fields.push(...section.story(kind, type).sortedFields().map(field => describe(field)));
+				}
+			}
+		}
+		return fields;
+	};
+
+	/**
+	 * @returns {Object[]} Bookmarks of the main body in document order, with the code stored
+	 * 		in their custom properties
+	 */
+	host.bookmarks = function () {
+		return host.doc.main.bookmarks()
+			.sort(([, a], [, b]) => a.start - b.start)
+			.map(([name, range]) => {
+				const chunks = Array.from(host.doc.customProperties.values())
+					.map(property => [new RegExp(`^${name}_(\\d+)$`).exec(property.key), property.value])
+					.filter(([match]) => match)
+					.sort(([a], [b]) => a[1] - b[1]);
+				return { name, text: range.text, code: chunks.map(([, value]) => value).join('') };
+			});
+	};
+
+	/**
+	 * @returns {Object[]} Paragraphs of a story with direct formatting, as {text, pPr}
+	 */
+	host.paragraphFormats = function (story=host.doc.main) {
+		return story.paragraphFormats
+			.slice().sort((a, b) => a.range.start - b.range.start)
+			.map(format => ({ text: format.range.text, pPr: format.pPr }));
+	};
+
+	/**
+	 * @returns {Object[]} Runs of a story with direct formatting, as {text, rPr}
+	 */
+	host.runFormats = function (story=host.doc.main) {
+		return story.runFormats
+			.slice().sort((a, b) => a.range.start - b.range.start)
+			.map(format => ({ text: format.range.text, rPr: format.rPr }));
+	};
+
+	/**
+	 * @returns {Object[]} All content controls in reading order, like host.fields()
+	 */
+	host.contentControls = function () {
+		const controls = [];
+		const describe = (control, noteType) => ({ tag: control.tag, title: control.title, text: control.range.text, noteType });
+		const entries = host.doc.main.sortedContentControls().map(control => ({ pos: control.range.start, control }))
+			.concat(host.doc.notes.map(note => ({ pos: note.reference.start, note })))
+			.sort((a, b) => a.pos - b.pos);
+		for (let entry of entries) {
+			if (entry.control) {
+				controls.push(describe(entry.control, 0));
+				continue;
+			}
+			const noteType = entry.note.type === 'Footnote' ? 1 : 2;
+			controls.push(...entry.note.story.sortedContentControls().map(control => describe(control, noteType)));
+		}
+		return controls;
+	};
+
+	host.notes = function (type) {
+		return host.doc.notesOfType(type).map(note => note.story.text);
+	};
+
+	return host;
+}
+
+module.exports = { createWordHost, WordApiError, NOTE_REFERENCE };
@@ -23,10 +23,17 @@ module.exports = async (env, options) => {
         "./src/commands/zotero.js",
         "./src/commands/promise.js",
         "./src/commands/http.js",
+        "./src/commands/prefs.js",
+        "./src/commands/connector.js",
+        "./src/commands/fieldIndex.js",
+        "./src/commands/performanceTrace.js",
         "./src/commands/session.js",
+        "./src/commands/sessionManager.js",
         "./src/commands/wordJs.js"
       ],
-      dialog: ["./src/dialog/dialog.js"]
+      dialog: ["./src/dialog/dialog.js"],
+      settings: ["./src/settings/settings.js"],
+      performance: ["./src/performance/performance.js"]
     },
     output: {
       clean: true,
@@ -90,6 +97,16 @@ module.exports = async (env, options) => {
         template: "./src/dialog/dialog.html",
         chunks: ["polyfill", "dialog"],
       }),
+      new HtmlWebpackPlugin({
+        filename: "settings.html",
+        template: "./src/settings/settings.html",
+        chunks: ["polyfill", "settings"],
+      }),
+      new HtmlWebpackPlugin({
+        filename: "performance.html",
+        template: "./src/performance/performance.html",
+        chunks: ["polyfill", "performance"],
+      }),
     ],
     devServer: {
       headers: {